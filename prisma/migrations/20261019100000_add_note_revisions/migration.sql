@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "NoteRevision" (
+    "id" TEXT NOT NULL,
+    "noteId" TEXT NOT NULL,
+    "revision" INTEGER NOT NULL,
+    "title" TEXT NOT NULL,
+    "content" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "NoteRevision_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "NoteRevision_noteId_revision_key" ON "NoteRevision"("noteId", "revision");
+
+-- AddForeignKey
+ALTER TABLE "NoteRevision" ADD CONSTRAINT "NoteRevision_noteId_fkey" FOREIGN KEY ("noteId") REFERENCES "Note"("id") ON DELETE CASCADE ON UPDATE CASCADE;
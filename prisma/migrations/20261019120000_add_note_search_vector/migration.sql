@@ -0,0 +1,9 @@
+-- AlterTable
+-- Generated tsvector: title weighted above content, maintained by Postgres on every write
+ALTER TABLE "Note" ADD COLUMN     "searchVector" tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce("title", '')), 'A') ||
+    setweight(to_tsvector('english', coalesce("content", '')), 'B')
+) STORED;
+
+-- CreateIndex
+CREATE INDEX "Note_searchVector_idx" ON "Note" USING GIN ("searchVector");
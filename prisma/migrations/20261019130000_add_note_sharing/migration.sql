@@ -0,0 +1,47 @@
+-- CreateEnum
+CREATE TYPE "SharePermission" AS ENUM ('VIEWER', 'EDITOR');
+
+-- CreateTable
+CREATE TABLE "NoteShare" (
+    "id" TEXT NOT NULL,
+    "noteId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "permission" "SharePermission" NOT NULL DEFAULT 'VIEWER',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "NoteShare_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "PublicLink" (
+    "id" TEXT NOT NULL,
+    "noteId" TEXT NOT NULL,
+    "token" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3),
+    "revokedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PublicLink_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "NoteShare_userId_idx" ON "NoteShare"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "NoteShare_noteId_userId_key" ON "NoteShare"("noteId", "userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PublicLink_token_key" ON "PublicLink"("token");
+
+-- CreateIndex
+CREATE INDEX "PublicLink_noteId_idx" ON "PublicLink"("noteId");
+
+-- AddForeignKey
+ALTER TABLE "NoteShare" ADD CONSTRAINT "NoteShare_noteId_fkey" FOREIGN KEY ("noteId") REFERENCES "Note"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "NoteShare" ADD CONSTRAINT "NoteShare_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PublicLink" ADD CONSTRAINT "PublicLink_noteId_fkey" FOREIGN KEY ("noteId") REFERENCES "Note"("id") ON DELETE CASCADE ON UPDATE CASCADE;
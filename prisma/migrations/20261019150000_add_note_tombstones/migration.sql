@@ -0,0 +1,15 @@
+-- CreateTable
+CREATE TABLE "NoteTombstone" (
+    "id" TEXT NOT NULL,
+    "noteId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "deletedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "NoteTombstone_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "NoteTombstone_userId_deletedAt_idx" ON "NoteTombstone"("userId", "deletedAt");
+
+-- AddForeignKey
+ALTER TABLE "NoteTombstone" ADD CONSTRAINT "NoteTombstone_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "trashRetentionDays" INTEGER;
+
+-- AlterTable
+ALTER TABLE "Note" ADD COLUMN     "trashedAt" TIMESTAMP(3);
+
+-- Backfill: notes already in the trash count from their last update
+UPDATE "Note" SET "trashedAt" = "updatedAt" WHERE "status" = 'TRASH';
+
+-- CreateIndex
+CREATE INDEX "Note_status_trashedAt_idx" ON "Note"("status", "trashedAt");
@@ -0,0 +1,34 @@
+-- CreateTable
+CREATE TABLE "UserIdentity" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "provider" TEXT NOT NULL,
+    "providerUserId" TEXT NOT NULL,
+    "email" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastUsedAt" TIMESTAMP(3),
+
+    CONSTRAINT "UserIdentity_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "UserIdentity_provider_providerUserId_key" ON "UserIdentity"("provider", "providerUserId");
+
+-- CreateIndex
+CREATE INDEX "UserIdentity_userId_idx" ON "UserIdentity"("userId");
+
+-- AddForeignKey
+ALTER TABLE "UserIdentity" ADD CONSTRAINT "UserIdentity_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Move existing Google ids into the identities table
+INSERT INTO "UserIdentity" ("id", "userId", "provider", "providerUserId", "email")
+SELECT gen_random_uuid()::text, "id", 'google', "googleId", "email"
+FROM "User"
+WHERE "googleId" IS NOT NULL;
+
+-- DropIndex
+DROP INDEX "User_googleId_key";
+
+-- AlterTable
+ALTER TABLE "User" DROP COLUMN "googleId",
+DROP COLUMN "provider";
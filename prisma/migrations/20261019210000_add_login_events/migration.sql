@@ -0,0 +1,28 @@
+-- CreateEnum
+CREATE TYPE "LoginOutcome" AS ENUM ('SUCCESS', 'FAILURE', 'LOCKED');
+
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "failedLoginCount" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "lockoutCount" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "lockedUntil" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "LoginEvent" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT,
+    "email" TEXT,
+    "method" TEXT NOT NULL,
+    "outcome" "LoginOutcome" NOT NULL,
+    "reason" TEXT,
+    "ipAddress" TEXT,
+    "userAgent" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "LoginEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "LoginEvent_userId_createdAt_idx" ON "LoginEvent"("userId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "LoginEvent" ADD CONSTRAINT "LoginEvent_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,9 @@
+-- AlterEnum
+ALTER TYPE "UserTokenType" ADD VALUE 'EMAIL_CHANGE';
+
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "pendingEmail" TEXT,
+ADD COLUMN     "deletionScheduledAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "User_deletionScheduledAt_idx" ON "User"("deletionScheduledAt");
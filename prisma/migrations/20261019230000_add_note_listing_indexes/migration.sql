@@ -0,0 +1,14 @@
+-- DropIndex
+DROP INDEX "Note_userId_idx";
+
+-- DropIndex
+DROP INDEX "Note_status_idx";
+
+-- CreateIndex
+CREATE INDEX "Note_userId_status_updatedAt_idx" ON "Note"("userId", "status", "updatedAt");
+
+-- CreateIndex
+CREATE INDEX "Note_userId_status_createdAt_idx" ON "Note"("userId", "status", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "Note_userId_status_title_idx" ON "Note"("userId", "status", "title");
@@ -0,0 +1,26 @@
+-- AlterTable
+ALTER TABLE "Note" ADD COLUMN     "pinned" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "favorite" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "color" TEXT,
+ADD COLUMN     "position" TEXT COLLATE "C";
+
+-- Order keys are compared by code unit (see src/utils/fractionalIndex.js), hence the "C" collation above.
+-- Existing notes keep their current order (most recently updated first): each gets the
+-- 4-digit base62 integer key 'd' || n for its rank n among its owner's notes.
+WITH ranked AS (
+    SELECT "id", ROW_NUMBER() OVER (PARTITION BY "userId" ORDER BY "updatedAt" DESC, "id") AS n
+    FROM "Note"
+)
+UPDATE "Note" AS note
+SET "position" = 'd'
+    || substr('0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz', ((ranked.n / 238328) % 62)::int + 1, 1)
+    || substr('0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz', ((ranked.n / 3844) % 62)::int + 1, 1)
+    || substr('0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz', ((ranked.n / 62) % 62)::int + 1, 1)
+    || substr('0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz', (ranked.n % 62)::int + 1, 1)
+FROM ranked
+WHERE note."id" = ranked."id";
+
+ALTER TABLE "Note" ALTER COLUMN "position" SET NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "Note_userId_position_idx" ON "Note"("userId", "position");
@@ -0,0 +1,46 @@
+-- CreateEnum
+CREATE TYPE "ReminderChannel" AS ENUM ('EMAIL', 'WEBHOOK');
+
+-- CreateEnum
+CREATE TYPE "ReminderStatus" AS ENUM ('PENDING', 'SENT', 'FAILED');
+
+-- AlterTable
+ALTER TABLE "Note" ADD COLUMN     "dueAt" TIMESTAMP(3),
+ADD COLUMN     "remindAt" TIMESTAMP(3),
+ADD COLUMN     "recurrence" TEXT,
+ADD COLUMN     "reminderChannel" "ReminderChannel" NOT NULL DEFAULT 'EMAIL';
+
+-- CreateTable
+CREATE TABLE "NoteReminder" (
+    "id" TEXT NOT NULL,
+    "noteId" TEXT NOT NULL,
+    "channel" "ReminderChannel" NOT NULL,
+    "scheduledFor" TIMESTAMP(3) NOT NULL,
+    "status" "ReminderStatus" NOT NULL DEFAULT 'PENDING',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "nextAttemptAt" TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP,
+    "lockedUntil" TIMESTAMP(3),
+    "error" TEXT,
+    "sentAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "NoteReminder_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Note_userId_status_dueAt_idx" ON "Note"("userId", "status", "dueAt");
+
+-- CreateIndex
+CREATE INDEX "Note_status_remindAt_idx" ON "Note"("status", "remindAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "NoteReminder_noteId_scheduledFor_key" ON "NoteReminder"("noteId", "scheduledFor");
+
+-- CreateIndex
+CREATE INDEX "NoteReminder_status_nextAttemptAt_idx" ON "NoteReminder"("status", "nextAttemptAt");
+
+-- CreateIndex
+CREATE INDEX "NoteReminder_createdAt_idx" ON "NoteReminder"("createdAt");
+
+-- AddForeignKey
+ALTER TABLE "NoteReminder" ADD CONSTRAINT "NoteReminder_noteId_fkey" FOREIGN KEY ("noteId") REFERENCES "Note"("id") ON DELETE CASCADE ON UPDATE CASCADE;
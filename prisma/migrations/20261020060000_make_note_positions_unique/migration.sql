@@ -0,0 +1,18 @@
+-- DropIndex
+DROP INDEX "Note_userId_position_idx";
+
+-- Concurrent writes may already have given two notes of a user the same position.
+-- Every duplicate but one moves right after its twin: the key gets 'V' and eight
+-- characters of the note id's md5 appended, with '0' mapped to 'g' so the key never
+-- ends in a zero (see src/utils/fractionalIndex.js).
+WITH ranked AS (
+    SELECT "id", ROW_NUMBER() OVER (PARTITION BY "userId", "position" ORDER BY "createdAt", "id") AS n
+    FROM "Note"
+)
+UPDATE "Note" AS note
+SET "position" = note."position" || 'V' || translate(substr(md5(note."id"), 1, 8), '0', 'g')
+FROM ranked
+WHERE note."id" = ranked."id" AND ranked.n > 1;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Note_userId_position_key" ON "Note"("userId", "position");
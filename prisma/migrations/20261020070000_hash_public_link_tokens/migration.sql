@@ -0,0 +1,13 @@
+-- Existing links keep working: their tokens are hashed the same way as in hashToken (hex SHA-256)
+ALTER TABLE "PublicLink" ADD COLUMN "tokenHash" TEXT;
+UPDATE "PublicLink" SET "tokenHash" = encode(sha256(convert_to("token", 'UTF8')), 'hex');
+ALTER TABLE "PublicLink" ALTER COLUMN "tokenHash" SET NOT NULL;
+
+-- DropIndex
+DROP INDEX "PublicLink_token_key";
+
+-- AlterTable
+ALTER TABLE "PublicLink" DROP COLUMN "token";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PublicLink_tokenHash_key" ON "PublicLink"("tokenHash");
@@ -0,0 +1,57 @@
+/**
+ * Local Webhook Receiver
+ * Minimal endpoint for trying out webhooks during development: logs every delivery
+ * and checks its signature.
+ *
+ * Usage:
+ *   WEBHOOK_SECRET=whsec_... npm run webhooks:receiver   (listens on RECEIVER_PORT, default 4000)
+ * then register http://localhost:4000/ as a webhook and POST /api/webhooks/:id/ping.
+ * Set RECEIVER_FAIL=true to answer 500 and watch the retries back off.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+
+const PORT = parseInt(process.env.RECEIVER_PORT || '4000');
+const SECRET = process.env.WEBHOOK_SECRET || '';
+const FAIL = process.env.RECEIVER_FAIL === 'true';
+// Deliveries signed longer ago than this are treated as replays
+const TOLERANCE_SECONDS = 5 * 60;
+
+// Check X-Noty-Signature against the raw body, in constant time
+function verifySignature(headers, body) {
+  const timestamp = Number(headers['x-noty-timestamp']);
+  const signature = String(headers['x-noty-signature'] || '');
+  if (!SECRET || !timestamp) return false;
+  if (Math.abs(Date.now() / 1000 - timestamp) > TOLERANCE_SECONDS) return false;
+  const expected = `sha256=${crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex')}`;
+  return signature.length === expected.length && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+http.createServer((req, res) => {
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    const valid = verifySignature(req.headers, body);
+    console.log(`\n${new Date().toISOString()} ${req.method} ${req.url}`);
+    console.log(`  event:     ${req.headers['x-noty-event']}`);
+    console.log(`  delivery:  ${req.headers['x-noty-delivery']}`);
+    console.log(`  signature: ${SECRET ? (valid ? 'valid' : 'INVALID') : 'not checked (WEBHOOK_SECRET not set)'}`);
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+    } catch (err) {
+      console.log(body);
+    }
+
+    if (SECRET && !valid) {
+      res.writeHead(401).end('invalid signature');
+    } else if (FAIL) {
+      res.writeHead(500).end('failing on purpose');
+    } else {
+      res.writeHead(204).end();
+    }
+  });
+}).listen(PORT, () => {
+  console.log(`🪝 Webhook receiver listening on http://localhost:${PORT}/`);
+});
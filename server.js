@@ -9,6 +9,12 @@ require('dotenv').config();
 // Import the Express app configuration
 const app = require('./src/app');
 
+// Import background jobs
+const { startTrashPurgeJob, stopTrashPurgeJob } = require('./src/jobs/trashPurge');
+const { startAccountPurgeJob, stopAccountPurgeJob } = require('./src/jobs/accountPurge');
+const { startWebhookDeliveryJob, stopWebhookDeliveryJob } = require('./src/jobs/webhookDelivery');
+const { startReminderJob, stopReminderJob } = require('./src/jobs/reminders');
+
 // Set port from environment or default to 5000
 const PORT = process.env.PORT || 5000;
 
@@ -20,12 +26,20 @@ const PORT = process.env.PORT || 5000;
 // Handle SIGTERM signal (termination request)
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
+  stopTrashPurgeJob();
+  stopAccountPurgeJob();
+  stopWebhookDeliveryJob();
+  stopReminderJob();
   process.exit(0);
 });
 
 // Handle SIGINT signal (Ctrl+C)
 process.on('SIGINT', () => {
   console.log('SIGINT received, shutting down gracefully');
+  stopTrashPurgeJob();
+  stopAccountPurgeJob();
+  stopWebhookDeliveryJob();
+  stopReminderJob();
   process.exit(0);
 });
 
@@ -37,4 +51,10 @@ app.listen(PORT, () => {
   console.log(`🚀 Notes API server running on port ${PORT}`);
   console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
   console.log(`🔗 Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  // Start background jobs once the server is accepting requests
+  startTrashPurgeJob();
+  startAccountPurgeJob();
+  startWebhookDeliveryJob();
+  startReminderJob();
 });
\ No newline at end of file
@@ -6,12 +6,19 @@
 // Import required dependencies
 const express = require('express');
 const cors = require('cors');
-const rateLimit = require('express-rate-limit');
 const session = require('express-session');
+const { rateLimiter } = require('./rateLimit');
+const { notFoundHandler, errorHandler } = require('./middlewares/errorHandler');
 
 // Import route handlers
 const authRoutes = require('./routes/auth');
 const notesRoutes = require('./routes/notes');
+const tagsRoutes = require('./routes/tags');
+const notebooksRoutes = require('./routes/notebooks');
+const publicRoutes = require('./routes/public');
+const syncRoutes = require('./routes/sync');
+const eventsRoutes = require('./routes/events');
+const webhooksRoutes = require('./routes/webhooks');
 
 // Initialize Express application
 const app = express();
@@ -35,19 +42,6 @@ app.use(passport.initialize());
 app.use(passport.session());
 
 
-/**
- * RATE LIMITING CONFIGURATION
- * Prevents abuse by limiting requests per IP address
- */
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes time window
-  max: 100, // Maximum 100 requests per IP per window
-  message: { 
-    success: false,
-    error: 'Too many requests, please try again later' 
-  }
-});
-
 /**
  * MIDDLEWARE SETUP
  * Apply security and parsing middleware to all routes
@@ -58,11 +52,12 @@ app.use(cors({
   origin: (process.env.CLIENT_URL || 'http://localhost:5173').split(',').map(url => url.trim()),
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'If-Match', 'If-None-Match', 'Last-Event-ID'],
+  exposedHeaders: ['ETag', 'Link', 'Content-Disposition', 'RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After'],
   maxAge: 86400
 }));
-// Apply rate limiting to all routes
-app.use(limiter);
+// Coarse per-IP rate limit for all routes; stricter and per-user policies are applied in the routers
+app.use(rateLimiter('global'));
 
 // Parse JSON request bodies (max 10MB)
 app.use(express.json({ limit: '10mb' }));
@@ -88,6 +83,12 @@ app.get('/api/health', (req, res) => {
  */
 app.use('/api/auth', authRoutes); // Authentication routes
 app.use('/api/notes', notesRoutes); // Notes management routes
+app.use('/api/tags', tagsRoutes); // Tag management routes
+app.use('/api/notebooks', notebooksRoutes); // Notebook management routes
+app.use('/api/public', publicRoutes); // Unauthenticated public note links
+app.use('/api/sync', syncRoutes); // Offline sync routes
+app.use('/api/events', eventsRoutes); // Real-time note change stream
+app.use('/api/webhooks', webhooksRoutes); // Outgoing webhooks and their delivery log
 
 /**
  * ERROR HANDLING MIDDLEWARE
@@ -95,22 +96,9 @@ app.use('/api/notes', notesRoutes); // Notes management routes
  * trying to access non-existent routes and add more comments 
  */
 // 404 handler for unmatched routes
-app.use((req, res, next) => {
-  res.status(404).json({
-    success: false,
-    error: 'Route not found',
-    path: req.originalUrl
-  });
-});
+app.use(notFoundHandler);
 
-// Central error handler
-app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err); // Log for debugging
-  const status = err.status || 500;
-  res.status(status).json({
-    success: false,
-    error: err.message || 'Internal server error'
-  });
-});
+// Central error handler: one response envelope (or problem+json) for every error
+app.use(errorHandler);
 
 module.exports = app;
\ No newline at end of file
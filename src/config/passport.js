@@ -17,20 +17,66 @@ passport.use(
       clientID: process.env.GOOGLE_CLIENT_ID,
       clientSecret: process.env.GOOGLE_CLIENT_SECRET,
       callbackURL: `${BASE_URL}/api/auth/google/callback`,
+      passReqToCallback: true,
     },
-    async (accessToken, refreshToken, profile, done) => {
+    async (req, accessToken, refreshToken, profile, done) => {
       try {
-        const email = profile.emails[0].value;
-        let user = await prisma.user.findUnique({ where: { email } });
-        if (!user) {
-          user = await prisma.user.create({
-            data: {
-              email,
-              name: profile.displayName,
-              googleId: profile.id,
-            },
+        const email = profile.emails[0].value.toLowerCase();
+        const emailVerified = profile.emails[0].verified === true || profile.emails[0].verified === "true";
+        const identityWhere = {
+          provider_providerUserId: { provider: "google", providerUserId: profile.id },
+        };
+        const identity = await prisma.userIdentity.findUnique({
+          where: identityWhere,
+          include: { user: true },
+        });
+
+        // Linking flow started from GET /api/auth/identities/google/link (cleared by GET /api/auth/google)
+        const link = req.session && req.session.googleLink;
+        if (link) {
+          delete req.session.googleLink;
+          if (!(link.expiresAt > Date.now())) {
+            return done(null, false, { message: "link_expired" });
+          }
+          const linkUserId = link.userId;
+          if (identity && identity.userId !== linkUserId) {
+            return done(null, false, { message: "identity_in_use" });
+          }
+          if (!identity) {
+            await prisma.userIdentity.create({
+              data: { userId: linkUserId, provider: "google", providerUserId: profile.id, email },
+            });
+          }
+          const user = await prisma.user.findUnique({ where: { id: linkUserId } });
+          return done(null, user, { linked: true });
+        }
+
+        // Known Google identity: sign in to the account it belongs to
+        if (identity) {
+          await prisma.userIdentity.update({
+            where: { id: identity.id },
+            data: { email, lastUsedAt: new Date() },
           });
+          return done(null, identity.user);
         }
+
+        // An account with this email exists but Google was never linked to it:
+        // never attach silently, the owner must sign in and link it explicitly
+        const existing = await prisma.user.findUnique({ where: { email } });
+        if (existing) {
+          return done(null, false, { message: "account_exists" });
+        }
+
+        const user = await prisma.user.create({
+          data: {
+            email,
+            name: profile.displayName,
+            emailVerifiedAt: emailVerified ? new Date() : null, // Only when Google has verified the address
+            identities: {
+              create: { provider: "google", providerUserId: profile.id, email },
+            },
+          },
+        });
         return done(null, user);
       } catch (err) {
         return done(err, null);
@@ -0,0 +1,92 @@
+// Attachments Controller: files and images attached to notes
+const { pipeline } = require('stream/promises');
+const { PrismaClient } = require('@prisma/client');
+const { authorizeNote } = require('../utils/noteAccess');
+const { getStorage } = require('../storage');
+const { isImage } = require('../utils/fileType');
+const { attachmentSelect, toAttachmentJson, storeAttachments, deleteStoredFiles, storageKeysOf } = require('../utils/attachments');
+const { BadRequestError, NotFoundError } = require('../utils/errors');
+const prisma = new PrismaClient();
+
+// Helper to load an attachment of a note the user may access at the required role
+async function findAttachment(req, required) {
+  const access = await authorizeNote(req.params.id, req.user.id, required);
+  const attachment = await prisma.attachment.findFirst({
+    where: { id: req.params.attachmentId, noteId: access.note.id }
+  });
+  if (!attachment) throw new NotFoundError('Attachment not found', { code: 'ATTACHMENT_NOT_FOUND' });
+  return attachment;
+}
+
+// Helper to stream a stored file; images are shown inline, anything else is downloaded
+async function sendStoredFile(res, key, { filename, mimeType }) {
+  const stream = await getStorage().get(key);
+  if (!stream) throw new NotFoundError('Attachment file is missing', { code: 'ATTACHMENT_NOT_FOUND' });
+  res.attachment(filename);
+  if (isImage(mimeType)) res.set('Content-Disposition', res.get('Content-Disposition').replace(/^attachment/, 'inline'));
+  res.set({
+    'Content-Type': mimeType,
+    'X-Content-Type-Options': 'nosniff',
+    'Cache-Control': 'private, max-age=3600'
+  });
+  await pipeline(stream, res);
+}
+
+// GET /api/notes/:id/attachments
+async function listAttachments(req, res, next) {
+  try {
+    const access = await authorizeNote(req.params.id, req.user.id, 'VIEWER');
+    const attachments = await prisma.attachment.findMany({
+      where: { noteId: access.note.id },
+      select: attachmentSelect,
+      orderBy: { createdAt: 'asc' }
+    });
+    res.json({ success: true, data: { attachments: attachments.map(toAttachmentJson) } });
+  } catch (err) { next(err); }
+}
+
+// POST /api/notes/:id/attachments (multipart field "files"; editors may attach, the owner's quota applies)
+async function uploadAttachments(req, res, next) {
+  try {
+    const access = await authorizeNote(req.params.id, req.user.id, 'EDITOR');
+    if (!req.files || !req.files.length) throw new BadRequestError('No files uploaded', { code: 'NO_FILES' });
+    const attachments = await storeAttachments(access.note, req.files);
+    res.status(201).json({ success: true, message: 'Attachments uploaded successfully', data: { attachments } });
+  } catch (err) { next(err); }
+}
+
+// GET /api/notes/:id/attachments/:attachmentId (file content)
+async function downloadAttachment(req, res, next) {
+  try {
+    const attachment = await findAttachment(req, 'VIEWER');
+    await sendStoredFile(res, attachment.storageKey, attachment);
+  } catch (err) { next(err); }
+}
+
+// GET /api/notes/:id/attachments/:attachmentId/thumbnail (WebP, images only)
+async function downloadThumbnail(req, res, next) {
+  try {
+    const attachment = await findAttachment(req, 'VIEWER');
+    if (!attachment.thumbnailKey) throw new NotFoundError('This attachment has no thumbnail', { code: 'THUMBNAIL_NOT_FOUND' });
+    const filename = `${attachment.filename.replace(/\.[^.]*$/, '')}.thumb.webp`;
+    await sendStoredFile(res, attachment.thumbnailKey, { filename, mimeType: 'image/webp' });
+  } catch (err) { next(err); }
+}
+
+// DELETE /api/notes/:id/attachments/:attachmentId
+async function deleteAttachment(req, res, next) {
+  try {
+    const attachment = await findAttachment(req, 'EDITOR');
+    await prisma.attachment.delete({ where: { id: attachment.id } });
+    await deleteStoredFiles(storageKeysOf([attachment]));
+    res.json({ success: true, message: 'Attachment deleted' });
+  } catch (err) { next(err); }
+}
+
+module.exports = {
+  listAttachments,
+  uploadAttachments,
+  downloadAttachment,
+  downloadThumbnail,
+  deleteAttachment
+};
@@ -1,62 +0,0 @@
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
-
-const {
-  hashPassword,
-  comparePassword,
-  generateToken
-} = require('../utils/auth');
-
-
-
-const register = async (req, res) => {
-  try {
-    const { email, password, name } = req.body;
-
-    const existingUser = await prisma.user.findUnique({ where: { email } });
-    if (existingUser) {
-      return res.status(400).json({ message: 'Email already registered' });
-    }
-
-    const hashedPassword = await hashPassword(password);
-
-    const user = await prisma.user.create({
-      data: {
-        email,
-        password: hashedPassword,
-        name
-      }
-    });
-
-    const token = generateToken(user);
-    res.status(201).json({ token, user: { id: user.id, email: user.email, name: user.name } });
-  } catch (err) {
-    res.status(500).json({ message: 'Registration failed', error: err.message });
-  }
-};
-
-const login = async (req, res) => {
-  try {
-    const { email, password } = req.body;
-
-    const user = await prisma.user.findUnique({ where: { email } });
-    if (!user) {
-      return res.status(400).json({ message: 'Invalid email or password' });
-    }
-
-    const valid = await comparePassword(password, user.password);
-    if (!valid) {
-      return res.status(400).json({ message: 'Invalid email or password' });
-    }
-
-    const token = generateToken(user);
-    res.json({ token, user: { id: user.id, email: user.email, name: user.name } });
-  } catch (err) {
-    res.status(500).json({ message: 'Login failed', error: err.message });
-  }
-};
-
-module.exports = {
-  register,
-  login
-};
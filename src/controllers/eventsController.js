@@ -0,0 +1,63 @@
+// Events Controller: real-time note change stream (Server-Sent Events)
+const { subscribe, subscriberCount, latestEventId, eventsSince } = require('../utils/eventHub');
+const { AppError } = require('../utils/errors');
+
+// Comment line sent when idle so proxies keep the connection open and clients notice drops
+const HEARTBEAT_MS = parseInt(process.env.EVENTS_HEARTBEAT_SECONDS || '25') * 1000;
+// How long browsers wait before reconnecting
+const RETRY_MS = 3000;
+const MAX_STREAMS_PER_USER = parseInt(process.env.EVENTS_MAX_STREAMS || '10');
+// Longest delay setTimeout accepts
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+// Helper to format one SSE message
+function formatEvent({ id, type, data }) {
+  return `${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+// GET /api/events (resumes after the Last-Event-ID header or ?lastEventId=)
+async function streamEvents(req, res, next) {
+  try {
+    if (subscriberCount(req.user.id) >= MAX_STREAMS_PER_USER) {
+      throw new AppError('Too many open event streams', { status: 429, code: 'TOO_MANY_STREAMS' });
+    }
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const send = event => res.write(formatEvent(event));
+    const unsubscribe = subscribe(req.user.id, send);
+
+    // Replay what the client missed; when that is no longer possible it must pull GET /api/sync
+    const missed = lastEventId ? eventsSince(req.user.id, lastEventId) : [];
+    if (missed) {
+      send({ id: latestEventId(), type: 'ready', data: { heartbeatSeconds: HEARTBEAT_MS / 1000 } });
+      missed.forEach(send);
+    } else {
+      send({ id: latestEventId(), type: 'resync', data: { reason: 'Missed events are no longer available' } });
+    }
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+    // The stream ends with the access token; the client reconnects with a fresh one
+    const expiry = req.tokenExpiresAt
+      ? setTimeout(() => res.end(), Math.min(Math.max(req.tokenExpiresAt - Date.now(), 0), MAX_TIMEOUT_MS))
+      : null;
+
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      clearTimeout(expiry);
+      unsubscribe();
+    });
+  } catch (err) { next(err); }
+}
+
+module.exports = {
+  streamEvents
+};
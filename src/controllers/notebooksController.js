@@ -0,0 +1,98 @@
+// Notebooks Controller: CRUD for a user's notebooks
+const { PrismaClient } = require('@prisma/client');
+const { notifyNoteChanges } = require('../utils/noteEvents');
+const { ConflictError, NotFoundError } = require('../utils/errors');
+const prisma = new PrismaClient();
+
+// Fields returned for every notebook (with the number of notes it holds)
+const notebookSelect = {
+  id: true,
+  name: true,
+  createdAt: true,
+  updatedAt: true,
+  _count: { select: { notes: true } }
+};
+
+// GET /api/notebooks
+async function listNotebooks(req, res, next) {
+  try {
+    const notebooks = await prisma.notebook.findMany({
+      where: { userId: req.user.id },
+      select: notebookSelect,
+      orderBy: { name: 'asc' }
+    });
+    res.json({ success: true, data: { notebooks } });
+  } catch (err) { next(err); }
+}
+
+// GET /api/notebooks/:id
+async function getNotebook(req, res, next) {
+  try {
+    const notebook = await prisma.notebook.findFirst({
+      where: { id: req.params.id, userId: req.user.id },
+      select: notebookSelect
+    });
+    if (!notebook) throw new NotFoundError('Notebook not found', { code: 'NOTEBOOK_NOT_FOUND' });
+    res.json({ success: true, data: { notebook } });
+  } catch (err) { next(err); }
+}
+
+// POST /api/notebooks
+async function createNotebook(req, res, next) {
+  try {
+    const { name } = req.body;
+    const notebook = await prisma.notebook.create({
+      data: { name, userId: req.user.id },
+      select: notebookSelect
+    });
+    res.status(201).json({ success: true, message: 'Notebook created successfully', data: { notebook } });
+  } catch (err) {
+    if (err.code === 'P2002') return next(new ConflictError('A notebook with this name already exists', { code: 'NOTEBOOK_EXISTS' }));
+    next(err);
+  }
+}
+
+// PUT /api/notebooks/:id
+async function updateNotebook(req, res, next) {
+  try {
+    const { name } = req.body;
+    const existing = await prisma.notebook.findFirst({ where: { id: req.params.id, userId: req.user.id } });
+    if (!existing) throw new NotFoundError('Notebook not found', { code: 'NOTEBOOK_NOT_FOUND' });
+    const notebook = await prisma.notebook.update({
+      where: { id: existing.id },
+      data: { name },
+      select: notebookSelect
+    });
+    res.json({ success: true, message: 'Notebook updated successfully', data: { notebook } });
+  } catch (err) {
+    if (err.code === 'P2002') return next(new ConflictError('A notebook with this name already exists', { code: 'NOTEBOOK_EXISTS' }));
+    next(err);
+  }
+}
+
+// DELETE /api/notebooks/:id (its notes are kept and become unfiled)
+async function deleteNotebook(req, res, next) {
+  try {
+    const noteIds = await prisma.$transaction(async (tx) => {
+      // Locked so no note can be filed into it between listing its notes and deleting it
+      const [notebook] = await tx.$queryRaw`SELECT id FROM "Notebook" WHERE id = ${req.params.id} AND "userId" = ${req.user.id} FOR UPDATE`;
+      if (!notebook) return null;
+      const notes = await tx.note.findMany({ where: { notebookId: notebook.id }, select: { id: true } });
+      // Unfiled here rather than by the foreign key, so the notes' versions move on for sync and listeners
+      await tx.note.updateMany({ where: { notebookId: notebook.id }, data: { notebookId: null, version: { increment: 1 } } });
+      await tx.notebook.delete({ where: { id: notebook.id } });
+      return notes.map(n => n.id);
+    });
+    if (!noteIds) throw new NotFoundError('Notebook not found', { code: 'NOTEBOOK_NOT_FOUND' });
+    res.json({ success: true, message: 'Notebook deleted successfully' });
+    notifyNoteChanges('note.updated', noteIds);
+  } catch (err) { next(err); }
+}
+
+module.exports = {
+  listNotebooks,
+  getNotebook,
+  createNotebook,
+  updateNotebook,
+  deleteNotebook
+};
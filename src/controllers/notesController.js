@@ -1,5 +1,16 @@
 // Notes Controller: encapsulates all note-related business logic
 const { PrismaClient } = require('@prisma/client');
+const { recordRevision } = require('../utils/revisions');
+const { HEADLINE_MARKERS, HEADLINE_OPTIONS, buildTsQuery, headlineHtml } = require('../utils/search');
+const { getNoteAccess, authorizeNote } = require('../utils/noteAccess');
+const { setEtag, readExpectedVersion } = require('../utils/versioning');
+const { STATUS_TRANSITIONS, statusData, retentionDaysFor, purgeDate } = require('../utils/noteStatus');
+const { removeNotes, removeNoteFiles } = require('../utils/noteDeletion');
+const { cursorPage, pageResult, setLinkHeader } = require('../utils/pagination');
+const { topPosition, positionBetween, withPositionRetry } = require('../utils/notePosition');
+const { storageUsage } = require('../utils/attachments');
+const { notifyNoteChanges, notifyNotesDeleted } = require('../utils/noteEvents');
+const { BadRequestError, ConflictError, ForbiddenError, NotFoundError } = require('../utils/errors');
 const prisma = new PrismaClient();
 
 // Helper to format pagination
@@ -12,50 +23,227 @@ function buildPagination(page, limit, total) {
   };
 }
 
-// GET /api/notes (active notes with search & pagination)
-async function listActiveNotes(req, res, next) {
-  try {
-    const page = parseInt(req.query.page || '1');
-    const limit = parseInt(req.query.limit || '20');
-    const search = req.query.search;
-    const skip = (page - 1) * limit;
+// Relations returned with every note
+const noteInclude = {
+  tags: { select: { id: true, name: true, color: true } },
+  notebook: { select: { id: true, name: true } }
+};
+
+// Helper to answer a stale write with 409 and the current server copy
+async function sendConflict(res, noteId) {
+  const current = await prisma.note.findUnique({ where: { id: noteId }, include: noteInclude });
+  if (!current) throw new NotFoundError('Note not found', { code: 'NOTE_NOT_FOUND' });
+  setEtag(res, current);
+  throw new ConflictError('Note has been modified since you loaded it', {
+    code: 'VERSION_CONFLICT',
+    data: { note: current }
+  });
+}
 
-    const where = { userId: req.user.id, status: 'ACTIVE' };
-    if (search) {
-      where.OR = [
-        { title: { contains: search, mode: 'insensitive' } },
-        { content: { contains: search, mode: 'insensitive' } }
-      ];
+// Helper to apply ?tag=<tagId>&notebook=<notebookId> list filters
+function applyOrganizationFilters(where, query) {
+  if (query.tag) where.tags = { some: { id: String(query.tag) } };
+  if (query.notebook) where.notebookId = String(query.notebook);
+  return where;
+}
+
+// Helper to apply ?updatedAfter=&updatedBefore=&createdAfter=&createdBefore= list filters (After inclusive, Before exclusive)
+function applyDateFilters(where, query) {
+  const range = (after, before) => ({ ...(after && { gte: after }), ...(before && { lt: before }) });
+  if (query.updatedAfter || query.updatedBefore) where.updatedAt = range(query.updatedAfter, query.updatedBefore);
+  if (query.createdAfter || query.createdBefore) where.createdAt = range(query.createdAfter, query.createdBefore);
+  return where;
+}
+
+// Helper to fetch one cursor page of the user's notes in a status, with every list filter applied
+// (options.where adds conditions, options.leading orders by other keys before the requested sort,
+// options.sort replaces the requested sort)
+async function listNotesPage(req, status, { where: extraWhere = {}, leading, sort } = {}) {
+  const where = applyDateFilters(applyOrganizationFilters({ userId: req.user.id, status, ...extraWhere }, req.query), req.query);
+  const page = cursorPage(where, { ...req.query, ...sort }, { leading });
+  const [rows, total] = await Promise.all([
+    prisma.note.findMany({ where: page.where, include: noteInclude, orderBy: page.orderBy, take: page.take }),
+    prisma.note.count({ where })
+  ]);
+  const { items, pagination } = pageResult(rows, page);
+  return { notes: items, pagination: { ...pagination, total } };
+}
+
+// Helper to validate tagIds / notebookId from the body against the user's own tags and notebooks.
+// Returns { error } or { data } with the Prisma fields to write (undefined fields are left untouched).
+async function resolveOrganization(userId, { tagIds, notebookId }) {
+  const data = {};
+  if (tagIds !== undefined) {
+    if (!Array.isArray(tagIds) || tagIds.some(id => typeof id !== 'string')) {
+      return { error: 'tagIds must be an array of tag ids' };
+    }
+    const ids = [...new Set(tagIds)];
+    const count = await prisma.tag.count({ where: { id: { in: ids }, userId } });
+    if (count !== ids.length) return { error: 'One or more tags not found' };
+    data.tags = { set: ids.map(id => ({ id })) };
+  }
+  if (notebookId !== undefined) {
+    if (notebookId !== null) {
+      if (typeof notebookId !== 'string') return { error: 'notebookId must be a notebook id or null' };
+      const notebook = await prisma.notebook.findFirst({ where: { id: notebookId, userId } });
+      if (!notebook) return { error: 'Notebook not found' };
     }
+    data.notebookId = notebookId;
+  }
+  return { data };
+}
 
-    const [notes, total] = await Promise.all([
-      prisma.note.findMany({ where, orderBy: { updatedAt: 'desc' }, skip, take: limit }),
-      prisma.note.count({ where })
-    ]);
+// Helper to pick the due date and reminder fields of a write (undefined fields are left untouched).
+// A recurrence repeats remindAt, so it needs one; clearing remindAt also ends the series.
+function scheduleData({ dueAt, remindAt, recurrence, reminderChannel }, existing = {}) {
+  const data = { dueAt, remindAt, recurrence, reminderChannel };
+  if (remindAt === null && recurrence === undefined) data.recurrence = null;
+  const nextRemindAt = remindAt !== undefined ? remindAt : existing.remindAt;
+  const nextRecurrence = data.recurrence !== undefined ? data.recurrence : existing.recurrence;
+  if (nextRecurrence && !nextRemindAt) {
+    throw new BadRequestError('A recurring reminder needs a remindAt', { code: 'RECURRENCE_WITHOUT_REMINDER' });
+  }
+  return data;
+}
 
-    res.json({ success: true, data: { notes, pagination: buildPagination(page, limit, total) } });
+// Upcoming and overdue views list the soonest due date first
+const DUE_SORT = { sort: 'dueAt', order: 'asc' };
+
+// GET /api/notes (active notes, pinned first, with search & cursor pagination; query validated by validators/notes.js)
+async function listActiveNotes(req, res, next) {
+  try {
+    const { search } = req.query;
+    const searchWhere = search
+      ? {
+          OR: [
+            { title: { contains: search, mode: 'insensitive' } },
+            { content: { contains: search, mode: 'insensitive' } }
+          ]
+        }
+      : {};
+
+    const { notes, pagination } = await listNotesPage(req, 'ACTIVE', {
+      where: searchWhere,
+      leading: [{ field: 'pinned', order: 'desc' }]
+    });
+    setLinkHeader(req, res, pagination.nextCursor);
+    res.json({ success: true, data: { notes, pagination } });
   } catch (err) { next(err); }
 }
 
-// GET /api/notes/archived
+// GET /api/notes/archived (same pagination, sorting and filters as GET /api/notes)
 async function listArchivedNotes(req, res, next) {
   try {
-    const notes = await prisma.note.findMany({
-      where: { userId: req.user.id, status: 'ARCHIVED' },
-      orderBy: { updatedAt: 'desc' }
-    });
-    res.json({ success: true, data: { notes } });
+    const { notes, pagination } = await listNotesPage(req, 'ARCHIVED');
+    setLinkHeader(req, res, pagination.nextCursor);
+    res.json({ success: true, data: { notes, pagination } });
+  } catch (err) { next(err); }
+}
+
+// GET /api/notes/upcoming (active notes due within ?days=, default 7)
+async function listUpcomingNotes(req, res, next) {
+  try {
+    const now = new Date();
+    const until = new Date(now.getTime() + req.query.days * 24 * 60 * 60 * 1000);
+    const { notes, pagination } = await listNotesPage(req, 'ACTIVE', { where: { dueAt: { gte: now, lt: until } }, sort: DUE_SORT });
+    setLinkHeader(req, res, pagination.nextCursor);
+    res.json({ success: true, data: { notes, pagination } });
   } catch (err) { next(err); }
 }
 
-// GET /api/notes/trash
+// GET /api/notes/overdue (active notes past their due date, longest overdue first)
+async function listOverdueNotes(req, res, next) {
+  try {
+    const { notes, pagination } = await listNotesPage(req, 'ACTIVE', { where: { dueAt: { lt: new Date() } }, sort: DUE_SORT });
+    setLinkHeader(req, res, pagination.nextCursor);
+    res.json({ success: true, data: { notes, pagination } });
+  } catch (err) { next(err); }
+}
+
+// GET /api/notes/trash (each note carries the date it will be purged)
 async function listTrashedNotes(req, res, next) {
   try {
-    const notes = await prisma.note.findMany({
-      where: { userId: req.user.id, status: 'TRASH' },
-      orderBy: { updatedAt: 'desc' }
+    const [{ notes, pagination }, user] = await Promise.all([
+      listNotesPage(req, 'TRASH'),
+      prisma.user.findUnique({ where: { id: req.user.id }, select: { trashRetentionDays: true } })
+    ]);
+    const retentionDays = retentionDaysFor(user);
+    setLinkHeader(req, res, pagination.nextCursor);
+    res.json({
+      success: true,
+      data: {
+        notes: notes.map(note => ({ ...note, purgeAt: purgeDate(note, retentionDays) })),
+        pagination,
+        retentionDays
+      }
     });
-    res.json({ success: true, data: { notes } });
+  } catch (err) { next(err); }
+}
+
+// DELETE /api/notes/trash (permanently delete every trashed note)
+async function emptyTrash(req, res, next) {
+  try {
+    const deleted = await prisma.$transaction(tx => removeNotes(tx, { userId: req.user.id, status: 'TRASH' }));
+    await removeNoteFiles(deleted);
+    res.json({ success: true, message: 'Trash emptied', data: { deleted: deleted.length } });
+    notifyNotesDeleted(deleted);
+  } catch (err) { next(err); }
+}
+
+// PUT /api/notes/trash/retention ({ days }: 0 keeps trashed notes until deleted by hand)
+async function updateTrashRetention(req, res, next) {
+  try {
+    const { days } = req.body;
+    await prisma.user.update({ where: { id: req.user.id }, data: { trashRetentionDays: days } });
+    res.json({ success: true, message: 'Trash retention updated', data: { retentionDays: days } });
+  } catch (err) { next(err); }
+}
+
+// GET /api/notes/search?q=...&status=active,archived|all (full-text search ranked by relevance)
+async function searchNotes(req, res, next) {
+  try {
+    const tsquery = buildTsQuery(req.query.q);
+    if (!tsquery) throw new BadRequestError('Search query is required');
+
+    const allStatuses = ['ACTIVE', 'ARCHIVED', 'TRASH'];
+    const requested = String(req.query.status || 'active').toUpperCase();
+    const statuses = requested === 'ALL' ? allStatuses : requested.split(',');
+
+    const { page, limit } = req.query;
+    const skip = (page - 1) * limit;
+
+    // Rank and paginate on the GIN-indexed tsvector first, then build headlines only for the page
+    const [notes, [{ total }]] = await Promise.all([
+      prisma.$queryRaw`
+        SELECT n.id, n.title, n.status, n."createdAt", n."updatedAt", n."notebookId", ranked.rank,
+          ts_headline('english', translate(n.title, ${HEADLINE_MARKERS}, ''), ranked.q, ${HEADLINE_OPTIONS.title}) AS "titleHighlight",
+          ts_headline('english', translate(n.content, ${HEADLINE_MARKERS}, ''), ranked.q, ${HEADLINE_OPTIONS.snippet}) AS snippet
+        FROM (
+          SELECT note.id, q, ts_rank_cd(note."searchVector", q) AS rank, note."updatedAt"
+          FROM "Note" note, to_tsquery('english', ${tsquery}) q
+          WHERE note."userId" = ${req.user.id}
+            AND note.status::text = ANY(${statuses})
+            AND note."searchVector" @@ q
+          ORDER BY rank DESC, note."updatedAt" DESC
+          LIMIT ${limit} OFFSET ${skip}
+        ) ranked
+        JOIN "Note" n ON n.id = ranked.id
+        ORDER BY ranked.rank DESC, ranked."updatedAt" DESC`,
+      prisma.$queryRaw`
+        SELECT COUNT(*)::int AS total
+        FROM "Note" note
+        WHERE note."userId" = ${req.user.id}
+          AND note.status::text = ANY(${statuses})
+          AND note."searchVector" @@ to_tsquery('english', ${tsquery})`
+    ]);
+
+    // The highlights are HTML: note text escaped, matches wrapped in <mark>
+    const results = notes.map(note => ({
+      ...note,
+      titleHighlight: headlineHtml(note.titleHighlight),
+      snippet: headlineHtml(note.snippet)
+    }));
+    res.json({ success: true, data: { notes: results, pagination: buildPagination(page, limit, total) } });
   } catch (err) { next(err); }
 }
 
@@ -69,6 +257,24 @@ async function notesStats(req, res, next) {
     });
     const out = { active: 0, archived: 0, trash: 0 };
     stats.forEach(s => { out[s.status.toLowerCase()] = s._count.status; });
+
+    // Pinned / favorite counts exclude trashed notes
+    const notTrashed = { userId: req.user.id, status: { not: 'TRASH' } };
+    [out.pinned, out.favorite] = await Promise.all([
+      prisma.note.count({ where: { ...notTrashed, pinned: true } }),
+      prisma.note.count({ where: { ...notTrashed, favorite: true } })
+    ]);
+
+    // Per tag / per notebook counts exclude trashed notes
+    const countSelect = { id: true, name: true, _count: { select: { notes: { where: { status: { not: 'TRASH' } } } } } };
+    const [tags, notebooks] = await Promise.all([
+      prisma.tag.findMany({ where: { userId: req.user.id }, select: countSelect, orderBy: { name: 'asc' } }),
+      prisma.notebook.findMany({ where: { userId: req.user.id }, select: countSelect, orderBy: { name: 'asc' } })
+    ]);
+    out.tags = tags.map(t => ({ id: t.id, name: t.name, count: t._count.notes }));
+    out.notebooks = notebooks.map(n => ({ id: n.id, name: n.name, count: n._count.notes }));
+    out.storage = await storageUsage(req.user.id);
+
     res.json({ success: true, data: { stats: out } });
   } catch (err) { next(err); }
 }
@@ -76,78 +282,243 @@ async function notesStats(req, res, next) {
 // GET /api/notes/:id
 async function getNote(req, res, next) {
   try {
-    const note = await prisma.note.findFirst({
-      where: { id: req.params.id, userId: req.user.id }
-    });
-    if (!note) return res.status(404).json({ success: false, error: 'Note not found' });
-    res.json({ success: true, data: { note } });
+    const access = await authorizeNote(req.params.id, req.user.id, 'VIEWER', { include: noteInclude });
+    setEtag(res, access.note);
+    res.json({ success: true, data: { note: access.note, access: access.role } });
   } catch (err) { next(err); }
 }
 
 // POST /api/notes
 async function createNote(req, res, next) {
   try {
-    const { title, content } = req.body;
-    if (!title || !content || !title.trim() || !content.trim()) {
-      return res.status(400).json({ success: false, error: 'Title and content are required' });
-    }
-    const note = await prisma.note.create({
-      data: { title: title.trim(), content: content.trim(), userId: req.user.id, status: 'ACTIVE' }
-    });
+    const { title, content, tagIds, notebookId, pinned, favorite, color } = req.body;
+    const schedule = scheduleData(req.body);
+    const organization = await resolveOrganization(req.user.id, { tagIds, notebookId });
+    if (organization.error) throw new BadRequestError(organization.error);
+    // New notes go to the top of the user's manual order
+    const note = await withPositionRetry(async () => prisma.note.create({
+      data: {
+        title, content, userId: req.user.id, status: 'ACTIVE', pinned, favorite, color, ...schedule,
+        position: await topPosition(prisma, req.user.id),
+        ...organization.data
+      },
+      include: noteInclude
+    }));
+    setEtag(res, note);
     res.status(201).json({ success: true, message: 'Note created successfully', data: { note } });
+    notifyNoteChanges('note.created', note.id);
   } catch (err) { next(err); }
 }
 
-// PUT /api/notes/:id
+// PUT /api/notes/:id (conditional with If-Match or body.version)
 async function updateNote(req, res, next) {
   try {
-    const { title, content } = req.body;
-    if (!title || !content) return res.status(400).json({ success: false, error: 'Title and content are required' });
-    const existing = await prisma.note.findFirst({ where: { id: req.params.id, userId: req.user.id } });
-    if (!existing) return res.status(404).json({ success: false, error: 'Note not found' });
-    const updated = await prisma.note.update({ where: { id: req.params.id }, data: { title: title.trim(), content: content.trim() } });
+    const { title, content, tagIds, notebookId } = req.body;
+    const expected = readExpectedVersion(req);
+    if (expected.error) throw new BadRequestError(expected.error);
+    const access = await authorizeNote(req.params.id, req.user.id, 'EDITOR');
+    const existing = access.note;
+    if (expected.version !== null && expected.version !== existing.version) return sendConflict(res, existing.id);
+    // Tags and notebooks belong to the owner, so collaborators may only edit the text
+    if (access.role !== 'OWNER' && (tagIds !== undefined || notebookId !== undefined)) {
+      throw new ForbiddenError('Only the owner can change tags or notebook');
+    }
+    const organization = await resolveOrganization(req.user.id, { tagIds, notebookId });
+    if (organization.error) throw new BadRequestError(organization.error);
+    const { tags, ...fields } = { title, content, ...organization.data };
+    const textChanged = fields.title !== existing.title || fields.content !== existing.content;
+    const updated = await prisma.$transaction(async (tx) => {
+      // Only write if nobody else has bumped the version since we read the note
+      const result = await tx.note.updateMany({
+        where: { id: existing.id, version: existing.version },
+        data: { ...fields, version: { increment: 1 } }
+      });
+      if (result.count === 0) return null;
+      // Snapshot the previous text as an immutable revision
+      if (textChanged) await recordRevision(tx, existing);
+      return tx.note.update({ where: { id: existing.id }, data: tags ? { tags } : {}, include: noteInclude });
+    });
+    if (!updated) return sendConflict(res, existing.id);
+    setEtag(res, updated);
     res.json({ success: true, message: 'Note updated successfully', data: { note: updated } });
+    notifyNoteChanges('note.updated', updated.id);
   } catch (err) { next(err); }
 }
 
-// PUT helpers for status transitions
-async function transitionStatus(req, res, next, fromStatuses, toStatus, notFoundMsg) {
+// PATCH /api/notes/:id (pinned, favorite, color, due date and reminder; owner only, conditional like PUT)
+async function updateNoteAttributes(req, res, next) {
   try {
+    const { pinned, favorite, color } = req.body;
+    const expected = readExpectedVersion(req);
+    if (expected.error) throw new BadRequestError(expected.error);
+    const access = await authorizeNote(req.params.id, req.user.id, 'OWNER');
+    const existing = access.note;
+    if (expected.version !== null && expected.version !== existing.version) return sendConflict(res, existing.id);
+    const schedule = scheduleData(req.body, existing);
     const result = await prisma.note.updateMany({
-      where: { id: req.params.id, userId: req.user.id, status: { in: fromStatuses } },
-      data: { status: toStatus }
+      where: { id: existing.id, version: existing.version },
+      data: { pinned, favorite, color, ...schedule, version: { increment: 1 } }
     });
-    if (result.count === 0) return res.status(404).json({ success: false, error: notFoundMsg });
-    res.json({ success: true, message: `Note ${toStatus.toLowerCase()} successfully` });
+    if (result.count === 0) return sendConflict(res, existing.id);
+    const note = await prisma.note.findUnique({ where: { id: existing.id }, include: noteInclude });
+    setEtag(res, note);
+    res.json({ success: true, message: 'Note updated successfully', data: { note } });
+    notifyNoteChanges('note.updated', note.id);
   } catch (err) { next(err); }
 }
 
-function archiveNote(req, res, next) { return transitionStatus(req, res, next, ['ACTIVE'], 'ARCHIVED', 'Active note not found'); }
-function unarchiveNote(req, res, next) { return transitionStatus(req, res, next, ['ARCHIVED'], 'ACTIVE', 'Archived note not found'); }
-function trashNote(req, res, next) { return transitionStatus(req, res, next, ['ACTIVE', 'ARCHIVED'], 'TRASH', 'Note not found or already trashed'); }
-function restoreNote(req, res, next) { return transitionStatus(req, res, next, ['TRASH'], 'ACTIVE', 'Trashed note not found'); }
+// PUT /api/notes/:id/position ({ afterId, beforeId }: drop the note between two neighbours; owner only)
+async function moveNote(req, res, next) {
+  try {
+    const { afterId, beforeId } = req.body;
+    const access = await authorizeNote(req.params.id, req.user.id, 'OWNER');
+    const note = await withPositionRetry(async () => prisma.note.update({
+      where: { id: access.note.id },
+      data: { position: await positionBetween(prisma, req.user.id, access.note.id, { afterId, beforeId }), version: { increment: 1 } },
+      include: noteInclude
+    }));
+    setEtag(res, note);
+    res.json({ success: true, message: 'Note moved successfully', data: { note } });
+    notifyNoteChanges('note.updated', note.id);
+  } catch (err) { next(err); }
+}
+
+// PUT helpers for status transitions (conditional with If-Match or body.version)
+async function transitionStatus(req, res, next, action) {
+  const { from: fromStatuses, to: toStatus, notFound: notFoundMsg } = STATUS_TRANSITIONS[action];
+  try {
+    const expected = readExpectedVersion(req);
+    if (expected.error) throw new BadRequestError(expected.error);
+    const where = { id: req.params.id, userId: req.user.id, status: { in: fromStatuses } };
+    if (expected.version !== null) where.version = expected.version;
+    const result = await prisma.note.updateMany({
+      where,
+      data: { ...statusData(toStatus), version: { increment: 1 } }
+    });
+    if (result.count === 0) {
+      // Status changes are reserved for the owner; tell collaborators instead of pretending it is missing
+      const access = await getNoteAccess(req.params.id, req.user.id);
+      if (access && access.role !== 'OWNER') {
+        throw new ForbiddenError('Only the owner of this note can do that');
+      }
+      if (access && expected.version !== null && access.note.version !== expected.version) {
+        return sendConflict(res, access.note.id);
+      }
+      throw new NotFoundError(notFoundMsg);
+    }
+    const note = await prisma.note.findUnique({ where: { id: req.params.id }, include: noteInclude });
+    setEtag(res, note);
+    res.json({ success: true, message: `Note ${toStatus.toLowerCase()} successfully`, data: { note } });
+    notifyNoteChanges('note.status_changed', note.id);
+  } catch (err) { next(err); }
+}
+
+function archiveNote(req, res, next) { return transitionStatus(req, res, next, 'archive'); }
+function unarchiveNote(req, res, next) { return transitionStatus(req, res, next, 'unarchive'); }
+function trashNote(req, res, next) { return transitionStatus(req, res, next, 'trash'); }
+function restoreNote(req, res, next) { return transitionStatus(req, res, next, 'restore'); }
+
+// POST /api/notes/bulk ({ action, ids, tagIds?, notebookId? } applied in one transaction)
+async function bulkNotes(req, res, next) {
+  try {
+    const { action, ids, tagIds, notebookId } = req.body;
+
+    let organization = { data: {} };
+    if (action === 'tag') organization = await resolveOrganization(req.user.id, { tagIds });
+    if (action === 'move') organization = await resolveOrganization(req.user.id, { notebookId });
+    if (organization.error) throw new BadRequestError(organization.error);
+
+    const uniqueIds = [...new Set(ids)];
+    let removed = [];
+    const results = await prisma.$transaction(async (tx) => {
+      const notes = await tx.note.findMany({
+        where: { id: { in: uniqueIds }, userId: req.user.id },
+        select: { id: true, status: true }
+      });
+      const byId = new Map(notes.map(n => [n.id, n]));
+      const failures = new Map(uniqueIds.filter(id => !byId.has(id)).map(id => [id, 'Note not found']));
+
+      // Status transitions follow the same rules as the single-note routes
+      let eligible = notes.map(n => n.id);
+      const transition = STATUS_TRANSITIONS[action];
+      if (transition) {
+        eligible = notes.filter(n => transition.from.includes(n.status)).map(n => n.id);
+        notes.filter(n => !transition.from.includes(n.status)).forEach(n => failures.set(n.id, transition.notFound));
+      }
+
+      if (eligible.length) {
+        if (transition) {
+          await tx.note.updateMany({
+            where: { id: { in: eligible } },
+            data: { ...statusData(transition.to), version: { increment: 1 } }
+          });
+        } else if (action === 'delete') {
+          removed = await removeNotes(tx, { id: { in: eligible } });
+        } else if (action === 'move') {
+          await tx.note.updateMany({
+            where: { id: { in: eligible } },
+            data: { notebookId: organization.data.notebookId, version: { increment: 1 } }
+          });
+        } else if (action === 'tag') {
+          // Adds the tags; tags already on a note are left as they are
+          const connect = organization.data.tags.set;
+          for (const id of eligible) {
+            await tx.note.update({ where: { id }, data: { tags: { connect }, version: { increment: 1 } } });
+          }
+        }
+      }
+
+      return ids.map(id => (failures.has(id)
+        ? { id, success: false, error: failures.get(id) }
+        : { id, success: true }));
+    }, { timeout: 30000 });
+    await removeNoteFiles(removed);
+
+    const failed = results.filter(r => !r.success).length;
+    res.json({
+      success: true,
+      message: `Bulk ${action} completed`,
+      data: { results, summary: { succeeded: results.length - failed, failed } }
+    });
+    notifyNotesDeleted(removed);
+    if (action !== 'delete') {
+      const changed = results.filter(r => r.success).map(r => r.id);
+      notifyNoteChanges(STATUS_TRANSITIONS[action] ? 'note.status_changed' : 'note.updated', changed);
+    }
+  } catch (err) { next(err); }
+}
 
 // DELETE /api/notes/:id
 async function deleteNote(req, res, next) {
   try {
-    const existing = await prisma.note.findFirst({ where: { id: req.params.id, userId: req.user.id } });
-    if (!existing) return res.status(404).json({ success: false, error: 'Note not found' });
-    await prisma.note.delete({ where: { id: req.params.id } });
+    const access = await authorizeNote(req.params.id, req.user.id, 'OWNER');
+    // Leaves a tombstone so syncing clients learn about the hard delete
+    const deleted = await prisma.$transaction(tx => removeNotes(tx, { id: access.note.id }));
+    await removeNoteFiles(deleted);
     res.json({ success: true, message: 'Note permanently deleted' });
+    notifyNotesDeleted(deleted);
   } catch (err) { next(err); }
 }
 
 module.exports = {
   listActiveNotes,
   listArchivedNotes,
+  listUpcomingNotes,
+  listOverdueNotes,
   listTrashedNotes,
+  emptyTrash,
+  updateTrashRetention,
+  searchNotes,
   notesStats,
   getNote,
   createNote,
   updateNote,
+  updateNoteAttributes,
+  moveNote,
   archiveNote,
   unarchiveNote,
   trashNote,
   restoreNote,
+  bulkNotes,
   deleteNote
 };
@@ -0,0 +1,77 @@
+// Revisions Controller: history, diff and rollback for a user's notes
+const { PrismaClient } = require('@prisma/client');
+const { recordRevision } = require('../utils/revisions');
+const { diffLines } = require('../utils/diff');
+const { authorizeNote } = require('../utils/noteAccess');
+const { setEtag } = require('../utils/versioning');
+const { notifyNoteChanges } = require('../utils/noteEvents');
+const { ConflictError, NotFoundError } = require('../utils/errors');
+const prisma = new PrismaClient();
+
+// GET /api/notes/:id/revisions
+async function listRevisions(req, res, next) {
+  try {
+    const access = await authorizeNote(req.params.id, req.user.id, 'VIEWER');
+    const note = access.note;
+    const revisions = await prisma.noteRevision.findMany({
+      where: { noteId: note.id },
+      orderBy: { revision: 'desc' },
+      select: { id: true, revision: true, title: true, createdAt: true }
+    });
+    res.json({ success: true, data: { revisions } });
+  } catch (err) { next(err); }
+}
+
+// GET /api/notes/:id/revisions/:rev (revision plus line diff against the current text)
+async function getRevision(req, res, next) {
+  try {
+    const { rev } = req.params;
+    const access = await authorizeNote(req.params.id, req.user.id, 'VIEWER');
+    const note = access.note;
+    const revision = await prisma.noteRevision.findUnique({
+      where: { noteId_revision: { noteId: note.id, revision: rev } }
+    });
+    if (!revision) throw new NotFoundError('Revision not found', { code: 'REVISION_NOT_FOUND' });
+    const diff = {
+      title: revision.title === note.title ? null : { from: revision.title, to: note.title },
+      content: diffLines(revision.content, note.content)
+    };
+    res.json({ success: true, data: { revision, diff } });
+  } catch (err) { next(err); }
+}
+
+// POST /api/notes/:id/revisions/:rev/restore
+async function restoreRevision(req, res, next) {
+  try {
+    const { rev } = req.params;
+    const access = await authorizeNote(req.params.id, req.user.id, 'EDITOR');
+    const note = access.note;
+    const revision = await prisma.noteRevision.findUnique({
+      where: { noteId_revision: { noteId: note.id, revision: rev } }
+    });
+    if (!revision) throw new NotFoundError('Revision not found', { code: 'REVISION_NOT_FOUND' });
+    // The current text becomes a revision itself, so a restore can be undone
+    const restored = await prisma.$transaction(async (tx) => {
+      // Only write if nobody else has bumped the version since we read the note
+      const result = await tx.note.updateMany({
+        where: { id: note.id, version: note.version },
+        data: { title: revision.title, content: revision.content, version: { increment: 1 } }
+      });
+      if (result.count === 0) return null;
+      await recordRevision(tx, note);
+      return tx.note.findUnique({ where: { id: note.id } });
+    });
+    if (!restored) {
+      throw new ConflictError('Note has been modified since you loaded it', { code: 'VERSION_CONFLICT' });
+    }
+    setEtag(res, restored);
+    res.json({ success: true, message: `Note restored to revision ${rev}`, data: { note: restored } });
+    notifyNoteChanges('note.updated', restored.id);
+  } catch (err) { next(err); }
+}
+
+module.exports = {
+  listRevisions,
+  getRevision,
+  restoreRevision
+};
@@ -0,0 +1,146 @@
+// Shares Controller: per-user note sharing and public read-only links
+const { PrismaClient } = require('@prisma/client');
+const { generateSecret, hashToken } = require('../utils/auth');
+const { authorizeNote } = require('../utils/noteAccess');
+const { BadRequestError, NotFoundError } = require('../utils/errors');
+const prisma = new PrismaClient();
+
+// Fields returned for every share
+const shareSelect = {
+  id: true,
+  permission: true,
+  createdAt: true,
+  updatedAt: true,
+  user: { select: { id: true, name: true, email: true } }
+};
+
+// Fields returned for every public link (the token itself is only shown once, on creation)
+const linkSelect = { id: true, expiresAt: true, revokedAt: true, createdAt: true };
+
+// POST /api/notes/:id/shares (grant or change another user's access)
+async function createShare(req, res, next) {
+  try {
+    const { email, permission = 'VIEWER' } = req.body;
+    const access = await authorizeNote(req.params.id, req.user.id, 'OWNER');
+    const grantee = await prisma.user.findUnique({ where: { email } });
+    if (!grantee) throw new NotFoundError('No registered user with this email');
+    if (grantee.id === req.user.id) throw new BadRequestError('You cannot share a note with yourself');
+    const share = await prisma.noteShare.upsert({
+      where: { noteId_userId: { noteId: access.note.id, userId: grantee.id } },
+      create: { noteId: access.note.id, userId: grantee.id, permission },
+      update: { permission },
+      select: shareSelect
+    });
+    res.status(201).json({ success: true, message: 'Note shared successfully', data: { share } });
+  } catch (err) { next(err); }
+}
+
+// GET /api/notes/:id/shares (owner only: shares and public links of a note)
+async function listShares(req, res, next) {
+  try {
+    const access = await authorizeNote(req.params.id, req.user.id, 'OWNER');
+    const [shares, links] = await Promise.all([
+      prisma.noteShare.findMany({ where: { noteId: access.note.id }, select: shareSelect, orderBy: { createdAt: 'asc' } }),
+      prisma.publicLink.findMany({ where: { noteId: access.note.id }, select: linkSelect, orderBy: { createdAt: 'desc' } })
+    ]);
+    res.json({ success: true, data: { shares, links } });
+  } catch (err) { next(err); }
+}
+
+// DELETE /api/notes/:id/shares/:shareId (owner revokes, or a collaborator leaves)
+async function deleteShare(req, res, next) {
+  try {
+    const share = await prisma.noteShare.findFirst({
+      where: { id: req.params.shareId, noteId: req.params.id },
+      include: { note: { select: { userId: true } } }
+    });
+    const allowed = share && (share.note.userId === req.user.id || share.userId === req.user.id);
+    if (!allowed) throw new NotFoundError('Share not found');
+    await prisma.noteShare.delete({ where: { id: share.id } });
+    res.json({ success: true, message: 'Share removed successfully' });
+  } catch (err) { next(err); }
+}
+
+// GET /api/notes/shared-with-me
+async function listSharedWithMe(req, res, next) {
+  try {
+    const shares = await prisma.noteShare.findMany({
+      where: { userId: req.user.id, note: { status: { not: 'TRASH' } } },
+      include: {
+        note: {
+          select: {
+            id: true,
+            title: true,
+            content: true,
+            status: true,
+            createdAt: true,
+            updatedAt: true,
+            user: { select: { id: true, name: true, email: true } }
+          }
+        }
+      },
+      orderBy: { note: { updatedAt: 'desc' } }
+    });
+    const notes = shares.map(({ note: { user, ...note }, permission }) => ({ ...note, owner: user, permission }));
+    res.json({ success: true, data: { notes } });
+  } catch (err) { next(err); }
+}
+
+// POST /api/notes/:id/links (optional body: { expiresAt })
+async function createPublicLink(req, res, next) {
+  try {
+    const { expiresAt: expiry } = req.body || {};
+    const expiresAt = expiry ? new Date(expiry) : null;
+    const access = await authorizeNote(req.params.id, req.user.id, 'OWNER');
+    const token = generateSecret(24);
+    const link = await prisma.publicLink.create({
+      data: { noteId: access.note.id, tokenHash: hashToken(token), expiresAt },
+      select: linkSelect
+    });
+    res.status(201).json({
+      success: true,
+      message: 'Public link created successfully',
+      data: { link: { ...link, token, path: `/api/public/notes/${token}` } }
+    });
+  } catch (err) { next(err); }
+}
+
+// DELETE /api/notes/:id/links/:linkId
+async function revokePublicLink(req, res, next) {
+  try {
+    const access = await authorizeNote(req.params.id, req.user.id, 'OWNER');
+    const result = await prisma.publicLink.updateMany({
+      where: { id: req.params.linkId, noteId: access.note.id, revokedAt: null },
+      data: { revokedAt: new Date() }
+    });
+    if (result.count === 0) throw new NotFoundError('Active link not found');
+    res.json({ success: true, message: 'Public link revoked successfully' });
+  } catch (err) { next(err); }
+}
+
+// GET /api/public/notes/:token (no authentication)
+async function getPublicNote(req, res, next) {
+  try {
+    const link = await prisma.publicLink.findUnique({
+      where: { tokenHash: hashToken(req.params.token) },
+      include: { note: { select: { id: true, title: true, content: true, status: true, createdAt: true, updatedAt: true } } }
+    });
+    const valid = link
+      && !link.revokedAt
+      && (!link.expiresAt || link.expiresAt > new Date())
+      && link.note.status !== 'TRASH';
+    if (!valid) throw new NotFoundError('Link not found or expired');
+    const { status, ...note } = link.note;
+    res.json({ success: true, data: { note, expiresAt: link.expiresAt } });
+  } catch (err) { next(err); }
+}
+
+module.exports = {
+  createShare,
+  listShares,
+  deleteShare,
+  listSharedWithMe,
+  createPublicLink,
+  revokePublicLink,
+  getPublicNote
+};
@@ -0,0 +1,214 @@
+// Sync Controller: delta pulls and batched offline pushes for the mobile client
+const { PrismaClient } = require('@prisma/client');
+const { recordRevision } = require('../utils/revisions');
+const { STATUS_TRANSITIONS, statusData } = require('../utils/noteStatus');
+const { removeNotes, removeNoteFiles, tombstoneCutoff } = require('../utils/noteDeletion');
+const { topPosition, withPositionRetry } = require('../utils/notePosition');
+const { notifyNoteChanges, notifyNotesDeleted } = require('../utils/noteEvents');
+const { hasScope } = require('../utils/apiKeys');
+const { BadRequestError, ForbiddenError } = require('../utils/errors');
+const { LIMITS } = require('../validators/common');
+const prisma = new PrismaClient();
+
+// Pulls look this far behind the cursor so writes that committed slightly out of
+// order are not missed; clients must treat changes as idempotent upserts by id
+const SYNC_OVERLAP_MS = parseInt(process.env.SYNC_OVERLAP_MS || '5000');
+
+// Shape of notes sent to syncing clients
+const syncNoteInclude = { tags: { select: { id: true } } };
+
+// Helpers to encode / decode the opaque sync cursor
+function encodeCursor(date) {
+  return Buffer.from(JSON.stringify({ t: date.toISOString() })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { t } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const date = new Date(t);
+    return isNaN(date.getTime()) ? null : date;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Check pushed text against the limits of the notes endpoints (see validators/notes.js)
+function textError({ title, content }) {
+  if (title !== undefined && title.length > LIMITS.title) return `Title must be at most ${LIMITS.title} characters`;
+  if (content !== undefined && content.length > LIMITS.content) return `Content must be at most ${LIMITS.content} characters`;
+  return null;
+}
+
+// GET /api/sync?since=<cursor> (omit since for a full pull)
+async function pullChanges(req, res, next) {
+  try {
+    let since = null;
+    if (req.query.since) {
+      since = decodeCursor(req.query.since);
+      if (!since) throw new BadRequestError('Invalid sync cursor');
+    }
+
+    // The next cursor is taken before reading so nothing written meanwhile is skipped
+    const now = new Date();
+    let after = since ? new Date(since.getTime() - SYNC_OVERLAP_MS) : null;
+    // Tombstones older than the retention period are gone, so such a cursor gets a full pull
+    const cutoff = tombstoneCutoff();
+    if (after && cutoff && after < cutoff) after = null;
+
+    const [notes, deleted] = await Promise.all([
+      prisma.note.findMany({
+        where: { userId: req.user.id, ...(after && { updatedAt: { gt: after } }) },
+        include: syncNoteInclude,
+        orderBy: { updatedAt: 'asc' }
+      }),
+      after
+        ? prisma.noteTombstone.findMany({
+            where: { userId: req.user.id, deletedAt: { gt: after } },
+            select: { noteId: true, deletedAt: true },
+            orderBy: { deletedAt: 'asc' }
+          })
+        : []
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        notes,
+        deleted: deleted.map(t => ({ id: t.noteId, deletedAt: t.deletedAt })),
+        cursor: encodeCursor(now),
+        full: !after
+      }
+    });
+  } catch (err) { next(err); }
+}
+
+// Apply one offline mutation inside the batch transaction and describe the outcome
+// (hard-deleted notes are appended to `removed` so their files can be deleted after commit)
+async function applyMutation(tx, userId, mutation, idMap, removed) {
+  const { op, clientId } = mutation;
+  const report = { op, clientId };
+
+  if (op === 'create') {
+    const { title, content } = mutation;
+    if (!title || !content || !title.trim() || !content.trim()) {
+      return { ...report, status: 'rejected', error: 'Title and content are required' };
+    }
+    const error = textError({ title: title.trim(), content: content.trim() });
+    if (error) return { ...report, status: 'rejected', error };
+    const position = await topPosition(tx, userId);
+    const note = await tx.note.create({
+      data: { title: title.trim(), content: content.trim(), userId, status: 'ACTIVE', position },
+      include: syncNoteInclude
+    });
+    if (clientId) idMap.set(clientId, note.id);
+    return { ...report, id: note.id, status: 'applied', note };
+  }
+
+  if (op !== 'update' && op !== 'delete' && !STATUS_TRANSITIONS[op]) {
+    return { ...report, status: 'rejected', error: `Unknown operation: ${op}` };
+  }
+
+  // Later mutations may refer to notes created earlier in the same batch by clientId
+  const id = idMap.get(mutation.id) || mutation.id;
+  report.id = id;
+  const note = id ? await tx.note.findFirst({ where: { id, userId }, include: syncNoteInclude }) : null;
+
+  if (!note) {
+    // Deleting something that is already gone is not an error for an offline client
+    if (op === 'delete' && id && await tx.noteTombstone.findFirst({ where: { noteId: id, userId } })) {
+      return { ...report, status: 'applied' };
+    }
+    return { ...report, status: 'rejected', error: 'Note not found' };
+  }
+
+  if (mutation.version !== undefined && mutation.version !== note.version) {
+    return { ...report, status: 'conflict', error: 'Note has been modified on the server', note };
+  }
+
+  if (op === 'delete') {
+    removed.push(...await removeNotes(tx, { id }));
+    return { ...report, status: 'applied' };
+  }
+
+  if (op === 'update') {
+    const data = {};
+    if (mutation.title !== undefined) data.title = mutation.title.trim();
+    if (mutation.content !== undefined) data.content = mutation.content.trim();
+    if (data.title === '' || data.content === '') {
+      return { ...report, status: 'rejected', error: 'Title and content cannot be empty' };
+    }
+    const error = textError(data);
+    if (error) return { ...report, status: 'rejected', error };
+    // Guarded by the version read above, like PUT /api/notes/:id, so the revision holds the replaced text
+    const result = await tx.note.updateMany({
+      where: { id, version: note.version },
+      data: { ...data, version: { increment: 1 } }
+    });
+    if (result.count === 0) {
+      const current = await tx.note.findUnique({ where: { id }, include: syncNoteInclude });
+      return { ...report, status: 'conflict', error: 'Note has been modified on the server', note: current };
+    }
+    if ((data.title !== undefined && data.title !== note.title) || (data.content !== undefined && data.content !== note.content)) {
+      await recordRevision(tx, note);
+    }
+    const updated = await tx.note.findUnique({ where: { id }, include: syncNoteInclude });
+    return { ...report, status: 'applied', note: updated };
+  }
+
+  // Status transitions follow the same rules as PUT /api/notes/:id/<action>
+  const transition = STATUS_TRANSITIONS[op];
+  if (note.status === transition.to) return { ...report, status: 'applied', note };
+  if (!transition.from.includes(note.status)) {
+    return { ...report, status: 'conflict', error: transition.notFound, note };
+  }
+  const updated = await tx.note.update({
+    where: { id },
+    data: { ...statusData(transition.to), version: { increment: 1 } },
+    include: syncNoteInclude
+  });
+  return { ...report, status: 'applied', note: updated };
+}
+
+// POST /api/sync ({ mutations: [...] } applied in order inside one transaction)
+async function pushChanges(req, res, next) {
+  try {
+    const { mutations } = req.body;
+    if (!hasScope(req, 'notes:delete') && mutations.some(m => m.op === 'delete')) {
+      throw new ForbiddenError('This API key does not have the notes:delete scope.', {
+        code: 'INSUFFICIENT_SCOPE',
+        details: { required: 'notes:delete' }
+      });
+    }
+
+    let removed = [];
+    // A position clash with a concurrent write rolls the batch back; it is then replayed whole
+    const results = await withPositionRetry(() => prisma.$transaction(async (tx) => {
+      removed = [];
+      const idMap = new Map();
+      const out = [];
+      for (const [index, mutation] of mutations.entries()) {
+        const result = await applyMutation(tx, req.user.id, mutation, idMap, removed);
+        out.push({ index, ...result });
+      }
+      return out;
+    }, { timeout: 30000 }));
+    await removeNoteFiles(removed);
+
+    const summary = { applied: 0, conflict: 0, rejected: 0 };
+    results.forEach(r => { summary[r.status]++; });
+
+    res.json({ success: true, data: { results, summary } });
+
+    // Tell the user's other devices what this one changed while offline
+    notifyNotesDeleted(removed);
+    const applied = results.filter(r => r.status === 'applied' && r.note);
+    notifyNoteChanges('note.created', applied.filter(r => r.op === 'create').map(r => r.id));
+    notifyNoteChanges('note.updated', applied.filter(r => r.op === 'update').map(r => r.id));
+    notifyNoteChanges('note.status_changed', applied.filter(r => STATUS_TRANSITIONS[r.op]).map(r => r.id));
+  } catch (err) { next(err); }
+}
+
+module.exports = {
+  pullChanges,
+  pushChanges
+};
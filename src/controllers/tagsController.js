@@ -0,0 +1,83 @@
+// Tags Controller: CRUD for a user's tags
+const { PrismaClient } = require('@prisma/client');
+const { notifyNoteChanges } = require('../utils/noteEvents');
+const { ConflictError, NotFoundError } = require('../utils/errors');
+const prisma = new PrismaClient();
+
+// Fields returned for every tag (with the number of notes carrying it)
+const tagSelect = {
+  id: true,
+  name: true,
+  color: true,
+  createdAt: true,
+  updatedAt: true,
+  _count: { select: { notes: true } }
+};
+
+// GET /api/tags
+async function listTags(req, res, next) {
+  try {
+    const tags = await prisma.tag.findMany({
+      where: { userId: req.user.id },
+      select: tagSelect,
+      orderBy: { name: 'asc' }
+    });
+    res.json({ success: true, data: { tags } });
+  } catch (err) { next(err); }
+}
+
+// POST /api/tags
+async function createTag(req, res, next) {
+  try {
+    const { name, color = null } = req.body;
+    const tag = await prisma.tag.create({
+      data: { name, color, userId: req.user.id },
+      select: tagSelect
+    });
+    res.status(201).json({ success: true, message: 'Tag created successfully', data: { tag } });
+  } catch (err) {
+    if (err.code === 'P2002') return next(new ConflictError('A tag with this name already exists', { code: 'TAG_EXISTS' }));
+    next(err);
+  }
+}
+
+// PUT /api/tags/:id
+async function updateTag(req, res, next) {
+  try {
+    const { name, color } = req.body;
+    const existing = await prisma.tag.findFirst({ where: { id: req.params.id, userId: req.user.id } });
+    if (!existing) throw new NotFoundError('Tag not found', { code: 'TAG_NOT_FOUND' });
+    const tag = await prisma.tag.update({ where: { id: existing.id }, data: { name, color }, select: tagSelect });
+    res.json({ success: true, message: 'Tag updated successfully', data: { tag } });
+  } catch (err) {
+    if (err.code === 'P2002') return next(new ConflictError('A tag with this name already exists', { code: 'TAG_EXISTS' }));
+    next(err);
+  }
+}
+
+// DELETE /api/tags/:id (notes keep existing, they just lose the tag)
+async function deleteTag(req, res, next) {
+  try {
+    const noteIds = await prisma.$transaction(async (tx) => {
+      // Locked so no note can be tagged between listing its notes and deleting it
+      const [tag] = await tx.$queryRaw`SELECT id FROM "Tag" WHERE id = ${req.params.id} AND "userId" = ${req.user.id} FOR UPDATE`;
+      if (!tag) return null;
+      const notes = await tx.note.findMany({ where: { tags: { some: { id: tag.id } } }, select: { id: true } });
+      const ids = notes.map(n => n.id);
+      // Losing a tag is a change of the note: syncing clients and listeners must see it
+      await tx.note.updateMany({ where: { id: { in: ids } }, data: { version: { increment: 1 } } });
+      await tx.tag.delete({ where: { id: tag.id } });
+      return ids;
+    });
+    if (!noteIds) throw new NotFoundError('Tag not found', { code: 'TAG_NOT_FOUND' });
+    res.json({ success: true, message: 'Tag deleted successfully' });
+    notifyNoteChanges('note.updated', noteIds);
+  } catch (err) { next(err); }
+}
+
+module.exports = {
+  listTags,
+  createTag,
+  updateTag,
+  deleteTag
+};
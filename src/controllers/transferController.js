@@ -0,0 +1,158 @@
+// Transfer Controller: export and import of a user's notes
+const { PrismaClient } = require('@prisma/client');
+const { buildExport, createImportBudget, parseUpload, parseJsonNotes } = require('../utils/noteFormats');
+const { topPosition, withPositionRetry } = require('../utils/notePosition');
+const { notifyNoteChanges } = require('../utils/noteEvents');
+const { BadRequestError } = require('../utils/errors');
+const { LIMITS } = require('../validators/common');
+const prisma = new PrismaClient();
+
+const MAX_IMPORT_NOTES = 5000;
+
+// Helper to build the duplicate-detection key of a note
+function noteKey(title, content) {
+  return `${title}\u0000${content}`;
+}
+
+// Helper to check an import candidate against the limits every other note write enforces
+function entryError(entry) {
+  if (!entry.title || !entry.content) return 'Title and content are required';
+  if (entry.title.length > LIMITS.title) return `Title must be at most ${LIMITS.title} characters`;
+  if (entry.content.length > LIMITS.content) return `Content must be at most ${LIMITS.content} characters`;
+  if ([...entry.tags, entry.notebook].some(name => name && name.length > LIMITS.name)) {
+    return `Tag and notebook names must be at most ${LIMITS.name} characters`;
+  }
+  return null;
+}
+
+// GET /api/notes/export?format=json|markdown|zip
+async function exportNotes(req, res, next) {
+  try {
+    const format = req.query.format || 'json';
+    const notes = await prisma.note.findMany({
+      where: { userId: req.user.id },
+      include: { tags: { select: { name: true } }, notebook: { select: { name: true } } },
+      orderBy: { createdAt: 'asc' }
+    });
+    const { body, contentType, extension } = await buildExport(notes, format);
+    const date = new Date().toISOString().slice(0, 10);
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="noty-export-${date}.${extension}"`);
+    res.send(body);
+  } catch (err) { next(err); }
+}
+
+// POST /api/notes/import[?dryRun=true] (multipart "files": .json, .md or .zip; or a JSON export as the body)
+async function importNotes(req, res, next) {
+  try {
+    const dryRun = String(req.query.dryRun || (req.body && req.body.dryRun) || '') === 'true';
+
+    const entries = [];
+    const fileErrors = [];
+    if (req.files && req.files.length) {
+      // One extraction budget for the whole request, however many archives it carries
+      const budget = createImportBudget();
+      for (const file of req.files) {
+        const parsed = await parseUpload(file, budget);
+        entries.push(...parsed.entries);
+        fileErrors.push(...parsed.errors);
+      }
+    } else if (req.is('application/json') && req.body) {
+      entries.push(...parseJsonNotes(req.body, 'body'));
+    }
+
+    if (!entries.length && !fileErrors.length) {
+      throw new BadRequestError('Upload .json, .md or .zip files, or send a JSON export');
+    }
+    if (entries.length > MAX_IMPORT_NOTES) {
+      throw new BadRequestError(`At most ${MAX_IMPORT_NOTES} notes per import`);
+    }
+
+    // Duplicates: same title and content as an existing note, or as an earlier note in this import
+    const existing = await prisma.note.findMany({
+      where: { userId: req.user.id, title: { in: [...new Set(entries.map(e => e.title))] } },
+      select: { title: true, content: true }
+    });
+    const seen = new Set(existing.map(n => noteKey(n.title, n.content)));
+
+    const items = entries.map(entry => {
+      const item = { source: entry.source, title: entry.title };
+      const error = entryError(entry);
+      if (error) return { ...item, result: 'invalid', error };
+      const key = noteKey(entry.title, entry.content);
+      if (seen.has(key)) return { ...item, result: 'duplicate' };
+      seen.add(key);
+      return { ...item, result: 'create', entry };
+    });
+
+    const toCreate = items.filter(i => i.result === 'create');
+    if (!dryRun && toCreate.length) {
+      // A position clash with a concurrent write rolls the import back; it is then replayed whole
+      await withPositionRetry(() => prisma.$transaction(async (tx) => {
+        // Tags and notebooks are matched by name and created when missing
+        const tagIds = new Map();
+        const notebookIds = new Map();
+        for (const name of new Set(toCreate.flatMap(i => i.entry.tags))) {
+          const tag = await tx.tag.upsert({
+            where: { userId_name: { userId: req.user.id, name } },
+            create: { userId: req.user.id, name },
+            update: {}
+          });
+          tagIds.set(name, tag.id);
+        }
+        for (const name of new Set(toCreate.map(i => i.entry.notebook).filter(Boolean))) {
+          const notebook = await tx.notebook.upsert({
+            where: { userId_name: { userId: req.user.id, name } },
+            create: { userId: req.user.id, name },
+            update: {}
+          });
+          notebookIds.set(name, notebook.id);
+        }
+
+        for (const item of toCreate) {
+          const { entry } = item;
+          const note = await tx.note.create({
+            data: {
+              userId: req.user.id,
+              title: entry.title,
+              content: entry.content,
+              status: entry.status,
+              trashedAt: entry.status === 'TRASH' ? new Date() : null,
+              notebookId: entry.notebook ? notebookIds.get(entry.notebook) : null,
+              position: await topPosition(tx, req.user.id),
+              tags: { connect: entry.tags.map(name => ({ id: tagIds.get(name) })) },
+              ...(entry.createdAt && { createdAt: entry.createdAt }),
+              ...(entry.updatedAt && { updatedAt: entry.updatedAt })
+            },
+            select: { id: true }
+          });
+          item.id = note.id;
+        }
+      }, { timeout: 60000 }));
+    }
+
+    const summary = {
+      total: items.length,
+      created: dryRun ? 0 : toCreate.length,
+      toCreate: toCreate.length,
+      duplicates: items.filter(i => i.result === 'duplicate').length,
+      invalid: items.filter(i => i.result === 'invalid').length
+    };
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      message: dryRun ? 'Import dry run completed' : 'Import completed',
+      data: {
+        dryRun,
+        summary,
+        items: items.map(({ entry, ...item }) => item),
+        errors: fileErrors
+      }
+    });
+    if (!dryRun) notifyNoteChanges('note.created', toCreate.map(i => i.id));
+  } catch (err) { next(err); }
+}
+
+module.exports = {
+  exportNotes,
+  importNotes
+};
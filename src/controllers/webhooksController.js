@@ -0,0 +1,182 @@
+// Webhooks Controller: user-registered endpoints for note lifecycle events and their delivery log
+const { PrismaClient } = require('@prisma/client');
+const {
+  webhookSelect,
+  deliverySelect,
+  generateSecret,
+  assertDeliverableUrl,
+  attemptDelivery,
+  eventEnvelope
+} = require('../utils/webhooks');
+const { cursorPage, pageResult, setLinkHeader } = require('../utils/pagination');
+const { BadRequestError, NotFoundError } = require('../utils/errors');
+const prisma = new PrismaClient();
+
+const MAX_WEBHOOKS_PER_USER = 10;
+// A ping is sent right away; the claim keeps the delivery job from sending it too
+const PING_CLAIM_MS = 2 * 60 * 1000;
+
+// Helper to load one of the user's webhooks
+async function findWebhook(req) {
+  const webhook = await prisma.webhook.findFirst({ where: { id: req.params.id, userId: req.user.id } });
+  if (!webhook) throw new NotFoundError('Webhook not found', { code: 'WEBHOOK_NOT_FOUND' });
+  return webhook;
+}
+
+// GET /api/webhooks
+async function listWebhooks(req, res, next) {
+  try {
+    const webhooks = await prisma.webhook.findMany({
+      where: { userId: req.user.id },
+      select: webhookSelect,
+      orderBy: { createdAt: 'asc' }
+    });
+    res.json({ success: true, data: { webhooks } });
+  } catch (err) { next(err); }
+}
+
+// POST /api/webhooks ({ url, events, description?, active? }; the signing secret is only returned here)
+async function createWebhook(req, res, next) {
+  try {
+    const { url, events, description, active } = req.body;
+    const count = await prisma.webhook.count({ where: { userId: req.user.id } });
+    if (count >= MAX_WEBHOOKS_PER_USER) {
+      throw new BadRequestError(`You can register at most ${MAX_WEBHOOKS_PER_USER} webhooks`, { code: 'WEBHOOK_LIMIT' });
+    }
+    await assertDeliverableUrl(url);
+    const secret = generateSecret();
+    const webhook = await prisma.webhook.create({
+      data: { userId: req.user.id, url, events, description: description || null, active, secret },
+      select: webhookSelect
+    });
+    res.status(201).json({ success: true, message: 'Webhook created successfully', data: { webhook, secret } });
+  } catch (err) { next(err); }
+}
+
+// GET /api/webhooks/:id
+async function getWebhook(req, res, next) {
+  try {
+    const { id } = await findWebhook(req);
+    const webhook = await prisma.webhook.findUnique({ where: { id }, select: webhookSelect });
+    res.json({ success: true, data: { webhook } });
+  } catch (err) { next(err); }
+}
+
+// PATCH /api/webhooks/:id ({ url?, events?, description?, active? })
+async function updateWebhook(req, res, next) {
+  try {
+    const existing = await findWebhook(req);
+    const { url, events, description, active } = req.body;
+    if (url !== undefined && url !== existing.url) await assertDeliverableUrl(url);
+    const webhook = await prisma.webhook.update({
+      where: { id: existing.id },
+      data: { url, events, description: description === undefined ? undefined : (description || null), active },
+      select: webhookSelect
+    });
+    res.json({ success: true, message: 'Webhook updated successfully', data: { webhook } });
+  } catch (err) { next(err); }
+}
+
+// DELETE /api/webhooks/:id (its queued deliveries and log go with it)
+async function deleteWebhook(req, res, next) {
+  try {
+    const result = await prisma.webhook.deleteMany({ where: { id: req.params.id, userId: req.user.id } });
+    if (result.count === 0) throw new NotFoundError('Webhook not found', { code: 'WEBHOOK_NOT_FOUND' });
+    res.json({ success: true, message: 'Webhook deleted successfully' });
+  } catch (err) { next(err); }
+}
+
+// POST /api/webhooks/:id/secret (rotate; the old secret stops working immediately)
+async function rotateSecret(req, res, next) {
+  try {
+    const existing = await findWebhook(req);
+    const secret = generateSecret();
+    await prisma.webhook.update({ where: { id: existing.id }, data: { secret } });
+    res.json({ success: true, message: 'Webhook secret rotated', data: { secret } });
+  } catch (err) { next(err); }
+}
+
+// POST /api/webhooks/:id/ping (sends a ping event now and returns the outcome; retried like any delivery)
+async function pingWebhook(req, res, next) {
+  try {
+    const webhook = await findWebhook(req);
+    if (!webhook.active) throw new BadRequestError('Webhook is disabled', { code: 'WEBHOOK_DISABLED' });
+    const delivery = await prisma.webhookDelivery.create({
+      data: {
+        webhookId: webhook.id,
+        event: 'ping',
+        payload: eventEnvelope('ping', { webhookId: webhook.id }),
+        lockedUntil: new Date(Date.now() + PING_CLAIM_MS)
+      },
+      include: { webhook: { select: { url: true, secret: true, active: true } } }
+    });
+    const result = await attemptDelivery(delivery);
+    res.json({
+      success: true,
+      message: result.status === 'SUCCEEDED' ? 'Ping delivered' : 'Ping delivery failed',
+      data: { delivery: result }
+    });
+  } catch (err) { next(err); }
+}
+
+// GET /api/webhooks/:id/deliveries?status=&event=&cursor=&limit= (newest first)
+async function listDeliveries(req, res, next) {
+  try {
+    const webhook = await findWebhook(req);
+    const { status, event, cursor, limit } = req.query;
+    const where = { webhookId: webhook.id, ...(status && { status }), ...(event && { event }) };
+    const page = cursorPage(where, { sort: 'createdAt', order: 'desc', limit, cursor });
+    const rows = await prisma.webhookDelivery.findMany({
+      where: page.where,
+      select: deliverySelect,
+      orderBy: page.orderBy,
+      take: page.take
+    });
+    const { items, pagination } = pageResult(rows, page);
+    setLinkHeader(req, res, pagination.nextCursor);
+    res.json({ success: true, data: { deliveries: items, pagination } });
+  } catch (err) { next(err); }
+}
+
+// GET /api/webhooks/:id/deliveries/:deliveryId (with the payload and the last response)
+async function getDelivery(req, res, next) {
+  try {
+    const webhook = await findWebhook(req);
+    const delivery = await prisma.webhookDelivery.findFirst({
+      where: { id: req.params.deliveryId, webhookId: webhook.id },
+      select: { ...deliverySelect, payload: true, responseBody: true }
+    });
+    if (!delivery) throw new NotFoundError('Delivery not found', { code: 'DELIVERY_NOT_FOUND' });
+    res.json({ success: true, data: { delivery } });
+  } catch (err) { next(err); }
+}
+
+// POST /api/webhooks/:id/deliveries/:deliveryId/replay (queues the same payload again)
+async function replayDelivery(req, res, next) {
+  try {
+    const webhook = await findWebhook(req);
+    const original = await prisma.webhookDelivery.findFirst({
+      where: { id: req.params.deliveryId, webhookId: webhook.id },
+      select: { id: true, event: true, payload: true }
+    });
+    if (!original) throw new NotFoundError('Delivery not found', { code: 'DELIVERY_NOT_FOUND' });
+    const delivery = await prisma.webhookDelivery.create({
+      data: { webhookId: webhook.id, event: original.event, payload: original.payload, replayOf: original.id },
+      select: deliverySelect
+    });
+    res.status(202).json({ success: true, message: 'Delivery queued for replay', data: { delivery } });
+  } catch (err) { next(err); }
+}
+
+module.exports = {
+  listWebhooks,
+  createWebhook,
+  getWebhook,
+  updateWebhook,
+  deleteWebhook,
+  rotateSecret,
+  pingWebhook,
+  listDeliveries,
+  getDelivery,
+  replayDelivery
+};
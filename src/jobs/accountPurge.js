@@ -0,0 +1,90 @@
+/**
+ * Account Purge Job
+ * Periodically deletes accounts whose deletion grace period has passed.
+ * Deleting the user cascades to its notes, revisions, tags, notebooks, shares, attachments
+ * and sessions; the attachment files are then removed from storage.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { deleteStoredFiles, storageKeysOf } = require('../utils/attachments');
+
+const prisma = new PrismaClient();
+
+// How often the job runs and how many accounts it deletes per pass
+const PURGE_INTERVAL_MINUTES = parseInt(process.env.ACCOUNT_PURGE_INTERVAL_MINUTES || '60');
+const PURGE_BATCH_SIZE = 50;
+
+let timer = null;
+let running = false;
+
+/**
+ * Run one purge pass
+ * @returns {Promise<number>} Number of accounts deleted
+ */
+async function runAccountPurge() {
+  let total = 0;
+  for (;;) {
+    const users = await prisma.user.findMany({
+      where: { deletionScheduledAt: { lte: new Date() } },
+      select: { id: true },
+      take: PURGE_BATCH_SIZE
+    });
+    if (!users.length) break;
+    const userIds = users.map(u => u.id);
+    const attachments = await prisma.attachment.findMany({
+      where: { userId: { in: userIds } },
+      select: { userId: true, storageKey: true, thumbnailKey: true }
+    });
+
+    // Re-check the schedule in case the user signed in (and cancelled) meanwhile
+    const result = await prisma.user.deleteMany({
+      where: { id: { in: userIds }, deletionScheduledAt: { lte: new Date() } }
+    });
+    total += result.count;
+
+    // Only remove the files of accounts that were actually deleted
+    const remaining = await prisma.user.findMany({ where: { id: { in: userIds } }, select: { id: true } });
+    const kept = new Set(remaining.map(u => u.id));
+    await deleteStoredFiles(storageKeysOf(attachments.filter(a => !kept.has(a.userId))));
+    if (users.length < PURGE_BATCH_SIZE) break;
+  }
+  return total;
+}
+
+// Run a pass unless the previous one is still going, logging instead of throwing
+async function tick() {
+  if (running) return;
+  running = true;
+  try {
+    const deleted = await runAccountPurge();
+    if (deleted > 0) console.log(`🗑️  Account purge removed ${deleted} account(s)`);
+  } catch (error) {
+    console.error('Account purge error:', error);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start the in-process scheduler (runs once immediately, then on an interval)
+ */
+function startAccountPurgeJob() {
+  if (timer || PURGE_INTERVAL_MINUTES <= 0) return;
+  timer = setInterval(tick, PURGE_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref(); // Never keep the process alive just for this job
+  tick();
+}
+
+/**
+ * Stop the scheduler
+ */
+function stopAccountPurgeJob() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  runAccountPurge,
+  startAccountPurgeJob,
+  stopAccountPurgeJob
+};
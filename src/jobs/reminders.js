@@ -0,0 +1,242 @@
+/**
+ * Reminders Job
+ * Fires note reminders that are due and sends their notifications by email or webhook.
+ *
+ * Firing records the occurrence as a NoteReminder row and moves the note's remindAt on to
+ * the next occurrence (or clears it) in one transaction, with the notes locked (SKIP LOCKED)
+ * so several app instances never fire the same reminder. The unique (noteId, scheduledFor)
+ * key keeps an occurrence from being recorded twice, and since the rows outlive restarts a
+ * reminder that came due while the server was down fires on the next pass.
+ *
+ * Notifications are sent from those rows. A webhook reminder is queued as a webhook delivery
+ * in the same transaction that marks it sent; an email is only sent twice if the process dies
+ * between handing it to the mail transport and recording that it went out.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { sendMail } = require('../mailer');
+const { reminderEmail } = require('../mailer/templates');
+const { nextOccurrence } = require('../utils/recurrence');
+const { enqueueWebhookEvents } = require('../utils/webhooks');
+const { notifyNoteChanges } = require('../utils/noteEvents');
+
+const prisma = new PrismaClient();
+
+// How often reminders are checked, how many are handled at once and how long a claim lasts
+const POLL_INTERVAL_SECONDS = parseInt(process.env.REMINDER_POLL_INTERVAL_SECONDS || '30');
+const BATCH_SIZE = 50;
+const CLAIM_SECONDS = 120;
+// Failed emails are retried after 1m, 2m, 4m, ... up to this many attempts
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 60 * 1000;
+// Sent and failed reminders are kept this long; the cleanup runs at most hourly
+const RETENTION_DAYS = parseInt(process.env.REMINDER_LOG_RETENTION_DAYS || '30');
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+let timer = null;
+let running = false;
+let lastCleanupAt = 0;
+
+/**
+ * Fire one batch of due reminders of active notes
+ * @returns {Promise<string[]>} Ids of the notes whose reminder fired
+ */
+async function fireDueReminders() {
+  return prisma.$transaction(async (tx) => {
+    const notes = await tx.$queryRaw`
+      SELECT id, "remindAt", recurrence, "reminderChannel"
+      FROM "Note"
+      WHERE status = 'ACTIVE'
+        AND "remindAt" <= (NOW() AT TIME ZONE 'UTC')
+      ORDER BY "remindAt"
+      LIMIT ${BATCH_SIZE}
+      FOR UPDATE SKIP LOCKED`;
+    if (!notes.length) return [];
+
+    await tx.noteReminder.createMany({
+      data: notes.map(note => ({ noteId: note.id, channel: note.reminderChannel, scheduledFor: note.remindAt })),
+      skipDuplicates: true
+    });
+    const now = new Date();
+    for (const note of notes) {
+      // A finished series also drops its rule
+      const next = note.recurrence ? nextOccurrence(note.recurrence, note.remindAt, now) : null;
+      await tx.note.update({
+        where: { id: note.id },
+        data: { remindAt: next, ...(!next && { recurrence: null }), version: { increment: 1 } }
+      });
+    }
+    return notes.map(note => note.id);
+  });
+}
+
+/**
+ * Claim one batch of reminders waiting to be sent
+ * Held with lockedUntil like webhook deliveries; each claim counts as an attempt.
+ * @returns {Promise<Array<Object>>} Reminders including their note and its owner
+ */
+async function claimPendingReminders() {
+  const rows = await prisma.$queryRaw`
+    UPDATE "NoteReminder"
+    SET "lockedUntil" = (NOW() AT TIME ZONE 'UTC') + make_interval(secs => ${CLAIM_SECONDS}),
+        attempts = attempts + 1
+    WHERE id IN (
+      SELECT id FROM "NoteReminder"
+      WHERE status = 'PENDING'
+        AND "nextAttemptAt" <= (NOW() AT TIME ZONE 'UTC')
+        AND ("lockedUntil" IS NULL OR "lockedUntil" < (NOW() AT TIME ZONE 'UTC'))
+      ORDER BY "nextAttemptAt"
+      LIMIT ${BATCH_SIZE}
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING id`;
+  if (!rows.length) return [];
+  return prisma.noteReminder.findMany({
+    where: { id: { in: rows.map(r => r.id) } },
+    include: {
+      note: {
+        select: {
+          id: true, userId: true, title: true, status: true, dueAt: true, remindAt: true, recurrence: true,
+          user: { select: { email: true, name: true, emailVerifiedAt: true } }
+        }
+      }
+    }
+  });
+}
+
+// Prisma data recording how an attempt went
+function sentData() {
+  return { status: 'SENT', sentAt: new Date(), nextAttemptAt: null, lockedUntil: null, error: null };
+}
+function failedData(reminder, error, { retry = false } = {}) {
+  const again = retry && reminder.attempts < MAX_ATTEMPTS;
+  return {
+    status: again ? 'PENDING' : 'FAILED',
+    nextAttemptAt: again ? new Date(Date.now() + RETRY_BASE_MS * 2 ** (reminder.attempts - 1)) : null,
+    lockedUntil: null,
+    error
+  };
+}
+
+/**
+ * Send the notification of one claimed reminder and record the outcome
+ * @param {Object} reminder - NoteReminder row including its note (see claimPendingReminders)
+ * @returns {Promise<Object>} The updated reminder
+ */
+async function sendReminder(reminder) {
+  const { note } = reminder;
+  const update = (data, client = prisma) => client.noteReminder.update({ where: { id: reminder.id }, data });
+
+  if (note.status === 'TRASH') return update(failedData(reminder, 'Note was moved to the trash'));
+
+  if (reminder.channel === 'WEBHOOK') {
+    return prisma.$transaction(async (tx) => {
+      const queued = await enqueueWebhookEvents([{
+        userId: note.userId,
+        type: 'note.reminder',
+        data: {
+          noteId: note.id,
+          reminderId: reminder.id,
+          scheduledFor: reminder.scheduledFor,
+          note: { id: note.id, title: note.title, dueAt: note.dueAt, remindAt: note.remindAt, recurrence: note.recurrence }
+        }
+      }], tx);
+      return update(queued ? sentData() : failedData(reminder, 'No active webhook subscribes to note.reminder'), tx);
+    });
+  }
+
+  if (!note.user.emailVerifiedAt) return update(failedData(reminder, 'Email address is not verified'));
+  try {
+    await sendMail(reminderEmail(note.user, note));
+  } catch (error) {
+    return update(failedData(reminder, error.message, { retry: true }));
+  }
+  return update(sentData());
+}
+
+/**
+ * Run one pass: fire due reminders, then send pending notifications
+ * @returns {Promise<{ fired: number, sent: number, failed: number }>}
+ */
+async function runReminders() {
+  let fired = 0;
+  let sent = 0;
+  let failed = 0;
+  for (;;) {
+    const noteIds = await fireDueReminders();
+    fired += noteIds.length;
+    // remindAt moved on, so open clients and sync pick up the change
+    notifyNoteChanges('note.updated', noteIds);
+    if (noteIds.length < BATCH_SIZE) break;
+  }
+  for (;;) {
+    const reminders = await claimPendingReminders();
+    if (!reminders.length) break;
+    // Settled one by one, like webhook deliveries: one reminder that cannot be recorded
+    // (e.g. its note was deleted meanwhile) must not affect the others
+    const settled = await Promise.allSettled(reminders.map(sendReminder));
+    settled.filter(r => r.status === 'rejected').forEach(r => console.error('Reminder error:', r.reason));
+    const results = settled.filter(r => r.status === 'fulfilled').map(r => r.value);
+    sent += results.filter(r => r.status === 'SENT').length;
+    failed += results.filter(r => r.status === 'FAILED').length;
+    if (reminders.length < BATCH_SIZE) break;
+  }
+  return { fired, sent, failed };
+}
+
+/**
+ * Delete sent and failed reminders older than the retention period
+ * @returns {Promise<number>} Reminders deleted
+ */
+async function purgeOldReminders() {
+  const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const result = await prisma.noteReminder.deleteMany({
+    where: { status: { in: ['SENT', 'FAILED'] }, createdAt: { lt: cutoff } }
+  });
+  return result.count;
+}
+
+// Run a pass unless the previous one is still going, logging instead of throwing
+async function tick() {
+  if (running) return;
+  running = true;
+  try {
+    const { fired, sent, failed } = await runReminders();
+    if (fired > 0 || sent > 0 || failed > 0) {
+      console.log(`⏰ Reminders: ${fired} fired, ${sent} sent, ${failed} failed`);
+    }
+    if (Date.now() - lastCleanupAt > CLEANUP_INTERVAL_MS) {
+      lastCleanupAt = Date.now();
+      const purged = await purgeOldReminders();
+      if (purged > 0) console.log(`⏰ Reminders: removed ${purged} old reminders`);
+    }
+  } catch (error) {
+    console.error('Reminder job error:', error);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start the in-process scheduler (runs once immediately, then on an interval)
+ */
+function startReminderJob() {
+  if (timer || POLL_INTERVAL_SECONDS <= 0) return;
+  timer = setInterval(tick, POLL_INTERVAL_SECONDS * 1000);
+  timer.unref(); // Never keep the process alive just for this job
+  tick();
+}
+
+/**
+ * Stop the scheduler
+ */
+function stopReminderJob() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  runReminders,
+  startReminderJob,
+  stopReminderJob
+};
@@ -0,0 +1,96 @@
+/**
+ * Trash Purge Job
+ * Periodically deletes trashed notes whose owner's retention period has passed,
+ * and the sync tombstones of deleted notes once they are past their retention period
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { DEFAULT_TRASH_RETENTION_DAYS } = require('../utils/noteStatus');
+const { removeNotes, removeNoteFiles, purgeOldTombstones } = require('../utils/noteDeletion');
+const { notifyNotesDeleted } = require('../utils/noteEvents');
+
+const prisma = new PrismaClient();
+
+// How often the job runs and how many notes it deletes per transaction
+const PURGE_INTERVAL_MINUTES = parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES || '60');
+const PURGE_BATCH_SIZE = 500;
+
+let timer = null;
+let running = false;
+
+/**
+ * Find one batch of trashed notes that are past their owner's retention period
+ * A user's trashRetentionDays overrides the default; 0 disables purging for them.
+ * @returns {Promise<string[]>} Note ids
+ */
+async function findExpiredNoteIds() {
+  const rows = await prisma.$queryRaw`
+    SELECT n.id
+    FROM "Note" n
+    JOIN "User" u ON u.id = n."userId"
+    WHERE n.status = 'TRASH'
+      AND n."trashedAt" IS NOT NULL
+      AND COALESCE(u."trashRetentionDays", ${DEFAULT_TRASH_RETENTION_DAYS}) > 0
+      AND n."trashedAt" < (NOW() AT TIME ZONE 'UTC') - make_interval(days => COALESCE(u."trashRetentionDays", ${DEFAULT_TRASH_RETENTION_DAYS}))
+    LIMIT ${PURGE_BATCH_SIZE}`;
+  return rows.map(r => r.id);
+}
+
+/**
+ * Run one purge pass
+ * @returns {Promise<number>} Number of notes deleted
+ */
+async function runTrashPurge() {
+  let total = 0;
+  for (;;) {
+    const ids = await findExpiredNoteIds();
+    if (!ids.length) break;
+    // Re-check the status inside the transaction in case a note was restored meanwhile
+    const deleted = await prisma.$transaction(tx => removeNotes(tx, { id: { in: ids }, status: 'TRASH' }));
+    await removeNoteFiles(deleted);
+    notifyNotesDeleted(deleted);
+    total += deleted.length;
+    if (ids.length < PURGE_BATCH_SIZE) break;
+  }
+  return total;
+}
+
+// Run a pass unless the previous one is still going, logging instead of throwing
+async function tick() {
+  if (running) return;
+  running = true;
+  try {
+    const deleted = await runTrashPurge();
+    if (deleted > 0) console.log(`🗑️  Trash purge removed ${deleted} note(s)`);
+    const tombstones = await purgeOldTombstones(prisma);
+    if (tombstones > 0) console.log(`🗑️  Trash purge removed ${tombstones} old tombstone(s)`);
+  } catch (error) {
+    console.error('Trash purge error:', error);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start the in-process scheduler (runs once immediately, then on an interval)
+ */
+function startTrashPurgeJob() {
+  if (timer || PURGE_INTERVAL_MINUTES <= 0) return;
+  timer = setInterval(tick, PURGE_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref(); // Never keep the process alive just for this job
+  tick();
+}
+
+/**
+ * Stop the scheduler
+ */
+function stopTrashPurgeJob() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  runTrashPurge,
+  startTrashPurgeJob,
+  stopTrashPurgeJob
+};
@@ -0,0 +1,124 @@
+/**
+ * Webhook Delivery Job
+ * Sends queued webhook deliveries that are due, and deletes finished deliveries
+ * once they are older than the delivery log retention
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { attemptDelivery } = require('../utils/webhooks');
+
+const prisma = new PrismaClient();
+
+// How often the queue is polled, how many deliveries are sent at once and how long a claim lasts
+const POLL_INTERVAL_SECONDS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_SECONDS || '5');
+const DELIVERY_BATCH_SIZE = 20;
+const CLAIM_SECONDS = 120;
+// Finished deliveries are kept this long; the cleanup runs at most hourly
+const DELIVERY_RETENTION_DAYS = parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS || '30');
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+let timer = null;
+let running = false;
+let lastCleanupAt = 0;
+
+/**
+ * Claim one batch of due deliveries
+ * Rows are locked with SKIP LOCKED and held with lockedUntil, so several app
+ * instances never send the same delivery at the same time.
+ * @returns {Promise<Array<Object>>} Deliveries including their webhook
+ */
+async function claimDueDeliveries() {
+  const rows = await prisma.$queryRaw`
+    UPDATE "WebhookDelivery"
+    SET "lockedUntil" = (NOW() AT TIME ZONE 'UTC') + make_interval(secs => ${CLAIM_SECONDS})
+    WHERE id IN (
+      SELECT id FROM "WebhookDelivery"
+      WHERE status = 'PENDING'
+        AND "nextAttemptAt" <= (NOW() AT TIME ZONE 'UTC')
+        AND ("lockedUntil" IS NULL OR "lockedUntil" < (NOW() AT TIME ZONE 'UTC'))
+      ORDER BY "nextAttemptAt"
+      LIMIT ${DELIVERY_BATCH_SIZE}
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING id`;
+  if (!rows.length) return [];
+  return prisma.webhookDelivery.findMany({
+    where: { id: { in: rows.map(r => r.id) } },
+    include: { webhook: { select: { url: true, secret: true, active: true } } }
+  });
+}
+
+/**
+ * Run one delivery pass
+ * @returns {Promise<{ sent: number, succeeded: number }>}
+ */
+async function runWebhookDeliveries() {
+  let sent = 0;
+  let succeeded = 0;
+  for (;;) {
+    const deliveries = await claimDueDeliveries();
+    if (!deliveries.length) break;
+    // Settled one by one: a delivery that cannot be recorded (e.g. its webhook was deleted
+    // meanwhile) must not stop the outcomes of the others from being counted and logged
+    const settled = await Promise.allSettled(deliveries.map(attemptDelivery));
+    settled.filter(r => r.status === 'rejected').forEach(r => console.error('Webhook delivery error:', r.reason));
+    const results = settled.filter(r => r.status === 'fulfilled').map(r => r.value);
+    sent += results.length;
+    succeeded += results.filter(r => r.status === 'SUCCEEDED').length;
+    if (deliveries.length < DELIVERY_BATCH_SIZE) break;
+  }
+  return { sent, succeeded };
+}
+
+/**
+ * Delete finished deliveries older than the retention period
+ * @returns {Promise<number>} Deliveries deleted
+ */
+async function purgeOldDeliveries() {
+  const cutoff = new Date(Date.now() - DELIVERY_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const result = await prisma.webhookDelivery.deleteMany({ where: { completedAt: { lt: cutoff } } });
+  return result.count;
+}
+
+// Run a pass unless the previous one is still going, logging instead of throwing
+async function tick() {
+  if (running) return;
+  running = true;
+  try {
+    const { sent, succeeded } = await runWebhookDeliveries();
+    if (sent > 0) console.log(`🪝 Webhooks: ${succeeded}/${sent} deliveries succeeded`);
+    if (Date.now() - lastCleanupAt > CLEANUP_INTERVAL_MS) {
+      lastCleanupAt = Date.now();
+      const purged = await purgeOldDeliveries();
+      if (purged > 0) console.log(`🪝 Webhooks: removed ${purged} old deliveries from the log`);
+    }
+  } catch (error) {
+    console.error('Webhook delivery error:', error);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start the in-process scheduler (runs once immediately, then on an interval)
+ */
+function startWebhookDeliveryJob() {
+  if (timer || POLL_INTERVAL_SECONDS <= 0) return;
+  timer = setInterval(tick, POLL_INTERVAL_SECONDS * 1000);
+  timer.unref(); // Never keep the process alive just for this job
+  tick();
+}
+
+/**
+ * Stop the scheduler
+ */
+function stopWebhookDeliveryJob() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  runWebhookDeliveries,
+  startWebhookDeliveryJob,
+  stopWebhookDeliveryJob
+};
@@ -0,0 +1,61 @@
+/**
+ * Mailer
+ * Sends email through a pluggable transport chosen with MAIL_TRANSPORT:
+ *   smtp    - real delivery via SMTP (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_SECURE)
+ *   file    - writes each message as JSON into MAIL_OUTPUT_DIR (offline testing)
+ *   console - logs each message (default outside production)
+ */
+
+const smtpTransport = require('./transports/smtp');
+const fileTransport = require('./transports/file');
+const consoleTransport = require('./transports/console');
+
+const TRANSPORTS = {
+  smtp: smtpTransport,
+  file: fileTransport,
+  console: consoleTransport
+};
+
+const MAIL_FROM = process.env.MAIL_FROM || 'NOTY <no-reply@noty.local>';
+
+let transport = null;
+
+/**
+ * Get the configured transport, creating it on first use
+ * @returns {{ send: Function }}
+ */
+function getTransport() {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+    const factory = TRANSPORTS[name];
+    if (!factory) throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+    transport = factory.create();
+  }
+  return transport;
+}
+
+/**
+ * Replace the transport (e.g. with a custom one); pass null to reset to the configured one
+ * @param {{ send: Function } | null} custom - Object with an async send(message) method
+ */
+function setTransport(custom) {
+  transport = custom;
+}
+
+/**
+ * Send an email
+ * @param {Object} message
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject
+ * @param {string} message.text - Plain text body
+ * @param {string} [message.html] - HTML body
+ * @returns {Promise<void>}
+ */
+async function sendMail(message) {
+  await getTransport().send({ from: MAIL_FROM, ...message });
+}
+
+module.exports = {
+  sendMail,
+  setTransport
+};
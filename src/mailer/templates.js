@@ -0,0 +1,118 @@
+/**
+ * Email Templates
+ * Each template returns { to, subject, text, html } ready for sendMail
+ */
+
+const CLIENT_URL = () => (process.env.CLIENT_URL || 'http://localhost:5173').split(',')[0].trim();
+
+// Escape user-controlled values before putting them into HTML
+function escapeHtml(value) {
+  return String(value || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Email asking the user to confirm their address
+ * @param {Object} user - User with email and name
+ * @param {string} token - Plain verification token
+ * @param {number} ttlHours - How long the link stays valid
+ */
+function verificationEmail(user, token, ttlHours) {
+  const url = `${CLIENT_URL()}/verify-email?token=${encodeURIComponent(token)}`;
+  return {
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: `Hi ${user.name || 'there'},\n\nPlease confirm your email address by opening this link:\n${url}\n\nThe link expires in ${ttlHours} hours.`,
+    html: `<p>Hi ${escapeHtml(user.name) || 'there'},</p><p>Please confirm your email address:</p><p><a href="${url}">Confirm email</a></p><p>The link expires in ${ttlHours} hours.</p>`
+  };
+}
+
+/**
+ * Email with a password reset link
+ * @param {Object} user - User with email and name
+ * @param {string} token - Plain reset token
+ * @param {number} ttlMinutes - How long the link stays valid
+ */
+function passwordResetEmail(user, token, ttlMinutes) {
+  const url = `${CLIENT_URL()}/reset-password?token=${encodeURIComponent(token)}`;
+  return {
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.name || 'there'},\n\nSomeone asked to reset the password of your account. If it was you, open this link:\n${url}\n\nThe link expires in ${ttlMinutes} minutes. If you did not ask for this, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name) || 'there'},</p><p>Someone asked to reset the password of your account. If it was you:</p><p><a href="${url}">Reset password</a></p><p>The link expires in ${ttlMinutes} minutes. If you did not ask for this, you can ignore this email.</p>`
+  };
+}
+
+/**
+ * Email sent to a new address to confirm an email change
+ * @param {Object} user - User with name
+ * @param {string} newEmail - Address being confirmed (the recipient)
+ * @param {string} token - Plain email change token
+ * @param {number} ttlHours - How long the link stays valid
+ */
+function emailChangeEmail(user, newEmail, token, ttlHours) {
+  const url = `${CLIENT_URL()}/confirm-email?token=${encodeURIComponent(token)}`;
+  return {
+    to: newEmail,
+    subject: 'Confirm your new email address',
+    text: `Hi ${user.name || 'there'},\n\nPlease confirm that you want to use this address for your account by opening this link:\n${url}\n\nThe link expires in ${ttlHours} hours. Until then you keep signing in with your current address.`,
+    html: `<p>Hi ${escapeHtml(user.name) || 'there'},</p><p>Please confirm that you want to use this address for your account:</p><p><a href="${url}">Confirm new email</a></p><p>The link expires in ${ttlHours} hours. Until then you keep signing in with your current address.</p>`
+  };
+}
+
+/**
+ * Notice sent to the old address once an email change is confirmed
+ * @param {Object} user - User with the old email and name
+ * @param {string} newEmail - Address the account now uses
+ */
+function emailChangedEmail(user, newEmail) {
+  return {
+    to: user.email,
+    subject: 'Your email address was changed',
+    text: `Hi ${user.name || 'there'},\n\nThe email address of your account was changed to ${newEmail}. If you did not do this, reset your password and contact support.`,
+    html: `<p>Hi ${escapeHtml(user.name) || 'there'},</p><p>The email address of your account was changed to ${escapeHtml(newEmail)}. If you did not do this, reset your password and contact support.</p>`
+  };
+}
+
+/**
+ * Email confirming that the account is scheduled for deletion
+ * @param {Object} user - User with email and name
+ * @param {Date} deleteAt - When the account and its data are deleted
+ */
+function accountDeletionEmail(user, deleteAt) {
+  const date = deleteAt.toISOString().slice(0, 10);
+  return {
+    to: user.email,
+    subject: 'Your account is scheduled for deletion',
+    text: `Hi ${user.name || 'there'},\n\nYour account and all of its notes will be permanently deleted on ${date}. If you change your mind, simply sign in again before then.`,
+    html: `<p>Hi ${escapeHtml(user.name) || 'there'},</p><p>Your account and all of its notes will be permanently deleted on ${date}. If you change your mind, simply sign in again before then.</p>`
+  };
+}
+
+/**
+ * Reminder for a note
+ * @param {Object} user - User with email and name
+ * @param {Object} note - Note with id, title and dueAt
+ */
+function reminderEmail(user, note) {
+  const url = `${CLIENT_URL()}/notes/${encodeURIComponent(note.id)}`;
+  const due = note.dueAt ? ` It is due ${note.dueAt.toISOString().replace('T', ' ').slice(0, 16)} UTC.` : '';
+  return {
+    to: user.email,
+    subject: `Reminder: ${note.title}`,
+    text: `Hi ${user.name || 'there'},\n\nThis is your reminder for "${note.title}".${due}\n\nOpen the note:\n${url}`,
+    html: `<p>Hi ${escapeHtml(user.name) || 'there'},</p><p>This is your reminder for <strong>${escapeHtml(note.title)}</strong>.${due}</p><p><a href="${url}">Open the note</a></p>`
+  };
+}
+
+module.exports = {
+  verificationEmail,
+  passwordResetEmail,
+  emailChangeEmail,
+  emailChangedEmail,
+  accountDeletionEmail,
+  reminderEmail
+};
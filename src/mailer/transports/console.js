@@ -0,0 +1,19 @@
+/**
+ * Console Mail Transport
+ * Logs every message instead of sending it (development default)
+ */
+
+function create() {
+  return {
+    send: async (message) => {
+      console.log('📧 Email (console transport):', {
+        from: message.from,
+        to: message.to,
+        subject: message.subject
+      });
+      console.log(message.text);
+    }
+  };
+}
+
+module.exports = { create };
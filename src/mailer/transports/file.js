@@ -0,0 +1,22 @@
+/**
+ * File Mail Transport
+ * Writes every message as a JSON file so emails can be inspected offline
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+function create() {
+  const dir = path.resolve(process.env.MAIL_OUTPUT_DIR || 'mail-outbox');
+
+  return {
+    send: async (message) => {
+      await fs.mkdir(dir, { recursive: true });
+      const safeTo = String(message.to).replace(/[^a-zA-Z0-9@._-]/g, '_');
+      const file = path.join(dir, `${Date.now()}-${safeTo}.json`);
+      await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+    }
+  };
+}
+
+module.exports = { create };
@@ -0,0 +1,25 @@
+/**
+ * SMTP Mail Transport
+ * Delivers messages with nodemailer
+ */
+
+const nodemailer = require('nodemailer');
+
+function create() {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587'),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    send: async (message) => {
+      await transporter.sendMail(message);
+    }
+  };
+}
+
+module.exports = { create };
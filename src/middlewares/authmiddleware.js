@@ -5,18 +5,54 @@
 
 // Import required dependencies
 const { verifyToken } = require('../utils/auth');
+const { isApiKey, findApiKey, touchApiKey, hasScope } = require('../utils/apiKeys');
 const { PrismaClient } = require('@prisma/client');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
 
 // Initialize Prisma client for database operations
 const prisma = new PrismaClient();
 
+/**
+ * API KEY AUTHENTICATION
+ * Checks a personal API key instead of a JWT: it must exist, not be revoked or
+ * expired, and its account must not be scheduled for deletion. The request gets
+ * req.apiKey ({ id, scopes }) and no session.
+ */
+const authenticateApiKey = async (req, token, next) => {
+  const apiKey = await findApiKey(token);
+
+  if (!apiKey) {
+    return next(new UnauthorizedError('Invalid API key.', { code: 'TOKEN_INVALID' }));
+  }
+
+  if (apiKey.revokedAt) {
+    return next(new UnauthorizedError('This API key has been revoked.', { code: 'API_KEY_REVOKED' }));
+  }
+
+  if (apiKey.expiresAt && apiKey.expiresAt < new Date()) {
+    return next(new UnauthorizedError('This API key has expired.', { code: 'API_KEY_EXPIRED' }));
+  }
+
+  const { deletionScheduledAt, ...user } = apiKey.user;
+  if (deletionScheduledAt) {
+    return next(new UnauthorizedError('This account is scheduled for deletion.', { code: 'ACCOUNT_PENDING_DELETION' }));
+  }
+
+  req.user = user;
+  req.apiKey = { id: apiKey.id, scopes: apiKey.scopes };
+  req.tokenExpiresAt = apiKey.expiresAt;
+  touchApiKey(apiKey, req.ip);
+  next();
+};
+
 /**
  * JWT TOKEN AUTHENTICATION MIDDLEWARE
  * This middleware function:
- * 1. Extracts JWT token from Authorization header
+ * 1. Extracts JWT token from Authorization header (personal API keys are accepted too)
  * 2. Verifies the token's validity and expiration
- * 3. Fetches user data from database
- * 4. Attaches user data to request object for use in route handlers
+ * 3. Checks that the token's session has not been revoked
+ * 4. Fetches user data from database
+ * 5. Attaches user and session data to request object for use in route handlers
  * 
 //  * @param {Object} req - Express request object
 //  * @param {Object} res - Express response object
@@ -33,9 +69,12 @@ const authenticateToken = async (req, res, next) => {
 
     // Check if token exists
     if (!token) {
-      return res.status(401).json({ 
-        error: 'Access denied. No token provided.' 
-      });
+      return next(new UnauthorizedError('Access denied. No token provided.', { code: 'TOKEN_MISSING' }));
+    }
+
+    // Personal API keys are opaque, not JWTs
+    if (isApiKey(token)) {
+      return await authenticateApiKey(req, token, next);
     }
 
     /**
@@ -43,9 +82,29 @@ const authenticateToken = async (req, res, next) => {
      * Decode and verify the token's signature and expiration
      */
     const decoded = verifyToken(token);
+
+    /**
+     * STEP 3: CHECK THE TOKEN'S SESSION
+     * Access tokens are bound to a server-side session; reject them once the
+     * session has been revoked (logout, refresh token reuse) or has expired
+     */
+    const session = decoded.sid
+      ? await prisma.session.findUnique({
+          where: { id: decoded.sid },
+          select: { userId: true, revokedAt: true, expiresAt: true, createdAt: true }
+        })
+      : null;
+
+    if (!session || session.userId !== decoded.id) {
+      return next(new UnauthorizedError('Invalid token. Session not found.', { code: 'TOKEN_INVALID' }));
+    }
+
+    if (session.revokedAt || session.expiresAt < new Date()) {
+      return next(new UnauthorizedError('Session has been revoked. Please login again.', { code: 'SESSION_REVOKED' }));
+    }
     
     /**
-     * STEP 3: FETCH USER FROM DATABASE
+     * STEP 4: FETCH USER FROM DATABASE
      * Get user data from database using the decoded user ID
      * Only select necessary fields (exclude password for security)
      */
@@ -54,54 +113,128 @@ const authenticateToken = async (req, res, next) => {
       select: { 
         id: true, 
         email: true, 
-        name: true 
+        name: true,
+        emailVerifiedAt: true
       } // Don't include password for security
     });
 
     // Check if user exists in database
     if (!user) {
-      return res.status(401).json({ 
-        error: 'Invalid token. User not found.' 
-      });
+      return next(new UnauthorizedError('Invalid token. User not found.', { code: 'TOKEN_INVALID' }));
     }
 
     /**
-     * STEP 4: ATTACH USER TO REQUEST
-     * Make user data available to subsequent middleware and route handlers
+     * STEP 5: ATTACH USER TO REQUEST
+     * Make user and session data available to subsequent middleware and route handlers
      */
     req.user = user;
+    req.sessionId = decoded.sid;
+    req.sessionStartedAt = session.createdAt;
+    req.tokenExpiresAt = decoded.exp ? new Date(decoded.exp * 1000) : null;
     next(); // Continue to next middleware/route handler
 
   } catch (error) {
-    console.error('Authentication error:', error);
-    
     /**
-     * STEP 5: HANDLE SPECIFIC JWT ERRORS
+     * STEP 6: HANDLE SPECIFIC JWT ERRORS
      * Provide specific error messages for different JWT validation failures
      */
     
     // Handle expired token error
     if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({ 
-        error: 'Token expired. Please login again.' 
-      });
+      return next(new UnauthorizedError('Token expired. Please login again.', { code: 'TOKEN_EXPIRED' }));
     }
     
     // Handle malformed token error
     if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({ 
-        error: 'Invalid token format.' 
-      });
+      return next(new UnauthorizedError('Invalid token format.', { code: 'TOKEN_INVALID' }));
     }
 
-    // Handle any other authentication errors
-    return res.status(500).json({ 
-      error: 'Authentication failed.' 
-    });
+    // Any other failure (e.g. the database) is an unexpected error
+    next(error);
+  }
+};
+
+/**
+ * QUERY TOKEN MIDDLEWARE
+ * Browsers cannot set headers on an EventSource, so streaming routes also accept the
+ * access token as ?access_token=. Copies it into the Authorization header when none
+ * was sent; must run before authenticateToken. Query strings end up in access logs,
+ * so only use this where a header is impossible.
+ */
+const allowQueryToken = (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.access_token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+/**
+ * SCOPE MIDDLEWARE
+ * Requests made with an API key may only use routes covered by the key's scopes;
+ * login sessions hold every scope. Must run after authenticateToken.
+ * @param {string|Function} scope - Required scope, or a function of the request returning it
+ */
+const requireScope = (scope) => (req, res, next) => {
+  const required = typeof scope === 'function' ? scope(req) : scope;
+  if (!hasScope(req, required)) {
+    return next(new ForbiddenError(`This API key does not have the ${required} scope.`, {
+      code: 'INSUFFICIENT_SCOPE',
+      details: { required }
+    }));
+  }
+  next();
+};
+
+/**
+ * SESSION ONLY MIDDLEWARE
+ * Account, security and integration settings can only be managed from a login
+ * session, never with an API key. Looks at the Authorization header itself, so it
+ * can guard a whole router before any route authenticates.
+ */
+const rejectApiKeys = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  if (authHeader && isApiKey(authHeader.split(' ')[1])) {
+    return next(new ForbiddenError('API keys cannot be used for this endpoint.', { code: 'API_KEY_NOT_ALLOWED' }));
+  }
+  next();
+};
+
+/**
+ * VERIFIED EMAIL MIDDLEWARE
+ * Limits unverified accounts: routes using this (sharing, public links, import, webhooks)
+ * are only available once the user has confirmed their email address. Export stays open
+ * so every user can always take their notes out.
+ * Must run after authenticateToken.
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user || !req.user.emailVerifiedAt) {
+    return next(new ForbiddenError('Please verify your email address to use this feature.', { code: 'EMAIL_NOT_VERIFIED' }));
+  }
+  next();
+};
+
+/**
+ * RECENT LOGIN MIDDLEWARE
+ * Sensitive account changes (linking/unlinking identities, setting a password) need a
+ * fresh login: the session must have been started within the last few minutes.
+ * Must run after authenticateToken.
+ */
+const RECENT_LOGIN_MINUTES = parseInt(process.env.RECENT_LOGIN_MINUTES || '10');
+
+const requireRecentLogin = (req, res, next) => {
+  const maxAge = RECENT_LOGIN_MINUTES * 60 * 1000;
+  if (!req.sessionStartedAt || Date.now() - req.sessionStartedAt.getTime() > maxAge) {
+    return next(new UnauthorizedError('Please login again to continue.', { code: 'REAUTHENTICATION_REQUIRED' }));
   }
+  next();
 };
 
 // Export the authentication middleware
 module.exports = {
-  authenticateToken
+  authenticateToken,
+  allowQueryToken,
+  requireScope,
+  rejectApiKeys,
+  requireVerifiedEmail,
+  requireRecentLogin
 };
\ No newline at end of file
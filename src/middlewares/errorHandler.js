@@ -0,0 +1,69 @@
+/**
+ * Error Handling Middleware
+ * Every error response goes through here so all routes share one envelope:
+ *
+ *   { "success": false, "error": "Note not found", "code": "NOTE_NOT_FOUND", "details": {...}, "data": {...} }
+ *
+ * Clients that send `Accept: application/problem+json` get an RFC 9457 problem document instead:
+ *
+ *   { "type": "about:blank", "title": "Not Found", "status": 404, "detail": "Note not found",
+ *     "instance": "/api/notes/...", "code": "NOTE_NOT_FOUND", ...details }
+ */
+
+const http = require('http');
+const { NotFoundError, toAppError } = require('../utils/errors');
+
+/**
+ * Send an error in the format the client asked for
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Error} err - Any error; non-application errors are reported as a generic 500
+ */
+function sendError(req, res, err) {
+  const error = toAppError(err);
+  res.status(error.status);
+
+  if (req.accepts(['application/json', 'application/problem+json']) === 'application/problem+json') {
+    return res.type('application/problem+json').send(JSON.stringify({
+      type: 'about:blank',
+      title: http.STATUS_CODES[error.status],
+      status: error.status,
+      detail: error.message,
+      instance: req.originalUrl,
+      code: error.code,
+      ...error.details,
+      ...(error.data && { data: error.data })
+    }));
+  }
+
+  res.json({
+    success: false,
+    error: error.message,
+    code: error.code,
+    ...(error.details && { details: error.details }),
+    ...(error.data && { data: error.data })
+  });
+}
+
+/**
+ * 404 handler for unmatched routes
+ */
+function notFoundHandler(req, res, next) {
+  next(new NotFoundError('Route not found', { code: 'ROUTE_NOT_FOUND', details: { path: req.originalUrl } }));
+}
+
+/**
+ * Central error handler (must be registered last)
+ */
+function errorHandler(err, req, res, next) {
+  // Only unexpected errors are logged; application errors are part of normal operation
+  if (toAppError(err).status >= 500) console.error('Unhandled error:', err);
+  if (res.headersSent) return next(err);
+  sendError(req, res, err);
+}
+
+module.exports = {
+  sendError,
+  notFoundHandler,
+  errorHandler
+};
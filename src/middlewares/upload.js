@@ -0,0 +1,68 @@
+/**
+ * Upload Middleware
+ * Multipart parsing (multer) with upload errors turned into 400 errors
+ */
+
+const multer = require('multer');
+const { BadRequestError } = require('../utils/errors');
+
+/**
+ * Wrap a multer handler so its errors become 400 errors instead of 500s
+ * @param {Function} handler - A multer middleware (e.g. upload.array('files'))
+ * @returns {Function} Express middleware
+ */
+const handleUpload = (handler) => (req, res, next) => {
+  handler(req, res, (err) => {
+    if (!err) return next();
+    if (err instanceof multer.MulterError) {
+      return next(err.code === 'LIMIT_FILE_SIZE'
+        ? new BadRequestError('File is too large', { code: 'FILE_TOO_LARGE' })
+        : new BadRequestError(err.message, { code: 'UPLOAD_FAILED' }));
+    }
+    next(err);
+  });
+};
+
+/**
+ * IMPORT UPLOADS
+ * Up to 10 files of 5MB each, kept in memory (.json, .md or .zip; zip a larger folder).
+ * Requests that announce a larger body are refused before anything is read.
+ */
+const IMPORT_MAX_FILES = 10;
+const IMPORT_MAX_FILE_BYTES = 5 * 1024 * 1024;
+
+const importMulter = handleUpload(
+  multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: IMPORT_MAX_FILE_BYTES, files: IMPORT_MAX_FILES }
+  }).array('files')
+);
+
+const importUpload = (req, res, next) => {
+  const declared = parseInt(req.get('content-length') || '0');
+  if (req.is('multipart/form-data') && declared > IMPORT_MAX_FILES * IMPORT_MAX_FILE_BYTES) {
+    return next(new BadRequestError('Upload is too large', { code: 'FILE_TOO_LARGE' }));
+  }
+  importMulter(req, res, next);
+};
+
+/**
+ * ATTACHMENT UPLOADS
+ * Up to 10 files of ATTACHMENT_MAX_FILE_MB (default 10MB) each, kept in memory until stored.
+ * File names are read as UTF-8.
+ */
+const ATTACHMENT_MAX_FILE_MB = parseInt(process.env.ATTACHMENT_MAX_FILE_MB || '10');
+
+const attachmentUpload = handleUpload(
+  multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: ATTACHMENT_MAX_FILE_MB * 1024 * 1024, files: 10 },
+    defParamCharset: 'utf8'
+  }).array('files')
+);
+
+module.exports = {
+  handleUpload,
+  importUpload,
+  attachmentUpload
+};
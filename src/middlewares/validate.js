@@ -0,0 +1,40 @@
+/**
+ * Request Validation Middleware
+ * Runs an express-validator schema and fails with a 422 listing every field-level error.
+ */
+
+const { checkSchema, validationResult, matchedData } = require('express-validator');
+const { ValidationError } = require('../utils/errors');
+
+/**
+ * Build middleware that validates a request against a schema
+ * On success, sanitized query values replace req.query: Express 5 re-parses req.query
+ * on every access, so express-validator's sanitizers (toInt, trim...) would otherwise be lost.
+ * Body and params are sanitized in place.
+ * @param {Object} schema - express-validator schema (see src/validators)
+ * @returns {Array<Function>} Express middleware chain
+ */
+function validate(schema) {
+  return [
+    ...checkSchema(schema),
+    (req, res, next) => {
+      const result = validationResult(req);
+      if (!result.isEmpty()) {
+        const errors = result.array({ onlyFirstError: true }).map(err => ({
+          field: err.path,
+          location: err.location,
+          message: err.msg
+        }));
+        return next(new ValidationError('Validation failed', { details: { errors } }));
+      }
+
+      const query = { ...req.query, ...matchedData(req, { locations: ['query'] }) };
+      Object.defineProperty(req, 'query', { value: query, writable: true, enumerable: true, configurable: true });
+      next();
+    }
+  ];
+}
+
+module.exports = {
+  validate
+};
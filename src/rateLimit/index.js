@@ -0,0 +1,93 @@
+/**
+ * Rate Limiting
+ * Named limit policies built on express-rate-limit, each with its own window, budget and key.
+ * Counters live in a pluggable store chosen with RATE_LIMIT_STORE:
+ *   memory   - per-process counters (default)
+ *   postgres - shared counters in the RateLimitHit table, for running several instances
+ * Responses carry the RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset headers.
+ */
+
+const { rateLimit, ipKeyGenerator } = require('express-rate-limit');
+const memoryStore = require('./stores/memory');
+const postgresStore = require('./stores/postgres');
+const { RateLimitedError } = require('../utils/errors');
+
+const STORES = {
+  memory: memoryStore,
+  postgres: postgresStore
+};
+
+// Client IP, grouping IPv6 addresses by subnet
+function ipKey(req) {
+  return ipKeyGenerator(req.ip || '');
+}
+
+// Client IP plus the email being signed in or registered, so one address cannot lock out others
+function ipEmailKey(req) {
+  const email = req.body && typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+  return `${ipKey(req)}:${email}`;
+}
+
+// Authenticated user (must run after authenticateToken), falling back to the IP
+function userKey(req) {
+  return req.user ? `user:${req.user.id}` : ipKey(req);
+}
+
+/**
+ * Limit policies
+ *   windowMs - length of a window
+ *   limit    - requests allowed per key and window
+ *   key      - how clients are told apart
+ *   skipSuccessfulRequests - only count failed (status >= 400) requests
+ */
+const POLICIES = {
+  // Coarse per-IP backstop for everything, including unauthenticated routes
+  global: { windowMs: 15 * 60 * 1000, limit: 1000, key: ipKey },
+  // Brute force protection for credential checks
+  login: { windowMs: 15 * 60 * 1000, limit: 10, key: ipEmailKey, skipSuccessfulRequests: true },
+  register: { windowMs: 60 * 60 * 1000, limit: 5, key: ipEmailKey },
+  // Emails and one-time codes
+  accountRecovery: { windowMs: 15 * 60 * 1000, limit: 5, key: ipEmailKey },
+  // Authenticated API usage
+  user: { windowMs: 60 * 1000, limit: 300, key: userKey }
+};
+
+const limiters = new Map();
+
+// Create the store configured by RATE_LIMIT_STORE for one policy
+function createStore(name) {
+  const storeName = process.env.RATE_LIMIT_STORE || 'memory';
+  const factory = STORES[storeName];
+  if (!factory) throw new Error(`Unknown RATE_LIMIT_STORE "${storeName}"`);
+  return factory.create({ prefix: `${name}:` });
+}
+
+/**
+ * Get the middleware enforcing a named policy
+ * Every use of a policy shares one limiter, so its budget is shared by all routes it guards.
+ * @param {string} name - Key of POLICIES
+ * @returns {Function} Express middleware
+ */
+function rateLimiter(name) {
+  if (!limiters.has(name)) {
+    const policy = POLICIES[name];
+    if (!policy) throw new Error(`Unknown rate limit policy "${name}"`);
+
+    limiters.set(name, rateLimit({
+      windowMs: policy.windowMs,
+      limit: policy.limit,
+      skipSuccessfulRequests: Boolean(policy.skipSuccessfulRequests),
+      keyGenerator: policy.key,
+      store: createStore(name),
+      standardHeaders: 'draft-6',
+      legacyHeaders: false,
+      // Rejections go through the central error handler like every other error
+      handler: (req, res, next) => next(new RateLimitedError())
+    }));
+  }
+  return limiters.get(name);
+}
+
+module.exports = {
+  rateLimiter
+};
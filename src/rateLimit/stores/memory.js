@@ -0,0 +1,12 @@
+/**
+ * Memory Rate Limit Store
+ * Keeps counters in process memory; limits are per instance (default outside production)
+ */
+
+const { MemoryStore } = require('express-rate-limit');
+
+function create() {
+  return new MemoryStore();
+}
+
+module.exports = { create };
@@ -0,0 +1,70 @@
+/**
+ * Postgres Rate Limit Store
+ * Keeps counters in the RateLimitHit table so every instance shares the same limits
+ */
+
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// How often rows of finished windows are deleted
+const CLEANUP_INTERVAL_MS = 10 * 60 * 1000;
+
+let cleanupTimer = null;
+
+// Delete counters whose window has ended, logging instead of throwing
+async function cleanup() {
+  try {
+    await prisma.$executeRaw`DELETE FROM "RateLimitHit" WHERE "resetAt" <= (NOW() AT TIME ZONE 'UTC')`;
+  } catch (error) {
+    console.error('Rate limit cleanup error:', error);
+  }
+}
+
+function create({ prefix }) {
+  let windowMs = 60 * 1000;
+
+  return {
+    prefix,
+    localKeys: false,
+
+    init: (options) => {
+      windowMs = options.windowMs;
+      if (!cleanupTimer) {
+        cleanupTimer = setInterval(cleanup, CLEANUP_INTERVAL_MS);
+        cleanupTimer.unref(); // Never keep the process alive just for this
+      }
+    },
+
+    get: async (key) => {
+      const [row] = await prisma.$queryRaw`
+        SELECT hits, "resetAt"
+        FROM "RateLimitHit"
+        WHERE key = ${prefix + key} AND "resetAt" > (NOW() AT TIME ZONE 'UTC')`;
+      return row ? { totalHits: row.hits, resetTime: row.resetAt } : undefined;
+    },
+
+    // Start a new window when the stored one has ended, otherwise count the hit in it
+    increment: async (key) => {
+      const [row] = await prisma.$queryRaw`
+        INSERT INTO "RateLimitHit" (key, hits, "resetAt")
+        VALUES (${prefix + key}, 1, (NOW() AT TIME ZONE 'UTC') + make_interval(secs => ${windowMs / 1000}))
+        ON CONFLICT (key) DO UPDATE SET
+          hits = CASE WHEN "RateLimitHit"."resetAt" <= (NOW() AT TIME ZONE 'UTC') THEN 1 ELSE "RateLimitHit".hits + 1 END,
+          "resetAt" = CASE WHEN "RateLimitHit"."resetAt" <= (NOW() AT TIME ZONE 'UTC') THEN EXCLUDED."resetAt" ELSE "RateLimitHit"."resetAt" END
+        RETURNING hits, "resetAt"`;
+      return { totalHits: row.hits, resetTime: row.resetAt };
+    },
+
+    decrement: async (key) => {
+      await prisma.$executeRaw`
+        UPDATE "RateLimitHit" SET hits = GREATEST(hits - 1, 0) WHERE key = ${prefix + key}`;
+    },
+
+    resetKey: async (key) => {
+      await prisma.$executeRaw`DELETE FROM "RateLimitHit" WHERE key = ${prefix + key}`;
+    }
+  };
+}
+
+module.exports = { create };
@@ -0,0 +1,86 @@
+/**
+ * Account Routes
+ * Data takeout and account deletion (mounted at /api/auth/account)
+ */
+
+// Import required dependencies
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { comparePassword } = require('../utils/auth');
+const { revokeUserSessions } = require('../utils/sessions');
+const { sendAccountDeletionEmail } = require('../utils/accountEmails');
+const { buildAccountExport } = require('../utils/accountExport');
+const { UnauthorizedError } = require('../utils/errors');
+const { authenticateToken, requireRecentLogin } = require('../middlewares/authmiddleware');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../validators/auth');
+
+// Initialize Express router and Prisma client
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Days between the deletion request and the account being purged (see jobs/accountPurge.js)
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || '14');
+
+/**
+ * ACCOUNT EXPORT ENDPOINT
+ * GET /api/auth/account/export
+ * Downloads everything stored about the user as one JSON file: profile, notes with
+ * revisions, shares and public links, tags, notebooks, notes shared with the user,
+ * linked identities, sessions and sign-in history (PROTECTED ROUTE)
+ */
+router.get('/export', authenticateToken, async (req, res, next) => {
+  try {
+    const takeout = await buildAccountExport(req.user.id);
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.set('Content-Disposition', `attachment; filename="noty-account-${date}.json"`);
+    res.type('application/json').send(JSON.stringify(takeout, null, 2));
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE ACCOUNT ENDPOINT
+ * DELETE /api/auth/account
+ * Schedules the account and all of its data for deletion after a grace period and
+ * signs out every session. Signing in again before then cancels the deletion.
+ * Requires the password (if the account has one) and a recent login (PROTECTED ROUTE, FRESH LOGIN)
+ */
+router.delete('/', authenticateToken, requireRecentLogin, validate(schemas.deleteAccount), async (req, res, next) => {
+  try {
+    const { password } = req.body || {};
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+
+    if (user.password && (!password || !(await comparePassword(password, user.password)))) {
+      throw new UnauthorizedError('Invalid password', { code: 'INVALID_CREDENTIALS' });
+    }
+
+    const deleteAt = new Date(Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { deletionScheduledAt: deleteAt }
+    });
+    await revokeUserSessions(user.id, { reason: 'ACCOUNT_DELETION' });
+
+    // A mail failure must not keep the deletion from being scheduled
+    try {
+      await sendAccountDeletionEmail(user, deleteAt);
+    } catch (mailError) {
+      console.error('Account deletion email error:', mailError);
+    }
+
+    res.json({
+      success: true,
+      message: `Your account will be deleted on ${deleteAt.toISOString().slice(0, 10)}. Sign in before then to cancel.`,
+      data: { deletionScheduledAt: deleteAt }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
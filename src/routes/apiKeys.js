@@ -0,0 +1,105 @@
+/**
+ * API Key Routes
+ * Creates, lists and revokes the personal API keys of the current user (mounted at /api/auth/api-keys).
+ * Keys authenticate scripts and integrations in place of a login token; see utils/apiKeys.js.
+ */
+
+// Import required dependencies
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { BadRequestError, NotFoundError } = require('../utils/errors');
+const { apiKeySelect, generateApiKey } = require('../utils/apiKeys');
+const { authenticateToken, requireRecentLogin } = require('../middlewares/authmiddleware');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../validators/auth');
+
+// Initialize Express router and Prisma client
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Keys a user may hold at once (revoked keys do not count)
+const MAX_API_KEYS_PER_USER = 20;
+
+/**
+ * LIST API KEYS ENDPOINT
+ * GET /api/auth/api-keys
+ * Returns every key of the user, including revoked and expired ones, newest first (PROTECTED ROUTE)
+ */
+router.get('/', authenticateToken, async (req, res, next) => {
+  try {
+    const apiKeys = await prisma.apiKey.findMany({
+      where: { userId: req.user.id },
+      select: apiKeySelect,
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({ success: true, data: { apiKeys } });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * CREATE API KEY ENDPOINT
+ * POST /api/auth/api-keys
+ * Body: { name, scopes: ['notes:read', ...], expiresAt? }
+ * Returns the key itself; it is shown only this once (PROTECTED ROUTE, FRESH LOGIN)
+ */
+router.post('/', authenticateToken, requireRecentLogin, validate(schemas.createApiKey), async (req, res, next) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+
+    const activeKeys = await prisma.apiKey.count({ where: { userId: req.user.id, revokedAt: null } });
+    if (activeKeys >= MAX_API_KEYS_PER_USER) {
+      throw new BadRequestError(`You can have at most ${MAX_API_KEYS_PER_USER} API keys`, { code: 'API_KEY_LIMIT' });
+    }
+
+    const { key, prefix, keyHash } = generateApiKey();
+    const apiKey = await prisma.apiKey.create({
+      data: {
+        userId: req.user.id,
+        name,
+        prefix,
+        keyHash,
+        scopes,
+        expiresAt: expiresAt ? new Date(expiresAt) : null
+      },
+      select: apiKeySelect
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now, it will not be shown again.',
+      data: { apiKey, key }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * REVOKE API KEY ENDPOINT
+ * DELETE /api/auth/api-keys/:id
+ * The key stops working immediately; it stays listed as revoked (PROTECTED ROUTE)
+ */
+router.delete('/:id', authenticateToken, validate(schemas.apiKeyId), async (req, res, next) => {
+  try {
+    const result = await prisma.apiKey.updateMany({
+      where: { id: req.params.id, userId: req.user.id, revokedAt: null },
+      data: { revokedAt: new Date() }
+    });
+
+    if (result.count === 0) {
+      throw new NotFoundError('API key not found', { code: 'API_KEY_NOT_FOUND' });
+    }
+
+    res.json({ success: true, message: 'API key revoked' });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
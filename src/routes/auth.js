@@ -1,65 +1,62 @@
 /**
  * Authentication Routes
- * This file handles all user authentication endpoints: registration, login, profile, and logout
+ * This file handles all user authentication endpoints: registration, login, token refresh,
+ * password reset, email verification, profile and password changes, and logout
  */
 
 // Import required dependencies
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const passport = require('passport');
-const { hashPassword, comparePassword, generateToken } = require('../utils/auth');
-const { authenticateToken } = require('../middlewares/authmiddleware');
+const { hashPassword, comparePassword, generateChallengeToken } = require('../utils/auth');
+const { createSession, rotateSession, revokeSession, revokeUserSessions } = require('../utils/sessions');
+const { consumeUserToken } = require('../utils/userTokens');
+const { BadRequestError, ConflictError, NotFoundError, UnauthorizedError } = require('../utils/errors');
+const {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendEmailChangeEmail,
+  sendEmailChangedNotice
+} = require('../utils/accountEmails');
+const {
+  recordLoginEvent,
+  isLocked,
+  registerFailedLogin,
+  clearFailedLogins,
+  lockedError
+} = require('../utils/loginSecurity');
+const { authenticateToken, requireRecentLogin, rejectApiKeys } = require('../middlewares/authmiddleware');
+const { rateLimiter } = require('../rateLimit');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../validators/auth');
+const twoFactorRoutes = require('./twoFactor');
+const identitiesRoutes = require('./identities');
+const securityRoutes = require('./security');
+const accountRoutes = require('./account');
+const apiKeysRoutes = require('./apiKeys');
 
 // Initialize Express router and Prisma client
 const router = express.Router();
 const prisma = new PrismaClient();
 
+// Accounts are managed from login sessions only; API keys are refused on every route below
+router.use(rejectApiKeys);
+
 /**
  * USER REGISTRATION ENDPOINT
  * POST /api/auth/register
  * Creates a new user account with email and password
  */
-router.post('/register', async (req, res) => {
+router.post('/register', rateLimiter('register'), validate(schemas.register), async (req, res, next) => {
   try {
     /**
-     * STEP 1: EXTRACT AND VALIDATE INPUT DATA
-     * Get user data from request body and perform basic validation
+     * STEP 1: EXTRACT INPUT DATA
+     * Already validated and normalized (trimmed name, lowercased email) by validators/auth.js
      */
     const { name, email, password } = req.body;
 
-    // Check if all required fields are provided
-    if (!name || !email || !password) {
-      return res.status(400).json({
-        success: false,
-        error: 'Name, email, and password are required'
-      });
-    }
-
-    /**
-     * STEP 2: EMAIL FORMAT VALIDATION
-     * Use regex to validate email format
-     */
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Please provide a valid email address'
-      });
-    }
-
-    /**
-     * STEP 3: PASSWORD STRENGTH VALIDATION
-     * Ensure password meets minimum security requirements
-     */
-    if (password.length < 6) {
-      return res.status(400).json({
-        success: false,
-        error: 'Password must be at least 6 characters long'
-      });
-    }
-
     /**
-     * STEP 4: CHECK FOR EXISTING USER
+     * STEP 2: CHECK FOR EXISTING USER
      * Prevent duplicate email registrations
      */
     const existingUser = await prisma.user.findUnique({
@@ -67,75 +64,76 @@ router.post('/register', async (req, res) => {
     });
 
     if (existingUser) {
-      return res.status(409).json({
-        success: false,
-        error: 'User already exists with this email'
-      });
+      throw new ConflictError('User already exists with this email', { code: 'EMAIL_TAKEN' });
     }
 
     /**
-     * STEP 5: HASH PASSWORD
+     * STEP 3: HASH PASSWORD
      * Securely hash the password before storing in database
      */
     const hashedPassword = await hashPassword(password);
 
     /**
-     * STEP 6: CREATE USER IN DATABASE
-     * Store user data with hashed password and email provider
+     * STEP 4: CREATE USER IN DATABASE
+     * Store user data with hashed password
      */
     const user = await prisma.user.create({
       data: {
         name,
         email: email.toLowerCase(), // Store lowercase for consistency
         password: hashedPassword,
-        provider: "email"
       }
     });
 
     /**
-     * STEP 7: GENERATE JWT TOKEN
-     * Create authentication token for immediate login
+     * STEP 5: SEND VERIFICATION EMAIL
+     * The account works right away but stays limited until the address is confirmed.
+     * A mail failure must not fail the registration; the user can ask for a new link.
      */
-    const token = generateToken(user);
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
 
     /**
-     * STEP 8: RETURN SUCCESS RESPONSE
+     * STEP 6: START A SESSION
+     * Create a session with an access token and refresh token for immediate login
+     */
+    const { token, refreshToken } = await createSession(user, req);
+
+    /**
+     * STEP 7: RETURN SUCCESS RESPONSE
      * Send user data and token (excluding password for security)
      */
     res.status(201).json({
       success: true,
-      message: 'User created successfully',
+      message: 'User created successfully. Please check your email to verify your address.',
       data: {
         user: {
           id: user.id,
           name: user.name,
           email: user.email,
+          emailVerified: false,
           createdAt: user.createdAt
           // Note: Password is intentionally excluded from response
         },
-        token
+        token,
+        refreshToken
       }
     });
 
   } catch (error) {
-    console.error('Registration error:', error);
-    
     /**
-     * STEP 9: HANDLE SPECIFIC DATABASE ERRORS
+     * STEP 8: HANDLE SPECIFIC DATABASE ERRORS
      * Provide specific error messages for database constraint violations
      */
     if (error.code === 'P2002') {
-      return res.status(409).json({
-        success: false,
-        error: 'User already exists with this email'
-      });
+      return next(new ConflictError('User already exists with this email', { code: 'EMAIL_TAKEN' }));
     }
 
-    // Handle any other errors
-    res.status(500).json({
-      success: false,
-      error: 'Failed to create user'
-    });
+    // Anything else is handled by the central error handler
+    next(error);
   }
 });
 
@@ -144,22 +142,14 @@ router.post('/register', async (req, res) => {
  * POST /api/auth/login
  * Authenticates user with email and password, returns JWT token
  */
-router.post('/login', async (req, res) => {
+router.post('/login', rateLimiter('login'), validate(schemas.login), async (req, res, next) => {
   try {
     /**
-     * STEP 1: EXTRACT AND VALIDATE CREDENTIALS
-     * Get login credentials from request body
+     * STEP 1: EXTRACT CREDENTIALS
+     * Presence is checked by validators/auth.js
      */
     const { email, password } = req.body;
 
-    // Validate that both email and password are provided
-    if (!email || !password) {
-      return res.status(400).json({
-        success: false,
-        error: 'Email and password are required'
-      });
-    }
-
     /**
      * STEP 2: FIND USER IN DATABASE
      * Search for user by email (case-insensitive)
@@ -170,34 +160,73 @@ router.post('/login', async (req, res) => {
 
     // Check if user exists
     if (!user) {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid email or password'
-      });
+      await recordLoginEvent(req, { email, method: 'password', outcome: 'FAILURE', reason: 'unknown_email' });
+      throw new UnauthorizedError('Invalid email or password', { code: 'INVALID_CREDENTIALS' });
     }
 
     /**
-     * STEP 3: VERIFY PASSWORD
-     * Compare provided password with stored hash
+     * STEP 3: REFUSE LOCKED ACCOUNTS
+     * The password is not even checked while the account is locked
      */
+    if (isLocked(user)) {
+      await recordLoginEvent(req, { user, method: 'password', outcome: 'LOCKED', reason: 'account_locked' });
+      throw lockedError(user.lockedUntil);
+    }
+
+    /**
+     * STEP 4: VERIFY PASSWORD
+     * Accounts created through Google have no password until the user sets one
+     */
+    if (!user.password) {
+      await recordLoginEvent(req, { user, method: 'password', outcome: 'FAILURE', reason: 'no_password' });
+      throw new UnauthorizedError('This account signs in with Google. Use Google sign-in or set a password from your account settings.');
+    }
+
+    // Compare provided password with stored hash
     const isPasswordValid = await comparePassword(password, user.password);
     
-    // Check if password is correct
+    // Check if password is correct; repeated failures lock the account
     if (!isPasswordValid) {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid email or password'
+      const { locked, lockedUntil } = await registerFailedLogin(user);
+      await recordLoginEvent(req, {
+        user,
+        method: 'password',
+        outcome: locked ? 'LOCKED' : 'FAILURE',
+        reason: 'invalid_password'
+      });
+      if (locked) {
+        throw lockedError(lockedUntil);
+      }
+      throw new UnauthorizedError('Invalid email or password', { code: 'INVALID_CREDENTIALS' });
+    }
+
+    /**
+     * STEP 5: REQUIRE SECOND FACTOR IF ENABLED
+     * With 2FA on, no session is created yet: the client exchanges this short-lived
+     * challenge token plus a TOTP code at POST /api/auth/2fa/verify.
+     * Failure counters are only cleared once that second step succeeds.
+     */
+    if (user.totpEnabledAt) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: generateChallengeToken(user)
+        }
       });
     }
 
     /**
-     * STEP 4: GENERATE AUTHENTICATION TOKEN
-     * Create JWT token for successful login
+     * STEP 6: START A SESSION
+     * Create a session with an access token and refresh token for successful login
      */
-    const token = generateToken(user);
+    const { token, refreshToken } = await createSession(user, req);
+    await clearFailedLogins(user);
+    await recordLoginEvent(req, { user, method: 'password', outcome: 'SUCCESS' });
 
     /**
-     * STEP 5: RETURN SUCCESS RESPONSE
+     * STEP 7: RETURN SUCCESS RESPONSE
      * Send user data and authentication token
      */
     res.json({
@@ -208,18 +237,209 @@ router.post('/login', async (req, res) => {
           id: user.id,
           name: user.name,
           email: user.email,
+          emailVerified: Boolean(user.emailVerifiedAt),
           createdAt: user.createdAt
         },
-        token
+        token,
+        refreshToken
       }
     });
 
   } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to login'
+    next(error);
+  }
+});
+
+/**
+ * FORGOT PASSWORD ENDPOINT
+ * POST /api/auth/forgot-password
+ * Emails a single-use, expiring password reset link. Always answers the same way
+ * so the endpoint cannot be used to find out which emails are registered.
+ */
+router.post('/forgot-password', rateLimiter('accountRecovery'), validate(schemas.forgotPassword), async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    const user = await prisma.user.findUnique({
+      where: { email }
+    });
+
+    // A mail failure is only logged, so registered and unknown emails get the same answer
+    if (user) {
+      try {
+        await sendPasswordResetEmail(user);
+      } catch (mailError) {
+        console.error('Password reset email error:', mailError);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent.'
     });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * RESET PASSWORD ENDPOINT
+ * POST /api/auth/reset-password
+ * Sets a new password using a reset token and signs out every existing session
+ */
+router.post('/reset-password', rateLimiter('accountRecovery'), validate(schemas.resetPassword), async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    const userToken = await consumeUserToken(token, 'PASSWORD_RESET');
+    if (!userToken) {
+      throw new BadRequestError('Reset link is invalid or has expired', { code: 'INVALID_TOKEN' });
+    }
+
+    // Opening the emailed link also proves ownership of the address (and lifts any lockout)
+    const user = await prisma.user.findUnique({ where: { id: userToken.userId } });
+    await prisma.user.update({
+      where: { id: userToken.userId },
+      data: {
+        password: await hashPassword(password),
+        emailVerifiedAt: user.emailVerifiedAt || new Date(),
+        failedLoginCount: 0,
+        lockoutCount: 0,
+        lockedUntil: null
+      }
+    });
+    await revokeUserSessions(userToken.userId, { reason: 'PASSWORD_RESET' });
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please login with your new password.'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * VERIFY EMAIL ENDPOINT
+ * GET /api/auth/verify-email?token=...
+ * Confirms the user's email address with the token from the verification email
+ */
+router.get('/verify-email', validate(schemas.emailToken), async (req, res, next) => {
+  try {
+    const userToken = await consumeUserToken(req.query.token, 'EMAIL_VERIFICATION');
+    if (!userToken) {
+      throw new BadRequestError('Verification link is invalid or has expired', { code: 'INVALID_TOKEN' });
+    }
+
+    await prisma.user.update({
+      where: { id: userToken.userId },
+      data: { emailVerifiedAt: new Date() }
+    });
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * CONFIRM EMAIL CHANGE ENDPOINT
+ * GET /api/auth/confirm-email?token=...
+ * Switches the account to its pending email with the token sent to the new address
+ */
+router.get('/confirm-email', validate(schemas.emailToken), async (req, res, next) => {
+  try {
+    const userToken = await consumeUserToken(req.query.token, 'EMAIL_CHANGE');
+    if (!userToken) {
+      throw new BadRequestError('Confirmation link is invalid or has expired', { code: 'INVALID_TOKEN' });
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: userToken.userId } });
+    if (!user || !user.pendingEmail) {
+      throw new BadRequestError('There is no email change to confirm');
+    }
+
+    const existingUser = await prisma.user.findUnique({ where: { email: user.pendingEmail } });
+    if (existingUser) {
+      throw new ConflictError('User already exists with this email', { code: 'EMAIL_TAKEN' });
+    }
+
+    // Opening the link proves ownership of the new address
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { email: user.pendingEmail, pendingEmail: null, emailVerifiedAt: new Date() }
+    });
+
+    // Let the old address know; a mail failure must not undo the change
+    try {
+      await sendEmailChangedNotice(user, user.pendingEmail);
+    } catch (mailError) {
+      console.error('Email changed notice error:', mailError);
+    }
+
+    res.json({
+      success: true,
+      message: 'Email address changed successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * RESEND VERIFICATION EMAIL ENDPOINT
+ * POST /api/auth/resend-verification
+ * Sends a new verification link to the current user (PROTECTED ROUTE)
+ */
+router.post('/resend-verification', authenticateToken, rateLimiter('accountRecovery'), async (req, res, next) => {
+  try {
+    if (req.user.emailVerifiedAt) {
+      throw new BadRequestError('Email is already verified');
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * REFRESH SESSION ENDPOINT
+ * POST /api/auth/refresh
+ * Exchanges a refresh token for a new access token and a rotated refresh token.
+ * Reusing an already-rotated refresh token revokes the whole session.
+ */
+router.post('/refresh', validate(schemas.refresh), async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const { user, token, refreshToken: nextRefreshToken } = await rotateSession(refreshToken);
+
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        user,
+        token,
+        refreshToken: nextRefreshToken
+      }
+    });
+
+  } catch (error) {
+    next(error);
   }
 });
 
@@ -228,7 +448,7 @@ router.post('/login', async (req, res) => {
  * GET /api/auth/profile
  * Returns current user's profile information and note statistics (PROTECTED ROUTE)
  */
-router.get('/profile', authenticateToken, async (req, res) => {
+router.get('/profile', authenticateToken, async (req, res, next) => {
   try {
     /**
      * STEP 1: FETCH USER PROFILE WITH STATISTICS
@@ -240,7 +460,9 @@ router.get('/profile', authenticateToken, async (req, res) => {
         id: true,
         name: true,
         email: true,
-        googleId: true,
+        pendingEmail: true,
+        emailVerifiedAt: true,
+        totpEnabledAt: true,
         createdAt: true,
         updatedAt: true,
         _count: {
@@ -255,10 +477,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
 
     // Check if user still exists in database
     if (!user) {
-      return res.status(404).json({
-        success: false,
-        error: 'User not found'
-      });
+      throw new NotFoundError('User not found');
     }
 
     /**
@@ -276,26 +495,175 @@ router.get('/profile', authenticateToken, async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Get profile error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch profile'
+    next(error);
+  }
+});
+
+/**
+ * UPDATE PROFILE ENDPOINT
+ * PATCH /api/auth/profile
+ * Updates the user's name and/or starts an email change (PROTECTED ROUTE).
+ * A new email only takes effect once confirmed from a link sent to that address,
+ * and changing it requires a recent login.
+ */
+router.patch(
+  '/profile',
+  authenticateToken,
+  // Runs before validation, so the body may still be missing (no JSON sent)
+  (req, res, next) => ((req.body || {}).email !== undefined ? requireRecentLogin(req, res, next) : next()),
+  validate(schemas.updateProfile),
+  async (req, res, next) => {
+    try {
+      /**
+       * STEP 1: CHECK THERE IS SOMETHING TO UPDATE
+       * Only name and email can be changed here (formats checked by validators/auth.js)
+       */
+      const { name, email } = req.body || {};
+
+      if (name === undefined && email === undefined) {
+        throw new BadRequestError('Provide a name or email to update');
+      }
+
+      const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+      const newEmail = email !== undefined ? email : null;
+      const changingEmail = newEmail && newEmail !== user.email;
+
+      /**
+       * STEP 2: CHECK THE NEW EMAIL IS FREE
+       * Checked again when the change is confirmed
+       */
+      if (changingEmail) {
+        const existingUser = await prisma.user.findUnique({ where: { email: newEmail } });
+        if (existingUser) {
+          throw new ConflictError('User already exists with this email', { code: 'EMAIL_TAKEN' });
+        }
+      }
+
+      /**
+       * STEP 3: SAVE CHANGES
+       * The name is updated at once; the email is kept as pending until confirmed
+       */
+      const updated = await prisma.user.update({
+        where: { id: user.id },
+        data: {
+          ...(name !== undefined && { name }),
+          ...(email !== undefined && { pendingEmail: changingEmail ? newEmail : null })
+        },
+        select: {
+          id: true,
+          name: true,
+          email: true,
+          pendingEmail: true,
+          emailVerifiedAt: true,
+          createdAt: true,
+          updatedAt: true
+        }
+      });
+
+      if (changingEmail) {
+        await sendEmailChangeEmail(updated, newEmail);
+      }
+
+      res.json({
+        success: true,
+        message: changingEmail
+          ? `Profile updated. Confirm your new email from the link sent to ${newEmail}.`
+          : 'Profile updated',
+        data: { user: updated }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * CHANGE PASSWORD ENDPOINT
+ * POST /api/auth/change-password
+ * Changes the password after checking the current one and signs out every other session
+ * (PROTECTED ROUTE)
+ */
+router.post('/change-password', authenticateToken, validate(schemas.changePassword), async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+
+    // Accounts created through Google set their first password at /identities/password
+    if (!user.password) {
+      throw new BadRequestError('This account has no password yet. Set one from your account settings.');
+    }
+
+    if (!(await comparePassword(currentPassword, user.password))) {
+      throw new UnauthorizedError('Current password is incorrect', { code: 'INVALID_CREDENTIALS' });
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { password: await hashPassword(newPassword) }
     });
+    await revokeUserSessions(user.id, { exceptSessionId: req.sessionId, reason: 'PASSWORD_CHANGE' });
+
+    res.json({
+      success: true,
+      message: 'Password changed. Other sessions have been signed out.'
+    });
+
+  } catch (error) {
+    next(error);
   }
 });
 
 /**
  * USER LOGOUT ENDPOINT
  * POST /api/auth/logout
- * Handles user logout (token invalidation handled client-side) (PROTECTED ROUTE)
+ * Revokes the current session so its access and refresh tokens stop working (PROTECTED ROUTE)
  */
-router.post('/logout', authenticateToken, (req, res) => {
-  res.json({
-    success: true,
-    message: 'Logout successful. Please remove the token from client-side storage.'
-  });
+router.post('/logout', authenticateToken, async (req, res, next) => {
+  try {
+    await revokeSession(req.sessionId, 'LOGOUT');
+
+    res.json({
+      success: true,
+      message: 'Logout successful'
+    });
+
+  } catch (error) {
+    next(error);
+  }
 });
 
+/**
+ * TWO-FACTOR AUTHENTICATION ROUTES
+ * Mounted at /api/auth/2fa (see routes/twoFactor.js)
+ */
+router.use('/2fa', twoFactorRoutes);
+
+/**
+ * IDENTITY LINKING ROUTES
+ * Mounted at /api/auth/identities (see routes/identities.js)
+ */
+router.use('/identities', identitiesRoutes);
+
+/**
+ * ACCOUNT SECURITY ROUTES
+ * Mounted at /api/auth/security (see routes/security.js)
+ */
+router.use('/security', securityRoutes);
+
+/**
+ * ACCOUNT ROUTES
+ * Mounted at /api/auth/account (see routes/account.js)
+ */
+router.use('/account', accountRoutes);
+
+/**
+ * API KEY ROUTES
+ * Mounted at /api/auth/api-keys (see routes/apiKeys.js)
+ */
+router.use('/api-keys', apiKeysRoutes);
+
 /**
  * GOOGLE OAUTH ROUTES
  * These endpoints handle Google OAuth 2.0 authentication flow
@@ -308,6 +676,11 @@ router.post('/logout', authenticateToken, (req, res) => {
  */
 router.get(
   '/google',
+  (req, res, next) => {
+    // An ordinary sign-in must never finish a link the user abandoned at the consent screen
+    if (req.session) delete req.session.googleLink;
+    next();
+  },
   passport.authenticate('google', {
     scope: ['profile', 'email'],
   })
@@ -317,28 +690,41 @@ router.get(
  * GOOGLE OAUTH CALLBACK
  * GET /api/auth/google/callback
  * Google redirects here after user authorizes the application
- * Redirects to frontend with JWT token
+ * Redirects to frontend with JWT access token and refresh token
  */
 router.get(
   '/google/callback',
   passport.authenticate('google', {
     failureRedirect: '/api/auth/google/failure',
+    failureMessage: true,
     session: true
   }),
-  (req, res) => {
+  async (req, res, next) => {
     try {
       // User is now authenticated by passport
       const user = req.user;
       console.log('✅ Google OAuth successful, user:', { id: user.id, email: user.email, name: user.name });
+      const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+
+      // Linking flow: the user already has a session, just send them back to their settings
+      if (req.authInfo && req.authInfo.linked) {
+        return res.redirect(`${clientUrl}/settings?linked=google`);
+      }
+
+      // Accounts with 2FA still need a TOTP code before a session is created
+      if (user.totpEnabledAt) {
+        return res.redirect(`${clientUrl}/auth/2fa?challengeToken=${generateChallengeToken(user)}`);
+      }
       
-      // Generate JWT token
-      const token = generateToken(user);
+      // Start a session with access and refresh tokens
+      const { token, refreshToken } = await createSession(user, req);
+      await clearFailedLogins(user);
+      await recordLoginEvent(req, { user, method: 'google', outcome: 'SUCCESS' });
       console.log('✅ JWT token generated:', token.substring(0, 20) + '...');
       
-      // Redirect to frontend with token
-      const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
-      const redirectUrl = `${clientUrl}/auth/callback?token=${token}`;
-      console.log('✅ Redirecting to:', redirectUrl);
+      // Redirect to frontend with tokens
+      const redirectUrl = `${clientUrl}/auth/callback?token=${token}&refreshToken=${encodeURIComponent(refreshToken)}`;
+      console.log('✅ Redirecting to:', `${clientUrl}/auth/callback`);
       
       res.redirect(redirectUrl);
     } catch (error) {
@@ -352,10 +738,26 @@ router.get(
 /**
  * GOOGLE AUTH FAILURE HANDLER
  * GET /api/auth/google/failure
- * Handles authentication failures
+ * Handles authentication failures, passing the reason on to the frontend:
+ *   account_exists  - an email/password account uses this address; sign in and link Google
+ *   identity_in_use - this Google account is already linked to another user
+ *   link_expired    - the linking flow took too long; start it again from the settings
  */
 router.get('/google/failure', (req, res) => {
   const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+  const messages = (req.session && req.session.messages) || [];
+  const reason = messages[messages.length - 1];
+  if (req.session) req.session.messages = [];
+
+  // Keep the attempt in the audit trail; the account is usually unknown here
+  recordLoginEvent(req, { method: 'google', outcome: 'FAILURE', reason: reason || 'google_failed' });
+
+  if (reason === 'account_exists') {
+    return res.redirect(`${clientUrl}/login?error=account_exists`);
+  }
+  if (reason === 'identity_in_use' || reason === 'link_expired') {
+    return res.redirect(`${clientUrl}/settings?error=${reason}`);
+  }
   res.redirect(`${clientUrl}/login?error=Google authentication failed`);
 });
 
@@ -364,7 +766,7 @@ router.get('/google/failure', (req, res) => {
  * GET /api/auth/me
  * Returns current user information
  */
-router.get('/me', authenticateToken, async (req, res) => {
+router.get('/me', authenticateToken, async (req, res, next) => {
   try {
     const user = await prisma.user.findUnique({
       where: { id: req.user.id },
@@ -372,15 +774,13 @@ router.get('/me', authenticateToken, async (req, res) => {
         id: true,
         name: true,
         email: true,
+        emailVerifiedAt: true,
         createdAt: true,
       }
     });
 
     if (!user) {
-      return res.status(404).json({
-        success: false,
-        error: 'User not found'
-      });
+      throw new NotFoundError('User not found');
     }
 
     res.json({
@@ -388,11 +788,7 @@ router.get('/me', authenticateToken, async (req, res) => {
       data: { user }
     });
   } catch (error) {
-    console.error('Get current user error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch user'
-    });
+    next(error);
   }
 });
 
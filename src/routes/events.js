@@ -0,0 +1,28 @@
+/**
+ * Event Routes
+ * Real-time stream of changes to the notes a user owns or collaborates on
+ */
+const express = require('express');
+const { allowQueryToken, authenticateToken, requireScope } = require('../middlewares/authmiddleware');
+const { rateLimiter } = require('../rateLimit');
+const { streamEvents } = require('../controllers/eventsController');
+
+const router = express.Router();
+router.use(allowQueryToken);
+router.use(authenticateToken);
+router.use(rateLimiter('user'));
+
+// Route bindings
+router.get('/', requireScope('notes:read'), streamEvents);
+
+/**
+ * EVENT STREAM ENDPOINT
+ * GET /api/events (Authorization header, or ?access_token= for EventSource)
+ * Server-Sent Events: note.created, note.updated, note.status_changed and note.deleted,
+ * each with an id. Reconnecting with Last-Event-ID (or ?lastEventId=) replays what was
+ * missed; a resync event means the client must pull GET /api/sync instead. A comment
+ * line is sent as heartbeat and the stream closes when the access token expires.
+ */
+// (Controller used above) GET /
+
+module.exports = router;
@@ -0,0 +1,161 @@
+/**
+ * Identity Routes
+ * Lists, links and unlinks the sign-in methods of an account (mounted at /api/auth/identities).
+ * An account can sign in with its email and password and/or with linked provider identities.
+ */
+
+// Import required dependencies
+const express = require('express');
+const passport = require('passport');
+const { PrismaClient } = require('@prisma/client');
+const { hashPassword, generateLinkToken, verifyLinkToken } = require('../utils/auth');
+const { BadRequestError, NotFoundError, UnauthorizedError } = require('../utils/errors');
+const { authenticateToken, requireRecentLogin } = require('../middlewares/authmiddleware');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../validators/auth');
+
+// Initialize Express router and Prisma client
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// How long a started link may wait for Google's callback before it is ignored
+const GOOGLE_LINK_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * LIST IDENTITIES ENDPOINT
+ * GET /api/auth/identities
+ * Returns whether password sign-in is set up and every linked provider identity (PROTECTED ROUTE)
+ */
+router.get('/', authenticateToken, async (req, res, next) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: {
+        email: true,
+        password: true,
+        identities: {
+          select: { id: true, provider: true, email: true, createdAt: true, lastUsedAt: true },
+          orderBy: { createdAt: 'asc' }
+        }
+      }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        password: { enabled: Boolean(user.password), email: user.email },
+        identities: user.identities
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * START GOOGLE LINKING ENDPOINT
+ * POST /api/auth/identities/google/link
+ * Returns a short-lived URL the browser opens to link a Google account (PROTECTED ROUTE, FRESH LOGIN)
+ */
+router.post('/google/link', authenticateToken, requireRecentLogin, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      url: `/api/auth/identities/google/link?token=${generateLinkToken(req.user)}`
+    }
+  });
+});
+
+/**
+ * GOOGLE LINKING REDIRECT
+ * GET /api/auth/identities/google/link?token=...
+ * Remembers who is linking in the session (for GOOGLE_LINK_TTL_MS) and sends the browser to
+ * Google's consent screen. Google redirects back to /api/auth/google/callback, which attaches
+ * the identity; a plain Google sign-in started meanwhile drops the pending link.
+ */
+router.get(
+  '/google/link',
+  validate(schemas.googleLink),
+  (req, res, next) => {
+    const link = verifyLinkToken(req.query.token);
+    if (!link) {
+      throw new UnauthorizedError('Link request is invalid or has expired');
+    }
+    req.session.googleLink = { userId: link.id, expiresAt: Date.now() + GOOGLE_LINK_TTL_MS };
+    next();
+  },
+  passport.authenticate('google', {
+    scope: ['profile', 'email'],
+    prompt: 'select_account'
+  })
+);
+
+/**
+ * UNLINK IDENTITY ENDPOINT
+ * DELETE /api/auth/identities/:id
+ * Removes a linked identity; the account must keep at least one way to sign in
+ * (PROTECTED ROUTE, FRESH LOGIN)
+ */
+router.delete('/:id', authenticateToken, requireRecentLogin, validate(schemas.identityId), async (req, res, next) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { password: true, _count: { select: { identities: true } } }
+    });
+
+    const identity = await prisma.userIdentity.findFirst({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (!identity) {
+      throw new NotFoundError('Identity not found');
+    }
+
+    if (!user.password && user._count.identities <= 1) {
+      throw new BadRequestError('Set a password before unlinking your only sign-in method');
+    }
+
+    await prisma.userIdentity.delete({ where: { id: identity.id } });
+
+    res.json({
+      success: true,
+      message: `${identity.provider} account unlinked`
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * SET PASSWORD ENDPOINT
+ * POST /api/auth/identities/password
+ * Lets accounts created through Google add email/password sign-in (PROTECTED ROUTE, FRESH LOGIN)
+ */
+router.post('/password', authenticateToken, requireRecentLogin, validate(schemas.setPassword), async (req, res, next) => {
+  try {
+    const { password } = req.body;
+
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+
+    if (user.password) {
+      throw new BadRequestError('This account already has a password');
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { password: await hashPassword(password) }
+    });
+
+    res.json({
+      success: true,
+      message: 'Password set. You can now sign in with your email and password.'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,33 @@
+/**
+ * Notebook Routes
+ * CRUD endpoints for the authenticated user's notebooks
+ */
+const express = require('express');
+const { authenticateToken, requireScope } = require('../middlewares/authmiddleware');
+const { rateLimiter } = require('../rateLimit');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../validators/notebooks');
+const {
+  listNotebooks,
+  getNotebook,
+  createNotebook,
+  updateNotebook,
+  deleteNotebook
+} = require('../controllers/notebooksController');
+
+const router = express.Router();
+router.use(authenticateToken);
+router.use(rateLimiter('user'));
+
+// Scopes an API key needs (deleting a notebook leaves its notes in place, so it is a write)
+const canRead = requireScope('notes:read');
+const canWrite = requireScope('notes:write');
+
+// Route bindings (each validated by its schema from validators/notebooks.js)
+router.get('/', canRead, listNotebooks);
+router.get('/:id', canRead, validate(schemas.notebookId), getNotebook);
+router.post('/', canWrite, validate(schemas.createNotebook), createNotebook);
+router.put('/:id', canWrite, validate(schemas.updateNotebook), updateNotebook);
+router.delete('/:id', canWrite, validate(schemas.notebookId), deleteNotebook);
+
+module.exports = router;
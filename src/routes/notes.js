@@ -3,53 +3,157 @@
  * Uses controller functions to reduce duplication and centralize logic.
  */
 const express = require('express');
-const { authenticateToken } = require('../middlewares/authmiddleware');
+const { authenticateToken, requireScope, requireVerifiedEmail } = require('../middlewares/authmiddleware');
+const { rateLimiter } = require('../rateLimit');
+const { importUpload, attachmentUpload } = require('../middlewares/upload');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../validators/notes');
 const {
   listActiveNotes,
   listArchivedNotes,
+  listUpcomingNotes,
+  listOverdueNotes,
   listTrashedNotes,
+  emptyTrash,
+  updateTrashRetention,
+  searchNotes,
   notesStats,
   getNote,
   createNote,
   updateNote,
+  updateNoteAttributes,
+  moveNote,
   archiveNote,
   unarchiveNote,
   trashNote,
   restoreNote,
+  bulkNotes,
   deleteNote
 } = require('../controllers/notesController');
+const {
+  listRevisions,
+  getRevision,
+  restoreRevision
+} = require('../controllers/revisionsController');
+const {
+  createShare,
+  listShares,
+  deleteShare,
+  listSharedWithMe,
+  createPublicLink,
+  revokePublicLink
+} = require('../controllers/sharesController');
+const { exportNotes, importNotes } = require('../controllers/transferController');
+const {
+  listAttachments,
+  uploadAttachments,
+  downloadAttachment,
+  downloadThumbnail,
+  deleteAttachment
+} = require('../controllers/attachmentsController');
 
 const router = express.Router();
 router.use(authenticateToken);
+router.use(rateLimiter('user'));
+
+// Scopes an API key needs for each route (login sessions hold them all)
+const canRead = requireScope('notes:read');
+const canWrite = requireScope('notes:write');
+const canDelete = requireScope('notes:delete');
+const canBulk = requireScope(req => (req.body && req.body.action === 'delete' ? 'notes:delete' : 'notes:write'));
 
-// Route bindings
-router.get('/', listActiveNotes);
-router.get('/archived', listArchivedNotes);
-router.get('/trash', listTrashedNotes);
-router.get('/stats', notesStats);
-router.get('/:id', getNote);
-router.post('/', createNote);
-router.put('/:id', updateNote);
-router.put('/:id/archive', archiveNote);
-router.put('/:id/unarchive', unarchiveNote);
-router.put('/:id/trash', trashNote);
-router.put('/:id/restore', restoreNote);
-router.delete('/:id', deleteNote);
+// Route bindings (each validated by its schema from validators/notes.js)
+router.get('/', canRead, validate(schemas.listNotes), listActiveNotes);
+router.get('/archived', canRead, validate(schemas.listByStatus), listArchivedNotes);
+router.get('/upcoming', canRead, validate(schemas.listUpcoming), listUpcomingNotes);
+router.get('/overdue', canRead, validate(schemas.listDue), listOverdueNotes);
+router.get('/trash', canRead, validate(schemas.listByStatus), listTrashedNotes);
+router.delete('/trash', canDelete, emptyTrash);
+router.put('/trash/retention', canWrite, validate(schemas.updateTrashRetention), updateTrashRetention);
+router.get('/search', canRead, validate(schemas.searchNotes), searchNotes);
+router.get('/stats', canRead, notesStats);
+router.get('/shared-with-me', canRead, listSharedWithMe);
+router.get('/export', canRead, validate(schemas.exportNotes), exportNotes);
+router.get('/:id', canRead, validate(schemas.noteId), getNote);
+router.post('/', canWrite, validate(schemas.createNote), createNote);
+router.post('/bulk', canBulk, validate(schemas.bulkNotes), bulkNotes);
+router.post('/import', canWrite, requireVerifiedEmail, validate(schemas.importNotes), importUpload, importNotes);
+router.put('/:id', canWrite, validate(schemas.updateNote), updateNote);
+router.patch('/:id', canWrite, validate(schemas.updateNoteAttributes), updateNoteAttributes);
+router.put('/:id/position', canWrite, validate(schemas.moveNote), moveNote);
+router.put('/:id/archive', canWrite, validate(schemas.transitionNote), archiveNote);
+router.put('/:id/unarchive', canWrite, validate(schemas.transitionNote), unarchiveNote);
+router.put('/:id/trash', canWrite, validate(schemas.transitionNote), trashNote);
+router.put('/:id/restore', canWrite, validate(schemas.transitionNote), restoreNote);
+router.delete('/:id', canDelete, validate(schemas.noteId), deleteNote);
+router.get('/:id/revisions', canRead, validate(schemas.noteId), listRevisions);
+router.get('/:id/revisions/:rev', canRead, validate(schemas.revision), getRevision);
+router.post('/:id/revisions/:rev/restore', canWrite, validate(schemas.revision), restoreRevision);
+router.get('/:id/shares', canRead, validate(schemas.noteId), listShares);
+router.post('/:id/shares', canWrite, requireVerifiedEmail, validate(schemas.createShare), createShare);
+router.delete('/:id/shares/:shareId', canWrite, validate(schemas.deleteShare), deleteShare);
+router.post('/:id/links', canWrite, requireVerifiedEmail, validate(schemas.createPublicLink), createPublicLink);
+router.delete('/:id/links/:linkId', canWrite, validate(schemas.revokePublicLink), revokePublicLink);
+router.get('/:id/attachments', canRead, validate(schemas.noteId), listAttachments);
+router.post('/:id/attachments', canWrite, validate(schemas.noteId), attachmentUpload, uploadAttachments);
+router.get('/:id/attachments/:attachmentId', canRead, validate(schemas.attachment), downloadAttachment);
+router.get('/:id/attachments/:attachmentId/thumbnail', canRead, validate(schemas.attachment), downloadThumbnail);
+router.delete('/:id/attachments/:attachmentId', canDelete, validate(schemas.attachment), deleteAttachment);
 
 /**
  * GET ARCHIVED NOTES ENDPOINT
- * GET /api/notes/archived
- * Retrieves all archived notes for the authenticated user
+ * GET /api/notes/archived?cursor=&limit=20&sort=updatedAt&order=desc
+ * Retrieves archived notes for the authenticated user one cursor page at a time
+ * (same sorting, tag/notebook and date filters and Link header as GET /api/notes)
  */
 // (Controller used above) /archived
 
+/**
+ * GET UPCOMING NOTES ENDPOINT
+ * GET /api/notes/upcoming?days=7&cursor=&limit=20
+ * Active notes due in the next `days` days (1-365), soonest first, one cursor page at a time
+ * (tag/notebook filters and Link header as GET /api/notes)
+ */
+// (Controller used above) /upcoming
+
+/**
+ * GET OVERDUE NOTES ENDPOINT
+ * GET /api/notes/overdue?cursor=&limit=20
+ * Active notes whose due date has passed, longest overdue first. Archive a note (or clear
+ * its dueAt) to mark it done.
+ */
+// (Controller used above) /overdue
+
 /**
  * GET TRASHED NOTES ENDPOINT
- * GET /api/notes/trash
- * Retrieves all trashed notes for the authenticated user
+ * GET /api/notes/trash?cursor=&limit=20&sort=updatedAt&order=desc
+ * Retrieves trashed notes for the authenticated user one cursor page at a time, each with its purgeAt date
  */
 // (Controller used above) /trash
 
+/**
+ * EMPTY TRASH ENDPOINT
+ * DELETE /api/notes/trash
+ * Permanently deletes every trashed note of the authenticated user
+ */
+// (Controller used above) DELETE /trash
+
+/**
+ * TRASH RETENTION ENDPOINT
+ * PUT /api/notes/trash/retention
+ * Sets after how many days trashed notes are purged automatically (0 disables purging)
+ */
+// (Controller used above) PUT /trash/retention
+
+/**
+ * SEARCH NOTES ENDPOINT
+ * GET /api/notes/search?q=...&status=active|archived|trash|all
+ * Full-text search with phrase ("..."), prefix (word*) and exclusion (-word) syntax,
+ * ranked by relevance with highlighted snippets. titleHighlight and snippet are HTML
+ * (the note text escaped, matches wrapped in <mark>) and can be rendered as such
+ */
+// (Controller used above) /search
+
 /**
  * GET NOTES STATISTICS ENDPOINT
  * GET /api/notes/stats
@@ -57,10 +161,25 @@ router.delete('/:id', deleteNote);
  */
 // (Controller used above) /stats
 
+/**
+ * GET NOTES SHARED WITH ME ENDPOINT
+ * GET /api/notes/shared-with-me
+ * Lists notes other users have shared with the authenticated user
+ */
+// (Controller used above) /shared-with-me
+
+/**
+ * EXPORT NOTES ENDPOINT
+ * GET /api/notes/export?format=json|markdown|zip
+ * Downloads all of the user's notes; the zip holds one Markdown file with YAML
+ * front matter (status, timestamps, tags, notebook) per note
+ */
+// (Controller used above) /export
+
 /**
  * GET SINGLE NOTE ENDPOINT
  * GET /api/notes/:id
- * Retrieves a specific note by ID for the authenticated user
+ * Retrieves a specific note by ID that the authenticated user owns or has been granted access to
  */
 // (Controller used above) /:id
 
@@ -71,13 +190,54 @@ router.delete('/:id', deleteNote);
  */
 // (Controller used above) POST /
 
+/**
+ * BULK NOTES ENDPOINT
+ * POST /api/notes/bulk
+ * Applies one action (archive, unarchive, trash, restore, delete, tag, move) to many
+ * notes in a single transaction and reports success or failure per id
+ */
+// (Controller used above) POST /bulk
+
+/**
+ * IMPORT NOTES ENDPOINT
+ * POST /api/notes/import?dryRun=true
+ * Imports notes from uploaded .json, .md or .zip files (up to 10 of 5MB; zip larger folders), or a
+ * JSON export sent as the body. Duplicates are skipped; dryRun only reports the summary
+ */
+// (Controller used above) POST /import
+
 /**
  * UPDATE NOTE ENDPOINT
  * PUT /api/notes/:id
- * Updates the title and content of a specific note for the authenticated user
+ * Updates the title and content of a specific note for the authenticated user.
+ * Send the note's ETag in If-Match (or `version` in the body) to get 409 Conflict
+ * with the current server copy instead of overwriting someone else's change.
  */
 // (Controller used above) PUT /:id
 
+/**
+ * UPDATE NOTE ATTRIBUTES ENDPOINT
+ * PATCH /api/notes/:id
+ * Pins / unpins, favorites / unfavorites or sets the color label (#rrggbb, null clears it)
+ * of a note. Owner only; conditional with If-Match like PUT.
+ * Also sets the due date and reminder (also accepted by POST /api/notes; null clears):
+ *   dueAt           - deadline shown by the upcoming and overdue views
+ *   remindAt        - future moment to notify the owner (only while the note is active)
+ *   recurrence      - repeats the reminder, e.g. "FREQ=WEEKLY;INTERVAL=2;UNTIL=20271231" (needs remindAt)
+ *   reminderChannel - email (default; needs a verified address) or webhook (note.reminder event)
+ * Reminders are fired by jobs/reminders.js, exactly once per occurrence.
+ */
+// (Controller used above) PATCH /:id
+
+/**
+ * MOVE NOTE ENDPOINT
+ * PUT /api/notes/:id/position
+ * Drag and drop: places the note right after `afterId` and/or right before `beforeId`.
+ * Only the moved note's position changes (fractional indexing); list with ?sort=position&order=asc
+ * to show the user's order. Owner only.
+ */
+// (Controller used above) PUT /:id/position
+
 /**
  * ARCHIVE NOTE ENDPOINT
  * PUT /api/notes/:id/archive
@@ -113,4 +273,54 @@ router.delete('/:id', deleteNote);
  */
 // (Controller used above) DELETE /:id
 
+/**
+ * LIST NOTE REVISIONS ENDPOINT
+ * GET /api/notes/:id/revisions
+ * Lists the stored revisions of a note, newest first
+ */
+// (Controller used above) GET /:id/revisions
+
+/**
+ * GET NOTE REVISION ENDPOINT
+ * GET /api/notes/:id/revisions/:rev
+ * Returns one revision with a line diff against the note's current text
+ */
+// (Controller used above) GET /:id/revisions/:rev
+
+/**
+ * RESTORE NOTE REVISION ENDPOINT
+ * POST /api/notes/:id/revisions/:rev/restore
+ * Rolls the note back to a revision (the current text is kept as a new revision).
+ * Fails with 409 VERSION_CONFLICT if the note is changed at the same moment
+ */
+// (Controller used above) POST /:id/revisions/:rev/restore
+
+/**
+ * NOTE SHARING ENDPOINTS
+ * GET    /api/notes/:id/shares          - List shares and public links (owner only)
+ * POST   /api/notes/:id/shares          - Grant a registered user viewer or editor access (owner only)
+ * DELETE /api/notes/:id/shares/:shareId - Revoke a share (owner) or leave a shared note (grantee)
+ */
+// (Controllers used above) /:id/shares
+
+/**
+ * PUBLIC LINK ENDPOINTS
+ * POST   /api/notes/:id/links          - Create a read-only public link, optionally expiring (owner only)
+ * DELETE /api/notes/:id/links/:linkId  - Revoke a public link (owner only)
+ * Links are served without authentication at GET /api/public/notes/:token; the token is
+ * only returned when the link is created and cannot be shown again
+ */
+// (Controllers used above) /:id/links
+
+/**
+ * ATTACHMENT ENDPOINTS
+ * GET    /api/notes/:id/attachments                            - List a note's attachments (viewers)
+ * POST   /api/notes/:id/attachments                            - Upload files (multipart field "files"; editors)
+ * GET    /api/notes/:id/attachments/:attachmentId              - Download a file; images are served inline (viewers)
+ * GET    /api/notes/:id/attachments/:attachmentId/thumbnail    - WebP thumbnail of an image (viewers)
+ * DELETE /api/notes/:id/attachments/:attachmentId              - Delete an attachment (editors)
+ * Types are sniffed from the content; files count against the note owner's storage quota
+ */
+// (Controllers used above) /:id/attachments
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,13 @@
+/**
+ * Public Routes
+ * Unauthenticated, read-only access to notes shared through public links
+ */
+const express = require('express');
+const { getPublicNote } = require('../controllers/sharesController');
+
+const router = express.Router();
+
+// Route bindings
+router.get('/notes/:token', getPublicNote);
+
+module.exports = router;
@@ -0,0 +1,59 @@
+/**
+ * Account Security Routes
+ * Sign-in history of the current user (mounted at /api/auth/security)
+ */
+
+// Import required dependencies
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken } = require('../middlewares/authmiddleware');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../validators/auth');
+
+// Initialize Express router and Prisma client
+const router = express.Router();
+const prisma = new PrismaClient();
+
+/**
+ * LOGIN HISTORY ENDPOINT
+ * GET /api/auth/security/events?page=1&limit=20&outcome=FAILURE
+ * Returns the user's sign-in attempts (password, two-factor and Google), newest first (PROTECTED ROUTE)
+ */
+router.get('/events', authenticateToken, validate(schemas.securityEvents), async (req, res, next) => {
+  try {
+    const { page, limit, outcome } = req.query;
+
+    const where = { userId: req.user.id, ...(outcome && { outcome }) };
+    const [events, total] = await Promise.all([
+      prisma.loginEvent.findMany({
+        where,
+        select: {
+          id: true,
+          method: true,
+          outcome: true,
+          reason: true,
+          ipAddress: true,
+          userAgent: true,
+          createdAt: true
+        },
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      prisma.loginEvent.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        events,
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
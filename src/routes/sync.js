@@ -0,0 +1,42 @@
+/**
+ * Sync Routes
+ * Delta pulls and batched offline pushes for clients that keep a local copy of notes
+ */
+const express = require('express');
+const { authenticateToken, requireScope } = require('../middlewares/authmiddleware');
+const { rateLimiter } = require('../rateLimit');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../validators/sync');
+const { pullChanges, pushChanges } = require('../controllers/syncController');
+
+const router = express.Router();
+router.use(authenticateToken);
+router.use(rateLimiter('user'));
+
+// Route bindings (each validated by its schema from validators/sync.js)
+router.get('/', requireScope('notes:read'), validate(schemas.pullChanges), pullChanges);
+router.post('/', requireScope('notes:write'), validate(schemas.pushChanges), pushChanges);
+
+/**
+ * PULL CHANGES ENDPOINT
+ * GET /api/sync?since=<cursor>
+ * Returns every note created, updated or status-changed since the cursor plus
+ * tombstones for deleted notes, and the cursor to use for the next pull.
+ * A cursor older than the tombstone retention (SYNC_TOMBSTONE_RETENTION_DAYS) gets a
+ * full pull instead, flagged full: true, after which clients replace their local copy
+ */
+// (Controller used above) GET /
+
+/**
+ * PUSH CHANGES ENDPOINT
+ * POST /api/sync
+ * Applies a batch of offline mutations (create, update, delete, archive, unarchive,
+ * trash, restore) in one transaction and returns a per-item report.
+ * Titles and contents have the same length limits as in the notes endpoints. A batch with
+ * a malformed mutation (title or content not a string, version not an integer...) fails
+ * whole with 422 and nothing is applied.
+ * With an API key, batches containing deletes also need the notes:delete scope
+ */
+// (Controller used above) POST /
+
+module.exports = router;
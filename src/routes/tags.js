@@ -0,0 +1,31 @@
+/**
+ * Tag Routes
+ * CRUD endpoints for the authenticated user's tags
+ */
+const express = require('express');
+const { authenticateToken, requireScope } = require('../middlewares/authmiddleware');
+const { rateLimiter } = require('../rateLimit');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../validators/tags');
+const {
+  listTags,
+  createTag,
+  updateTag,
+  deleteTag
+} = require('../controllers/tagsController');
+
+const router = express.Router();
+router.use(authenticateToken);
+router.use(rateLimiter('user'));
+
+// Scopes an API key needs (deleting a tag leaves its notes in place, so it is a write)
+const canRead = requireScope('notes:read');
+const canWrite = requireScope('notes:write');
+
+// Route bindings (each validated by its schema from validators/tags.js)
+router.get('/', canRead, listTags);
+router.post('/', canWrite, validate(schemas.createTag), createTag);
+router.put('/:id', canWrite, validate(schemas.updateTag), updateTag);
+router.delete('/:id', canWrite, validate(schemas.tagId), deleteTag);
+
+module.exports = router;
@@ -0,0 +1,219 @@
+/**
+ * Two-Factor Authentication Routes
+ * TOTP setup, confirmation, login verification and disabling (mounted at /api/auth/2fa)
+ */
+
+// Import required dependencies
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { comparePassword, verifyChallengeToken } = require('../utils/auth');
+const { createSession } = require('../utils/sessions');
+const { BadRequestError, UnauthorizedError } = require('../utils/errors');
+const { generateTotpSecret, verifyTotp, buildOtpauthUri } = require('../utils/totp');
+const {
+  encryptSecret,
+  decryptSecret,
+  createRecoveryCodes,
+  verifySecondFactor
+} = require('../utils/twoFactor');
+const {
+  recordLoginEvent,
+  isLocked,
+  registerFailedLogin,
+  clearFailedLogins,
+  lockedError
+} = require('../utils/loginSecurity');
+const { authenticateToken } = require('../middlewares/authmiddleware');
+const { rateLimiter } = require('../rateLimit');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../validators/auth');
+
+// Initialize Express router and Prisma client
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'NOTY';
+
+/**
+ * START 2FA SETUP ENDPOINT
+ * POST /api/auth/2fa/setup
+ * Generates a new TOTP secret and returns its otpauth URI for the authenticator app.
+ * 2FA is not active until the secret is confirmed with POST /2fa/enable (PROTECTED ROUTE)
+ */
+router.post('/setup', authenticateToken, async (req, res, next) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+
+    if (user.totpEnabledAt) {
+      throw new BadRequestError('Two-factor authentication is already enabled');
+    }
+
+    // Store the pending secret; it only takes effect once confirmed
+    const secret = generateTotpSecret();
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { totpSecret: encryptSecret(secret), totpLastUsedStep: null }
+    });
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUri: buildOtpauthUri(secret, user.email, TOTP_ISSUER)
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * CONFIRM 2FA ENDPOINT
+ * POST /api/auth/2fa/enable
+ * Confirms the pending secret with a code from the app, turns 2FA on and returns
+ * one-time recovery codes (shown only once) (PROTECTED ROUTE)
+ */
+router.post('/enable', authenticateToken, validate(schemas.twoFactorCode), async (req, res, next) => {
+  try {
+    const { code } = req.body;
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+
+    if (user.totpEnabledAt) {
+      throw new BadRequestError('Two-factor authentication is already enabled');
+    }
+
+    if (!user.totpSecret) {
+      throw new BadRequestError('Start two-factor setup first');
+    }
+
+    const step = verifyTotp(decryptSecret(user.totpSecret), code);
+    if (step === null) {
+      throw new BadRequestError('Invalid authentication code', { code: 'INVALID_CODE' });
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { totpEnabledAt: new Date(), totpLastUsedStep: step }
+    });
+    const recoveryCodes = await createRecoveryCodes(user.id);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: { recoveryCodes }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * VERIFY 2FA LOGIN ENDPOINT
+ * POST /api/auth/2fa/verify
+ * Second login step: exchanges the challenge token from /login plus a TOTP code
+ * (or a recovery code) for a session
+ */
+router.post('/verify', rateLimiter('login'), validate(schemas.twoFactorVerify), async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const challenge = verifyChallengeToken(challengeToken);
+    if (!challenge) {
+      throw new UnauthorizedError('Login challenge is invalid or has expired. Please login again.');
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: challenge.id } });
+    if (!user || !user.totpEnabledAt) {
+      throw new UnauthorizedError('Invalid authentication code', { code: 'INVALID_CODE' });
+    }
+
+    // Code guesses count towards the same lockout as password guesses
+    if (isLocked(user)) {
+      await recordLoginEvent(req, { user, method: 'two_factor', outcome: 'LOCKED', reason: 'account_locked' });
+      throw lockedError(user.lockedUntil);
+    }
+
+    if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+      const { locked, lockedUntil } = await registerFailedLogin(user);
+      await recordLoginEvent(req, {
+        user,
+        method: 'two_factor',
+        outcome: locked ? 'LOCKED' : 'FAILURE',
+        reason: 'invalid_code'
+      });
+      if (locked) {
+        throw lockedError(lockedUntil);
+      }
+      throw new UnauthorizedError('Invalid authentication code', { code: 'INVALID_CODE' });
+    }
+
+    const { token, refreshToken } = await createSession(user, req);
+    await clearFailedLogins(user);
+    await recordLoginEvent(req, { user, method: 'two_factor', outcome: 'SUCCESS' });
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: {
+          id: user.id,
+          name: user.name,
+          email: user.email,
+          emailVerified: Boolean(user.emailVerifiedAt),
+          createdAt: user.createdAt
+        },
+        token,
+        refreshToken
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DISABLE 2FA ENDPOINT
+ * POST /api/auth/2fa/disable
+ * Requires re-authentication: the account password (if the account has one) and a
+ * current TOTP or recovery code (PROTECTED ROUTE)
+ */
+router.post('/disable', authenticateToken, validate(schemas.twoFactorDisable), async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+
+    if (!user.totpEnabledAt) {
+      throw new BadRequestError('Two-factor authentication is not enabled');
+    }
+
+    if (user.password && (!password || !(await comparePassword(password, user.password)))) {
+      throw new UnauthorizedError('Invalid password', { code: 'INVALID_CREDENTIALS' });
+    }
+
+    if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+      throw new UnauthorizedError('Invalid authentication code', { code: 'INVALID_CODE' });
+    }
+
+    await prisma.$transaction([
+      prisma.user.update({
+        where: { id: user.id },
+        data: { totpSecret: null, totpEnabledAt: null, totpLastUsedStep: null }
+      }),
+      prisma.recoveryCode.deleteMany({ where: { userId: user.id } })
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,66 @@
+/**
+ * Webhook Routes
+ * Management of the authenticated user's webhook endpoints and their delivery log
+ */
+const express = require('express');
+const { authenticateToken, requireVerifiedEmail, rejectApiKeys } = require('../middlewares/authmiddleware');
+const { rateLimiter } = require('../rateLimit');
+const { validate } = require('../middlewares/validate');
+const schemas = require('../validators/webhooks');
+const {
+  listWebhooks,
+  createWebhook,
+  getWebhook,
+  updateWebhook,
+  deleteWebhook,
+  rotateSecret,
+  pingWebhook,
+  listDeliveries,
+  getDelivery,
+  replayDelivery
+} = require('../controllers/webhooksController');
+
+const router = express.Router();
+// Integrations are configured from a login session, not with an API key
+router.use(rejectApiKeys);
+router.use(authenticateToken);
+router.use(rateLimiter('user'));
+// Webhooks send note content to third parties, like sharing does
+router.use(requireVerifiedEmail);
+
+// Route bindings (each validated by its schema from validators/webhooks.js)
+router.get('/', listWebhooks);
+router.post('/', validate(schemas.createWebhook), createWebhook);
+router.get('/:id', validate(schemas.webhookId), getWebhook);
+router.patch('/:id', validate(schemas.updateWebhook), updateWebhook);
+router.delete('/:id', validate(schemas.webhookId), deleteWebhook);
+router.post('/:id/secret', validate(schemas.webhookId), rotateSecret);
+router.post('/:id/ping', validate(schemas.webhookId), pingWebhook);
+router.get('/:id/deliveries', validate(schemas.listDeliveries), listDeliveries);
+router.get('/:id/deliveries/:deliveryId', validate(schemas.delivery), getDelivery);
+router.post('/:id/deliveries/:deliveryId/replay', validate(schemas.delivery), replayDelivery);
+
+/**
+ * WEBHOOK ENDPOINTS
+ * GET    /api/webhooks             - List webhooks
+ * POST   /api/webhooks             - Register { url, events, description?, active? }; returns the signing secret once
+ * GET    /api/webhooks/:id         - Get one webhook
+ * PATCH  /api/webhooks/:id         - Change url, events, description or active
+ * DELETE /api/webhooks/:id         - Delete a webhook with its queued deliveries and log
+ * POST   /api/webhooks/:id/secret  - Rotate the signing secret
+ * POST   /api/webhooks/:id/ping    - Send a ping event now and report the outcome (e.g. to a local receiver)
+ * Events: note.created, note.updated, note.status_changed, note.deleted and note.reminder (reminders
+ * sent through the webhook channel) of the user's own notes; see utils/webhooks.js for the request format and signature
+ */
+// (Controllers used above) / and /:id
+
+/**
+ * DELIVERY LOG ENDPOINTS
+ * GET    /api/webhooks/:id/deliveries                      - Deliveries, newest first (?status=, ?event=, cursor pagination)
+ * GET    /api/webhooks/:id/deliveries/:deliveryId          - One delivery with its payload and last response
+ * POST   /api/webhooks/:id/deliveries/:deliveryId/replay   - Queue the same payload again as a new delivery
+ * Failed attempts are retried with exponential backoff, up to WEBHOOK_MAX_ATTEMPTS times
+ */
+// (Controllers used above) /:id/deliveries
+
+module.exports = router;
@@ -0,0 +1,44 @@
+/**
+ * Local Disk Storage Backend
+ * Keeps files under STORAGE_LOCAL_DIR (default ./uploads); keys map to relative paths
+ */
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+
+function create() {
+  const root = path.resolve(process.env.STORAGE_LOCAL_DIR || 'uploads');
+
+  // Keys are generated by the server, but never let one escape the storage directory
+  const resolve = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) throw new Error(`Invalid storage key "${key}"`);
+    return file;
+  };
+
+  return {
+    put: async (key, buffer) => {
+      const file = resolve(key);
+      await fsp.mkdir(path.dirname(file), { recursive: true });
+      await fsp.writeFile(file, buffer);
+    },
+
+    get: async (key) => {
+      const file = resolve(key);
+      try {
+        await fsp.access(file);
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+      return fs.createReadStream(file);
+    },
+
+    remove: async (keys) => {
+      await Promise.all(keys.map(key => fsp.rm(resolve(key), { force: true })));
+    }
+  };
+}
+
+module.exports = { create };
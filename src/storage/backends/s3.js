@@ -0,0 +1,60 @@
+/**
+ * S3 Storage Backend
+ * Stores files in an S3 bucket or any S3-compatible object store (MinIO, R2, Spaces...)
+ * Credentials fall back to the AWS SDK's default chain when S3_ACCESS_KEY_ID is not set.
+ */
+
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectsCommand
+} = require('@aws-sdk/client-s3');
+
+// DeleteObjects accepts at most this many keys per request
+const DELETE_BATCH_SIZE = 1000;
+
+function create() {
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) throw new Error('S3_BUCKET is required for the s3 storage backend');
+
+  const client = new S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    ...(process.env.S3_ENDPOINT && { endpoint: process.env.S3_ENDPOINT }),
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    ...(process.env.S3_ACCESS_KEY_ID && {
+      credentials: {
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+      }
+    })
+  });
+
+  return {
+    put: async (key, buffer, { contentType } = {}) => {
+      await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: buffer, ContentType: contentType }));
+    },
+
+    get: async (key) => {
+      try {
+        const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return object.Body;
+      } catch (err) {
+        if (err.name === 'NoSuchKey') return null;
+        throw err;
+      }
+    },
+
+    remove: async (keys) => {
+      for (let i = 0; i < keys.length; i += DELETE_BATCH_SIZE) {
+        const batch = keys.slice(i, i + DELETE_BATCH_SIZE);
+        await client.send(new DeleteObjectsCommand({
+          Bucket: bucket,
+          Delete: { Objects: batch.map(Key => ({ Key })), Quiet: true }
+        }));
+      }
+    }
+  };
+}
+
+module.exports = { create };
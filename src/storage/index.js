@@ -0,0 +1,49 @@
+/**
+ * File Storage
+ * Stores attachment files through a pluggable backend chosen with STORAGE_BACKEND:
+ *   local - files under STORAGE_LOCAL_DIR (default)
+ *   s3    - any S3-compatible object store (S3_BUCKET, S3_REGION, S3_ENDPOINT,
+ *           S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY, S3_FORCE_PATH_STYLE)
+ *
+ * Every backend implements:
+ *   put(key, buffer, { contentType }) -> Promise<void>
+ *   get(key)                         -> Promise<Readable|null> (null when the file does not exist)
+ *   remove(keys)                     -> Promise<void> (missing files are ignored)
+ */
+
+const localBackend = require('./backends/local');
+const s3Backend = require('./backends/s3');
+
+const BACKENDS = {
+  local: localBackend,
+  s3: s3Backend
+};
+
+let storage = null;
+
+/**
+ * Get the configured backend, creating it on first use
+ * @returns {{ put: Function, get: Function, remove: Function }}
+ */
+function getStorage() {
+  if (!storage) {
+    const name = process.env.STORAGE_BACKEND || 'local';
+    const factory = BACKENDS[name];
+    if (!factory) throw new Error(`Unknown STORAGE_BACKEND "${name}"`);
+    storage = factory.create();
+  }
+  return storage;
+}
+
+/**
+ * Replace the backend (e.g. with a custom one); pass null to reset to the configured one
+ * @param {{ put: Function, get: Function, remove: Function } | null} custom
+ */
+function setStorage(custom) {
+  storage = custom;
+}
+
+module.exports = {
+  getStorage,
+  setStorage
+};
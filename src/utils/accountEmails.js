@@ -0,0 +1,77 @@
+/**
+ * Account Email Utilities
+ * Issue a single-use token and email it to the user
+ */
+
+const { issueUserToken } = require('./userTokens');
+const { sendMail } = require('../mailer');
+const {
+  verificationEmail,
+  passwordResetEmail,
+  emailChangeEmail,
+  emailChangedEmail,
+  accountDeletionEmail
+} = require('../mailer/templates');
+
+// Token lifetimes
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS || '24');
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '30');
+
+/**
+ * Send an email verification link
+ * @param {Object} user - User with id, email and name
+ * @returns {Promise<void>}
+ */
+async function sendVerificationEmail(user) {
+  const token = await issueUserToken(user.id, 'EMAIL_VERIFICATION', EMAIL_VERIFICATION_TTL_HOURS * 60);
+  await sendMail(verificationEmail(user, token, EMAIL_VERIFICATION_TTL_HOURS));
+}
+
+/**
+ * Send a password reset link
+ * @param {Object} user - User with id, email and name
+ * @returns {Promise<void>}
+ */
+async function sendPasswordResetEmail(user) {
+  const token = await issueUserToken(user.id, 'PASSWORD_RESET', PASSWORD_RESET_TTL_MINUTES);
+  await sendMail(passwordResetEmail(user, token, PASSWORD_RESET_TTL_MINUTES));
+}
+
+/**
+ * Send a confirmation link to the new address of an email change
+ * @param {Object} user - User with id and name
+ * @param {string} newEmail
+ * @returns {Promise<void>}
+ */
+async function sendEmailChangeEmail(user, newEmail) {
+  const token = await issueUserToken(user.id, 'EMAIL_CHANGE', EMAIL_VERIFICATION_TTL_HOURS * 60);
+  await sendMail(emailChangeEmail(user, newEmail, token, EMAIL_VERIFICATION_TTL_HOURS));
+}
+
+/**
+ * Tell the old address that the account's email was changed
+ * @param {Object} user - User with the old email and name
+ * @param {string} newEmail
+ * @returns {Promise<void>}
+ */
+async function sendEmailChangedNotice(user, newEmail) {
+  await sendMail(emailChangedEmail(user, newEmail));
+}
+
+/**
+ * Confirm that the account is scheduled for deletion
+ * @param {Object} user - User with email and name
+ * @param {Date} deleteAt
+ * @returns {Promise<void>}
+ */
+async function sendAccountDeletionEmail(user, deleteAt) {
+  await sendMail(accountDeletionEmail(user, deleteAt));
+}
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendEmailChangeEmail,
+  sendEmailChangedNotice,
+  sendAccountDeletionEmail
+};
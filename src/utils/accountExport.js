@@ -0,0 +1,128 @@
+/**
+ * Account Export (data takeout)
+ * Collects everything stored about a user into one JSON document.
+ * Secrets (password hash, TOTP secret, token and refresh token hashes) are left out.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const ACCOUNT_EXPORT_VERSION = 1;
+
+/**
+ * Build the takeout document of a user
+ * @param {string} userId
+ * @returns {Promise<Object>}
+ */
+async function buildAccountExport(userId) {
+  const [profile, notes, tags, notebooks, sharedWithMe, identities, sessions, loginEvents] = await Promise.all([
+    prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        id: true,
+        name: true,
+        email: true,
+        pendingEmail: true,
+        emailVerifiedAt: true,
+        totpEnabledAt: true,
+        trashRetentionDays: true,
+        deletionScheduledAt: true,
+        createdAt: true,
+        updatedAt: true
+      }
+    }),
+    prisma.note.findMany({
+      where: { userId },
+      include: {
+        tags: { select: { name: true } },
+        notebook: { select: { name: true } },
+        revisions: { select: { revision: true, title: true, content: true, createdAt: true }, orderBy: { revision: 'asc' } },
+        shares: { select: { permission: true, createdAt: true, user: { select: { email: true } } } },
+        publicLinks: { select: { id: true, expiresAt: true, revokedAt: true, createdAt: true } },
+        attachments: { select: { id: true, filename: true, mimeType: true, size: true, createdAt: true } }
+      },
+      orderBy: { createdAt: 'asc' }
+    }),
+    prisma.tag.findMany({
+      where: { userId },
+      select: { name: true, color: true, createdAt: true },
+      orderBy: { name: 'asc' }
+    }),
+    prisma.notebook.findMany({
+      where: { userId },
+      select: { name: true, createdAt: true },
+      orderBy: { name: 'asc' }
+    }),
+    prisma.noteShare.findMany({
+      where: { userId },
+      select: {
+        permission: true,
+        createdAt: true,
+        note: { select: { id: true, title: true, user: { select: { email: true } } } }
+      },
+      orderBy: { createdAt: 'asc' }
+    }),
+    prisma.userIdentity.findMany({
+      where: { userId },
+      select: { provider: true, email: true, createdAt: true, lastUsedAt: true }
+    }),
+    prisma.session.findMany({
+      where: { userId },
+      select: {
+        userAgent: true,
+        ipAddress: true,
+        createdAt: true,
+        lastUsedAt: true,
+        expiresAt: true,
+        revokedAt: true,
+        revokedReason: true
+      },
+      orderBy: { createdAt: 'asc' }
+    }),
+    prisma.loginEvent.findMany({
+      where: { userId },
+      select: { method: true, outcome: true, reason: true, ipAddress: true, userAgent: true, createdAt: true },
+      orderBy: { createdAt: 'asc' }
+    })
+  ]);
+
+  return {
+    version: ACCOUNT_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    profile,
+    notes: notes.map(note => ({
+      id: note.id,
+      title: note.title,
+      content: note.content,
+      status: note.status,
+      version: note.version,
+      trashedAt: note.trashedAt,
+      createdAt: note.createdAt,
+      updatedAt: note.updatedAt,
+      tags: note.tags.map(t => t.name),
+      notebook: note.notebook ? note.notebook.name : null,
+      revisions: note.revisions,
+      sharedWith: note.shares.map(s => ({ email: s.user.email, permission: s.permission, createdAt: s.createdAt })),
+      publicLinks: note.publicLinks,
+      // File contents are downloaded separately (GET /api/notes/:id/attachments/:attachmentId)
+      attachments: note.attachments
+    })),
+    tags,
+    notebooks,
+    sharedWithMe: sharedWithMe.map(s => ({
+      noteId: s.note.id,
+      title: s.note.title,
+      owner: s.note.user.email,
+      permission: s.permission,
+      createdAt: s.createdAt
+    })),
+    identities,
+    sessions,
+    loginEvents
+  };
+}
+
+module.exports = {
+  buildAccountExport
+};
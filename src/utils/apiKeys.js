@@ -0,0 +1,110 @@
+/**
+ * API Key Utilities
+ * Personal API keys let scripts and integrations call the API without a login session.
+ * A key is "noty_" followed by a random secret; only its SHA-256 hash is stored and the
+ * plain key is shown once, when it is created. Each key carries scopes that limit what
+ * it may do (see requireScope in middlewares/authmiddleware.js).
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { generateSecret, hashToken } = require('./auth');
+
+const prisma = new PrismaClient();
+
+const API_KEY_PREFIX = 'noty_';
+
+/**
+ * Scopes a key can be granted
+ *   notes:read   - read notes, tags, notebooks, attachments and the event stream
+ *   notes:write  - create and change them (including archiving and trashing)
+ *   notes:delete - permanently delete notes and attachments
+ */
+const API_KEY_SCOPES = ['notes:read', 'notes:write', 'notes:delete'];
+
+// Characters of a key kept in clear so users can tell their keys apart
+const DISPLAY_PREFIX_LENGTH = API_KEY_PREFIX.length + 6;
+// lastUsedAt is refreshed at most this often, so busy keys do not write on every request
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+// Fields returned to clients (never the hash)
+const apiKeySelect = {
+  id: true,
+  name: true,
+  prefix: true,
+  scopes: true,
+  expiresAt: true,
+  lastUsedAt: true,
+  lastUsedIp: true,
+  revokedAt: true,
+  createdAt: true
+};
+
+/**
+ * Whether a bearer token is an API key rather than a JWT
+ * @param {string} token
+ * @returns {boolean}
+ */
+function isApiKey(token) {
+  return typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+}
+
+/**
+ * Generate a new key
+ * @returns {{ key: string, prefix: string, keyHash: string }} key is the plain key, to be shown once
+ */
+function generateApiKey() {
+  const key = `${API_KEY_PREFIX}${generateSecret(32)}`;
+  return { key, prefix: key.slice(0, DISPLAY_PREFIX_LENGTH), keyHash: hashToken(key) };
+}
+
+/**
+ * Look up a key with its user
+ * @param {string} key - Plain key from the Authorization header
+ * @returns {Promise<Object|null>} The key row (including user) or null if unknown
+ */
+async function findApiKey(key) {
+  return prisma.apiKey.findUnique({
+    where: { keyHash: hashToken(key) },
+    include: {
+      user: { select: { id: true, email: true, name: true, emailVerifiedAt: true, deletionScheduledAt: true } }
+    }
+  });
+}
+
+/**
+ * Record that a key was used (throttled; never throws)
+ * @param {{ id: string, lastUsedAt: Date|null }} apiKey
+ * @param {string} [ipAddress]
+ */
+async function touchApiKey(apiKey, ipAddress) {
+  if (apiKey.lastUsedAt && Date.now() - apiKey.lastUsedAt.getTime() < LAST_USED_INTERVAL_MS) return;
+  try {
+    await prisma.apiKey.update({
+      where: { id: apiKey.id },
+      data: { lastUsedAt: new Date(), lastUsedIp: ipAddress || null }
+    });
+  } catch (error) {
+    console.error('API key usage tracking error:', error);
+  }
+}
+
+/**
+ * Whether a request may act with a scope
+ * Requests authenticated with a login session hold every scope.
+ * @param {Object} req - Express request object (after authenticateToken)
+ * @param {string} scope
+ * @returns {boolean}
+ */
+function hasScope(req, scope) {
+  return !req.apiKey || req.apiKey.scopes.includes(scope);
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  apiKeySelect,
+  isApiKey,
+  generateApiKey,
+  findApiKey,
+  touchApiKey,
+  hasScope
+};
@@ -0,0 +1,197 @@
+/**
+ * Attachment Utilities
+ * Processing of uploaded files (type sniffing, image thumbnails, storage quota) and
+ * removal of stored files once their attachments are deleted.
+ * Quota and file sizes are configured with ATTACHMENT_QUOTA_MB and ATTACHMENT_MAX_FILE_MB.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const sharp = require('sharp');
+const { PrismaClient } = require('@prisma/client');
+const { getStorage } = require('../storage');
+const { detectMimeType, isImage } = require('./fileType');
+const { AppError, BadRequestError } = require('./errors');
+
+const prisma = new PrismaClient();
+
+// Total bytes of attachments a user may store (0 disables the limit)
+const ATTACHMENT_QUOTA_BYTES = parseInt(process.env.ATTACHMENT_QUOTA_MB || '100') * 1024 * 1024;
+
+// Thumbnails fit in this square; larger images are refused before decoding
+const THUMBNAIL_SIZE = 256;
+const MAX_IMAGE_PIXELS = 40 * 1000 * 1000;
+
+// Fields returned to clients (storage keys stay private)
+const attachmentSelect = {
+  id: true,
+  noteId: true,
+  filename: true,
+  mimeType: true,
+  size: true,
+  width: true,
+  height: true,
+  thumbnailKey: true,
+  createdAt: true
+};
+
+/**
+ * Shape an attachment row for a response
+ * @param {Object} attachment - Row selected with attachmentSelect
+ * @returns {Object}
+ */
+function toAttachmentJson({ thumbnailKey, ...attachment }) {
+  return { ...attachment, hasThumbnail: Boolean(thumbnailKey) };
+}
+
+/**
+ * Bytes of attachments stored by a user
+ * @param {string} userId
+ * @param {Object} [client] - Prisma client or transaction to read with
+ * @returns {Promise<number>}
+ */
+async function storageUsed(userId, client = prisma) {
+  const { _sum } = await client.attachment.aggregate({ where: { userId }, _sum: { size: true } });
+  return _sum.size || 0;
+}
+
+// Fail with 413 when adding bytes would take a user over the quota
+async function assertWithinQuota(userId, incoming, client = prisma) {
+  if (!ATTACHMENT_QUOTA_BYTES) return;
+  const used = await storageUsed(userId, client);
+  if (used + incoming > ATTACHMENT_QUOTA_BYTES) {
+    throw new AppError('Attachment storage quota exceeded', {
+      status: 413,
+      code: 'QUOTA_EXCEEDED',
+      details: { used, quota: ATTACHMENT_QUOTA_BYTES, requested: incoming }
+    });
+  }
+}
+
+/**
+ * Storage usage of a user against their quota
+ * @param {string} userId
+ * @returns {Promise<{ used: number, quota: number|null }>} quota is null when unlimited
+ */
+async function storageUsage(userId) {
+  return { used: await storageUsed(userId), quota: ATTACHMENT_QUOTA_BYTES || null };
+}
+
+// Keep only the base name and strip control characters from a client-supplied file name
+function cleanFilename(name) {
+  const base = path.basename(String(name || '')).replace(/[\u0000-\u001f\u007f]/g, '').trim();
+  return base.slice(0, 255) || 'file';
+}
+
+// Sniff the type of one upload and build its thumbnail if it is an image
+async function prepareFile(file) {
+  const mimeType = detectMimeType(file.buffer);
+  const prepared = { filename: cleanFilename(file.originalname), mimeType, size: file.size, buffer: file.buffer };
+  if (!isImage(mimeType)) return prepared;
+
+  try {
+    const image = sharp(file.buffer, { limitInputPixels: MAX_IMAGE_PIXELS });
+    const { width, height } = await image.metadata();
+    const thumbnail = await image
+      .rotate() // Apply EXIF orientation
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .webp()
+      .toBuffer();
+    return { ...prepared, width, height, thumbnail };
+  } catch (err) {
+    throw new BadRequestError(`${prepared.filename} is not a readable image`, { code: 'INVALID_IMAGE' });
+  }
+}
+
+/**
+ * Delete stored files; never throws, so a storage outage cannot fail the request that deleted them
+ * @param {Array<string|null>} keys - Storage keys (nulls are skipped)
+ */
+async function deleteStoredFiles(keys) {
+  const existing = keys.filter(Boolean);
+  if (!existing.length) return;
+  try {
+    await getStorage().remove(existing);
+  } catch (error) {
+    console.error('Delete stored files error:', error);
+  }
+}
+
+/**
+ * Storage keys of every file belonging to some attachments
+ * @param {Array<{ storageKey: string, thumbnailKey: string|null }>} attachments
+ * @returns {string[]}
+ */
+function storageKeysOf(attachments) {
+  return attachments.flatMap(a => [a.storageKey, a.thumbnailKey]).filter(Boolean);
+}
+
+/**
+ * Store uploaded files and attach them to a note
+ * The files count against the note owner's quota, checked once up front and again while
+ * the rows are created with the owner locked, so parallel uploads cannot overshoot it
+ * together. Files already written are removed again if any later step fails.
+ * @param {{ id: string, userId: string }} note
+ * @param {Array<Object>} files - Multer memory-storage files
+ * @returns {Promise<Array<Object>>} The created attachments (see toAttachmentJson)
+ * @throws {AppError} 413 QUOTA_EXCEEDED, or 400 INVALID_IMAGE for unreadable images
+ */
+async function storeAttachments(note, files) {
+  const incoming = files.reduce((sum, f) => sum + f.size, 0);
+  await assertWithinQuota(note.userId, incoming);
+
+  const prepared = [];
+  for (const file of files) prepared.push(await prepareFile(file));
+
+  const storage = getStorage();
+  const written = [];
+  try {
+    const rows = [];
+    for (const file of prepared) {
+      const storageKey = `${note.userId}/${note.id}/${crypto.randomUUID()}`;
+      await storage.put(storageKey, file.buffer, { contentType: file.mimeType });
+      written.push(storageKey);
+
+      let thumbnailKey = null;
+      if (file.thumbnail) {
+        thumbnailKey = `${storageKey}.thumb.webp`;
+        await storage.put(thumbnailKey, file.thumbnail, { contentType: 'image/webp' });
+        written.push(thumbnailKey);
+      }
+
+      rows.push({
+        noteId: note.id,
+        userId: note.userId,
+        filename: file.filename,
+        mimeType: file.mimeType,
+        size: file.size,
+        storageKey,
+        thumbnailKey,
+        width: file.width || null,
+        height: file.height || null
+      });
+    }
+
+    const attachments = await prisma.$transaction(async (tx) => {
+      // Uploads of the same owner queue up here, each seeing the rows the previous one committed
+      await tx.$queryRaw`SELECT id FROM "User" WHERE id = ${note.userId} FOR UPDATE`;
+      await assertWithinQuota(note.userId, rows.reduce((sum, row) => sum + row.size, 0), tx);
+      const created = [];
+      for (const data of rows) created.push(await tx.attachment.create({ data, select: attachmentSelect }));
+      return created;
+    });
+    return attachments.map(toAttachmentJson);
+  } catch (err) {
+    await deleteStoredFiles(written);
+    throw err;
+  }
+}
+
+module.exports = {
+  attachmentSelect,
+  toAttachmentJson,
+  storageUsage,
+  storeAttachments,
+  deleteStoredFiles,
+  storageKeysOf
+};
@@ -6,10 +6,14 @@
 // Import required dependencies
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 
 // Get JWT secret from environment or use fallback (for development only)
 const JWT_SECRET = process.env.JWT_SECRET || 'fallback-secret-key-123';
 
+// Access tokens are short-lived; sessions are kept alive with refresh tokens
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+
 /**
  * PASSWORD HASHING FUNCTIONS
  * These functions handle secure password storage and verification
@@ -28,10 +32,11 @@ const hashPassword = async (password) => {
 /**
  * Compare a plain text password with its hashed version
  * @param {string} password - The plain text password to check
- * @param {string} hash - The hashed password to compare against
- * @returns {Promise<boolean>} True if passwords match, false otherwise
+ * @param {string|null} hash - The hashed password to compare against
+ * @returns {Promise<boolean>} True if passwords match, false otherwise (always false without a hash)
  */
 const comparePassword = async (password, hash) => {
+  if (!hash) return false; // OAuth-only accounts have no password
   return await bcrypt.compare(password, hash);
 };
 
@@ -41,21 +46,71 @@ const comparePassword = async (password, hash) => {
  */
 
 /**
- * Generate a JWT token for user authentication
+ * Generate a short-lived JWT access token bound to a session
  * @param {Object} user - User object containing id and email
+ * @param {string} sessionId - ID of the session the token belongs to
  * @returns {string} The generated JWT token
  */
-const generateToken = (user) => {
+const generateToken = (user, sessionId) => {
   return jwt.sign({
     id: user.id,        // User ID for identification
-    email: user.email   // User email for additional context
+    email: user.email,  // User email for additional context
+    sid: sessionId      // Session ID so the token can be revoked server-side
   },
   JWT_SECRET,          // Secret key for signing
   {
-    expiresIn: '7d'    // Token expires in 7 days
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
   });
 };
 
+/**
+ * Generate a short-lived challenge token for the second login step (2FA)
+ * It carries no session, so authenticateToken never accepts it as an access token.
+ * @param {Object} user - User object containing id
+ * @returns {string} The generated JWT token
+ */
+const generateChallengeToken = (user) => {
+  return jwt.sign({ id: user.id, purpose: '2fa' }, JWT_SECRET, { expiresIn: '5m' });
+};
+
+/**
+ * Verify a 2FA challenge token
+ * @param {string} token - The challenge token
+ * @returns {Object|null} The decoded payload, or null if invalid, expired or not a challenge token
+ */
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    return decoded.purpose === '2fa' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Generate a short-lived token that lets the browser start linking a provider
+ * identity to the signed-in user (the OAuth redirect cannot carry the Authorization header)
+ * @param {Object} user - User object containing id
+ * @returns {string} The generated JWT token
+ */
+const generateLinkToken = (user) => {
+  return jwt.sign({ id: user.id, purpose: 'link' }, JWT_SECRET, { expiresIn: '5m' });
+};
+
+/**
+ * Verify an identity link token
+ * @param {string} token - The link token
+ * @returns {Object|null} The decoded payload, or null if invalid, expired or not a link token
+ */
+const verifyLinkToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    return decoded.purpose === 'link' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
 /**
  * Verify and decode a JWT token
  * @param {string} token - The JWT token to verify
@@ -66,10 +121,39 @@ const verifyToken = (token) => {
   return jwt.verify(token, JWT_SECRET);
 };
 
+/**
+ * OPAQUE TOKEN FUNCTIONS
+ * Random secrets (refresh tokens etc.) are only ever stored as SHA-256 hashes
+ */
+
+/**
+ * Generate a cryptographically random URL-safe secret
+ * @param {number} [bytes=32] - Number of random bytes
+ * @returns {string} The random secret
+ */
+const generateSecret = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('base64url');
+};
+
+/**
+ * Hash an opaque token for storage
+ * @param {string} token - The plain token
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
 // Export all authentication utility functions
 module.exports = {
   hashPassword,
   comparePassword,
   generateToken,
-  verifyToken
+  verifyToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  generateLinkToken,
+  verifyLinkToken,
+  generateSecret,
+  hashToken
 };
\ No newline at end of file
@@ -0,0 +1,78 @@
+/**
+ * Line Diff Utility
+ * Computes a line-based diff between two texts using a longest common subsequence table
+ */
+
+// Above this many table cells the diff falls back to "remove all / add all"
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Diff two texts line by line
+ * @param {string} oldText - The original text
+ * @param {string} newText - The changed text
+ * @returns {{ changes: Array<{ type: 'equal'|'added'|'removed', line: string }>, stats: { added: number, removed: number } }}
+ */
+function diffLines(oldText, newText) {
+  const a = (oldText || '').split('\n');
+  const b = (newText || '').split('\n');
+
+  // Trim the common prefix and suffix so the LCS table only covers the changed region
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+  const head = a.slice(0, start).map(line => ({ type: 'equal', line }));
+  const tail = a.slice(endA).map(line => ({ type: 'equal', line }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  let middle;
+  if ((midA.length + 1) * (midB.length + 1) > MAX_DIFF_CELLS) {
+    middle = [
+      ...midA.map(line => ({ type: 'removed', line })),
+      ...midB.map(line => ({ type: 'added', line }))
+    ];
+  } else {
+    middle = lcsDiff(midA, midB);
+  }
+
+  const changes = [...head, ...middle, ...tail];
+  const stats = { added: 0, removed: 0 };
+  changes.forEach(c => {
+    if (c.type === 'added') stats.added++;
+    if (c.type === 'removed') stats.removed++;
+  });
+  return { changes, stats };
+}
+
+// Classic O(n*m) LCS backtrack
+function lcsDiff(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const table = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      table[i][j] = a[i] === b[j]
+        ? table[i + 1][j + 1] + 1
+        : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const out = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) { out.push({ type: 'equal', line: a[i] }); i++; j++; }
+    else if (table[i + 1][j] >= table[i][j + 1]) { out.push({ type: 'removed', line: a[i] }); i++; }
+    else { out.push({ type: 'added', line: b[j] }); j++; }
+  }
+  while (i < n) out.push({ type: 'removed', line: a[i++] });
+  while (j < m) out.push({ type: 'added', line: b[j++] });
+  return out;
+}
+
+module.exports = {
+  diffLines
+};
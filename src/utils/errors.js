@@ -0,0 +1,120 @@
+/**
+ * Application Errors
+ * Typed errors carrying an HTTP status and a stable, machine-readable code.
+ * Route handlers throw (or pass to next) one of these; the central error handler
+ * (middlewares/errorHandler.js) turns it into the response envelope.
+ */
+
+/**
+ * Base class of every error that is safe to show to the client
+ */
+class AppError extends Error {
+  /**
+   * @param {string} message - Human-readable message returned to the client
+   * @param {Object} [options]
+   * @param {number} [options.status=500]
+   * @param {string} [options.code='INTERNAL_ERROR'] - Stable code clients can branch on
+   * @param {Object} [options.details] - Extra machine-readable information (e.g. field errors)
+   * @param {Object} [options.data] - Payload returned alongside the error (e.g. the current note on a conflict)
+   */
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', details, data } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+    this.data = data;
+  }
+}
+
+// One subclass per status; each takes (message, { code, details, data })
+function defineError(name, status, defaultCode, defaultMessage) {
+  const ErrorClass = class extends AppError {
+    constructor(message = defaultMessage, options = {}) {
+      super(message, { ...options, status, code: options.code || defaultCode });
+    }
+  };
+  Object.defineProperty(ErrorClass, 'name', { value: name });
+  return ErrorClass;
+}
+
+const BadRequestError = defineError('BadRequestError', 400, 'BAD_REQUEST', 'Bad request');
+const UnauthorizedError = defineError('UnauthorizedError', 401, 'UNAUTHORIZED', 'Authentication required');
+const ForbiddenError = defineError('ForbiddenError', 403, 'FORBIDDEN', 'You do not have permission to do that');
+const NotFoundError = defineError('NotFoundError', 404, 'NOT_FOUND', 'Resource not found');
+const ConflictError = defineError('ConflictError', 409, 'CONFLICT', 'Resource already exists');
+const ValidationError = defineError('ValidationError', 422, 'VALIDATION_FAILED', 'Validation failed');
+const LockedError = defineError('LockedError', 423, 'LOCKED', 'Resource is locked');
+const RateLimitedError = defineError('RateLimitedError', 429, 'RATE_LIMITED', 'Too many requests, please try again later');
+
+/**
+ * Map a Prisma known request error to an application error
+ *   P2002 unique constraint  -> 409 UNIQUE_CONSTRAINT
+ *   P2025 record not found   -> 404 NOT_FOUND
+ *   P2003 foreign key        -> 409 FOREIGN_KEY_CONSTRAINT
+ *   P2000 value too long     -> 422 VALUE_TOO_LONG
+ * Other Prisma errors are left to the generic 500 handling so internals are never exposed.
+ * @param {Error} err
+ * @returns {AppError|null}
+ */
+function fromPrismaError(err) {
+  // Matched by name so it works for whichever generated client threw it
+  if (!err || err.name !== 'PrismaClientKnownRequestError') return null;
+  const fields = err.meta && err.meta.target ? [].concat(err.meta.target) : undefined;
+
+  switch (err.code) {
+    case 'P2002':
+      return new ConflictError('A record with the same value already exists', {
+        code: 'UNIQUE_CONSTRAINT',
+        details: fields && { fields }
+      });
+    case 'P2025':
+      return new NotFoundError('Record not found');
+    case 'P2003':
+      return new ConflictError('A related record does not exist or is still in use', { code: 'FOREIGN_KEY_CONSTRAINT' });
+    case 'P2000':
+      return new ValidationError('A value is too long', { code: 'VALUE_TOO_LONG' });
+    default:
+      return null;
+  }
+}
+
+/**
+ * Normalize anything thrown by a handler or middleware into an AppError
+ * Unknown errors become a generic 500 so their message never reaches the client.
+ * @param {Error} err
+ * @returns {AppError}
+ */
+function toAppError(err) {
+  if (err instanceof AppError) return err;
+
+  const prismaError = fromPrismaError(err);
+  if (prismaError) return prismaError;
+
+  // Errors raised by Express' body parsers
+  if (err && err.type === 'entity.parse.failed') return new BadRequestError('Request body is not valid JSON', { code: 'INVALID_JSON' });
+  if (err && err.type === 'entity.too.large') {
+    return new AppError('Request body is too large', { status: 413, code: 'PAYLOAD_TOO_LARGE' });
+  }
+
+  // Other client errors from libraries keep their status but get a generic code
+  if (err && err.expose && err.status >= 400 && err.status < 500) {
+    return new AppError(err.message, { status: err.status, code: 'BAD_REQUEST' });
+  }
+
+  return new AppError('Internal server error');
+}
+
+module.exports = {
+  AppError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  ValidationError,
+  LockedError,
+  RateLimitedError,
+  fromPrismaError,
+  toAppError
+};
@@ -0,0 +1,139 @@
+/**
+ * Event Hub
+ * In-process publish/subscribe with one channel per user, backing the real-time
+ * event stream. Each user's recent events are kept for a while so a client that
+ * reconnects with the id of the last event it saw receives what it missed.
+ *
+ * Event ids are "<boot>-<sequence>": ids from before a restart (or events that have
+ * already been dropped from the history) cannot be replayed, and the client is told
+ * to resync instead. Events only reach clients connected to the same process.
+ */
+
+const crypto = require('crypto');
+
+// Events kept per user for replay, by count and by age
+const HISTORY_SIZE = parseInt(process.env.EVENTS_HISTORY_SIZE || '200');
+const HISTORY_MS = parseInt(process.env.EVENTS_HISTORY_MINUTES || '10') * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Distinguishes the ids of this process from those of a previous run
+const BOOT_ID = crypto.randomBytes(4).toString('hex');
+
+let sequence = 0;
+// Highest sequence dropped from a history that has since been forgotten entirely
+let forgottenUpTo = 0;
+let sweepTimer = null;
+
+// userId -> Set of listeners
+const listeners = new Map();
+// userId -> { events: Array<{ seq, id, type, data, at }>, droppedUpTo: number }
+const histories = new Map();
+
+// Drop events beyond the size limit or older than the age limit from one history
+function trimHistory(userId, history, now = Date.now()) {
+  const { events } = history;
+  let drop = Math.max(0, events.length - HISTORY_SIZE);
+  while (drop < events.length && now - events[drop].at > HISTORY_MS) drop++;
+  if (drop) history.droppedUpTo = events.splice(0, drop).pop().seq;
+  if (!events.length) {
+    forgottenUpTo = Math.max(forgottenUpTo, history.droppedUpTo);
+    histories.delete(userId);
+  }
+}
+
+// Periodically forget the histories of users nobody has published to in a while
+function ensureSweep() {
+  if (sweepTimer) return;
+  sweepTimer = setInterval(() => {
+    const now = Date.now();
+    for (const [userId, history] of histories) trimHistory(userId, history, now);
+  }, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+}
+
+/**
+ * Publish an event to every connection of some users
+ * @param {string[]} userIds - Recipients (duplicates are ignored)
+ * @param {string} type - Event name, e.g. "note.updated"
+ * @param {Object} data - JSON payload
+ */
+function publish(userIds, type, data) {
+  ensureSweep();
+  for (const userId of new Set(userIds)) {
+    const seq = ++sequence;
+    const event = { seq, id: `${BOOT_ID}-${seq}`, type, data, at: Date.now() };
+
+    const history = histories.get(userId) || { events: [], droppedUpTo: 0 };
+    history.events.push(event);
+    histories.set(userId, history);
+    trimHistory(userId, history, event.at);
+
+    for (const listener of listeners.get(userId) || []) listener(event);
+  }
+}
+
+/**
+ * Subscribe to a user's channel
+ * @param {string} userId
+ * @param {Function} listener - Called with each event ({ id, type, data })
+ * @returns {Function} Unsubscribe
+ */
+function subscribe(userId, listener) {
+  if (!listeners.has(userId)) listeners.set(userId, new Set());
+  listeners.get(userId).add(listener);
+  return () => {
+    const set = listeners.get(userId);
+    if (!set) return;
+    set.delete(listener);
+    if (!set.size) listeners.delete(userId);
+  };
+}
+
+/**
+ * Number of open subscriptions of a user
+ * @param {string} userId
+ * @returns {number}
+ */
+function subscriberCount(userId) {
+  const set = listeners.get(userId);
+  return set ? set.size : 0;
+}
+
+/**
+ * Id of the most recent event published to anyone
+ * A client handed this id resumes from now on its next reconnect.
+ * @returns {string}
+ */
+function latestEventId() {
+  return `${BOOT_ID}-${sequence}`;
+}
+
+/**
+ * Events a user missed after a given event id
+ * @param {string} userId
+ * @param {string} lastEventId - Id of the last event the client received
+ * @returns {Array<Object>|null} The missed events (oldest first), or null when they can no longer be replayed
+ */
+function eventsSince(userId, lastEventId) {
+  const match = /^([0-9a-f]+)-(\d+)$/.exec(String(lastEventId));
+  if (!match || match[1] !== BOOT_ID) return null;
+  const lastSeq = Number(match[2]);
+  if (lastSeq > sequence) return null;
+
+  const history = histories.get(userId);
+  if (history) trimHistory(userId, history);
+  if (!histories.has(userId)) {
+    // Nothing kept for this user: fine unless something may have been dropped since
+    return lastSeq < forgottenUpTo ? null : [];
+  }
+  if (lastSeq < history.droppedUpTo) return null;
+  return history.events.filter(e => e.seq > lastSeq);
+}
+
+module.exports = {
+  publish,
+  subscribe,
+  subscriberCount,
+  latestEventId,
+  eventsSince
+};
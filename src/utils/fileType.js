@@ -0,0 +1,65 @@
+/**
+ * File Type Detection
+ * Sniffs the real type of an uploaded file from its leading bytes; the name and
+ * Content-Type sent by the client are never trusted.
+ */
+
+// Magic numbers of the binary formats we recognise (offset defaults to 0)
+const SIGNATURES = [
+  { mime: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mime: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { mime: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] }, // GIF8
+  { mime: 'image/webp', bytes: [0x52, 0x49, 0x46, 0x46], also: { offset: 8, bytes: [0x57, 0x45, 0x42, 0x50] } }, // RIFF....WEBP
+  { mime: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] }, // %PDF-
+  { mime: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { mime: 'application/gzip', bytes: [0x1f, 0x8b] },
+  { mime: 'audio/mpeg', bytes: [0x49, 0x44, 0x33] }, // ID3
+  { mime: 'video/mp4', bytes: [0x66, 0x74, 0x79, 0x70], offset: 4 } // ....ftyp
+];
+
+// Raster images we can read and thumbnail
+const IMAGE_TYPES = new Set(['image/png', 'image/jpeg', 'image/gif', 'image/webp']);
+
+function matches(buffer, bytes, offset = 0) {
+  return buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+}
+
+// Text if the sample is valid UTF-8 without NUL bytes
+function looksLikeText(buffer) {
+  const sample = buffer.subarray(0, 8192);
+  if (sample.includes(0)) return false;
+  try {
+    // stream: the sample may end in the middle of a multi-byte character
+    new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Detect the MIME type of a file from its content
+ * Anything unrecognised is reported as text/plain (valid UTF-8) or application/octet-stream.
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function detectMimeType(buffer) {
+  const signature = SIGNATURES.find(({ bytes, offset, also }) =>
+    matches(buffer, bytes, offset) && (!also || matches(buffer, also.bytes, also.offset)));
+  if (signature) return signature.mime;
+  return looksLikeText(buffer) ? 'text/plain' : 'application/octet-stream';
+}
+
+/**
+ * Whether a MIME type is a raster image that can be displayed inline and thumbnailed
+ * @param {string} mimeType
+ * @returns {boolean}
+ */
+function isImage(mimeType) {
+  return IMAGE_TYPES.has(mimeType);
+}
+
+module.exports = {
+  detectMimeType,
+  isImage
+};
@@ -0,0 +1,137 @@
+/**
+ * Fractional Indexing
+ * Order keys that always leave room between two neighbours, so moving one item in
+ * a manually ordered list rewrites only that item. Keys are base62 strings compared
+ * by plain code-unit order (the database column uses the "C" collation for this).
+ *
+ * A key is an integer part followed by an optional fraction. The first character of
+ * the integer part encodes its length ('a' = 1 digit, 'b' = 2 digits... and 'Z', 'Y'...
+ * for negative integers), so keys appended at either end only grow logarithmically.
+ * Based on David Greenspan's "Implementing Fractional Indexing".
+ */
+
+const DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+const INTEGER_ZERO = 'a0';
+const SMALLEST_INTEGER = `A${'0'.repeat(26)}`;
+
+// Midpoint of two fractions; b === null means "1"
+function midpoint(a, b) {
+  if (b !== null && a >= b) throw new Error(`Fraction ${a} is not less than ${b}`);
+  if (a.slice(-1) === '0' || (b && b.slice(-1) === '0')) throw new Error('Fraction has a trailing zero');
+  if (b) {
+    // Keep the common prefix and take the midpoint of what follows
+    let n = 0;
+    while ((a[n] || '0') === b[n]) n++;
+    if (n > 0) return b.slice(0, n) + midpoint(a.slice(n), b.slice(n));
+  }
+  const digitA = a ? DIGITS.indexOf(a[0]) : 0;
+  const digitB = b !== null ? DIGITS.indexOf(b[0]) : DIGITS.length;
+  if (digitB - digitA > 1) return DIGITS[Math.round((digitA + digitB) / 2)];
+  // Consecutive digits: keep a's digit and go one level deeper
+  if (b && b.length > 1) return b.slice(0, 1);
+  return DIGITS[digitA] + midpoint(a.slice(1), null);
+}
+
+function integerLength(head) {
+  if (head >= 'a' && head <= 'z') return head.charCodeAt(0) - 'a'.charCodeAt(0) + 2;
+  if (head >= 'A' && head <= 'Z') return 'Z'.charCodeAt(0) - head.charCodeAt(0) + 2;
+  throw new Error(`Invalid order key head: ${head}`);
+}
+
+function integerPart(key) {
+  const length = integerLength(key[0]);
+  if (length > key.length) throw new Error(`Invalid order key: ${key}`);
+  return key.slice(0, length);
+}
+
+function validateKey(key) {
+  if (key === SMALLEST_INTEGER) throw new Error(`Invalid order key: ${key}`);
+  const integer = integerPart(key);
+  if (key.slice(integer.length).slice(-1) === '0') throw new Error(`Invalid order key: ${key}`);
+}
+
+// Next integer, or null past the largest one
+function incrementInteger(x) {
+  const [head, ...digits] = x.split('');
+  let carry = true;
+  for (let i = digits.length - 1; carry && i >= 0; i--) {
+    const d = DIGITS.indexOf(digits[i]) + 1;
+    if (d === DIGITS.length) {
+      digits[i] = '0';
+    } else {
+      digits[i] = DIGITS[d];
+      carry = false;
+    }
+  }
+  if (!carry) return head + digits.join('');
+  if (head === 'Z') return INTEGER_ZERO;
+  if (head === 'z') return null;
+  const nextHead = String.fromCharCode(head.charCodeAt(0) + 1);
+  if (nextHead > 'a') digits.push('0');
+  else digits.pop();
+  return nextHead + digits.join('');
+}
+
+// Previous integer, or null before the smallest one
+function decrementInteger(x) {
+  const [head, ...digits] = x.split('');
+  let borrow = true;
+  for (let i = digits.length - 1; borrow && i >= 0; i--) {
+    const d = DIGITS.indexOf(digits[i]) - 1;
+    if (d === -1) {
+      digits[i] = DIGITS.slice(-1);
+    } else {
+      digits[i] = DIGITS[d];
+      borrow = false;
+    }
+  }
+  if (!borrow) return head + digits.join('');
+  if (head === 'a') return `Z${DIGITS.slice(-1)}`;
+  if (head === 'A') return null;
+  const nextHead = String.fromCharCode(head.charCodeAt(0) - 1);
+  if (nextHead < 'Z') digits.push(DIGITS.slice(-1));
+  else digits.pop();
+  return nextHead + digits.join('');
+}
+
+/**
+ * Generate a key that sorts strictly between two keys
+ * @param {string|null} a - Lower neighbour, or null for the start of the list
+ * @param {string|null} b - Upper neighbour, or null for the end of the list
+ * @returns {string}
+ * @throws {Error} When a key is malformed or a is not less than b
+ */
+function generateKeyBetween(a, b) {
+  if (a !== null) validateKey(a);
+  if (b !== null) validateKey(b);
+  if (a !== null && b !== null && a >= b) throw new Error(`Order key ${a} is not less than ${b}`);
+
+  if (a === null) {
+    if (b === null) return INTEGER_ZERO;
+    const ib = integerPart(b);
+    const fb = b.slice(ib.length);
+    if (ib === SMALLEST_INTEGER) return ib + midpoint('', fb);
+    if (ib < b) return ib;
+    const previous = decrementInteger(ib);
+    if (previous === null) throw new Error('Cannot generate a key before the smallest key');
+    return previous;
+  }
+
+  const ia = integerPart(a);
+  const fa = a.slice(ia.length);
+  if (b === null) {
+    const next = incrementInteger(ia);
+    return next === null ? ia + midpoint(fa, null) : next;
+  }
+
+  const ib = integerPart(b);
+  const fb = b.slice(ib.length);
+  if (ia === ib) return ia + midpoint(fa, fb);
+  const next = incrementInteger(ia);
+  if (next === null) throw new Error('Cannot generate a key after the largest key');
+  return next < b ? next : ia + midpoint(fa, null);
+}
+
+module.exports = {
+  generateKeyBetween
+};
@@ -0,0 +1,119 @@
+/**
+ * Login Security Utilities
+ * Login audit trail and account lockout after repeated failed sign-ins.
+ * After LOGIN_LOCKOUT_THRESHOLD consecutive failures the account is locked; every further
+ * lockout before a successful sign-in doubles the period, up to MAX_LOCKOUT_MINUTES.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { LockedError } = require('./errors');
+
+const prisma = new PrismaClient();
+
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD || '5');
+const LOCKOUT_BASE_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15');
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+
+/**
+ * Record a sign-in attempt; never throws, so auditing cannot break a login
+ * @param {Object} req - Express request (used for user agent and IP)
+ * @param {Object} event
+ * @param {Object} [event.user] - The account the attempt was for, if one matched
+ * @param {string} [event.email] - Email the attempt was made with
+ * @param {'password'|'two_factor'|'google'} event.method
+ * @param {'SUCCESS'|'FAILURE'|'LOCKED'} event.outcome
+ * @param {string} [event.reason] - Why the attempt failed
+ * @returns {Promise<void>}
+ */
+async function recordLoginEvent(req, { user, email, method, outcome, reason }) {
+  try {
+    await prisma.loginEvent.create({
+      data: {
+        userId: user ? user.id : null,
+        email: (user && user.email) || (email ? String(email).toLowerCase() : null),
+        method,
+        outcome,
+        reason: reason || null,
+        userAgent: req.get('user-agent') || null,
+        ipAddress: req.ip || null
+      }
+    });
+  } catch (error) {
+    console.error('Record login event error:', error);
+  }
+}
+
+/**
+ * Check whether an account is currently locked
+ * @param {Object} user
+ * @returns {boolean}
+ */
+function isLocked(user) {
+  return Boolean(user.lockedUntil && user.lockedUntil > new Date());
+}
+
+/**
+ * Lockout period for the next lockout of an account
+ * @param {number} lockoutCount - Lockouts since the last successful sign-in
+ * @returns {number} Minutes
+ */
+function lockoutMinutes(lockoutCount) {
+  return Math.min(LOCKOUT_BASE_MINUTES * 2 ** lockoutCount, MAX_LOCKOUT_MINUTES);
+}
+
+/**
+ * Count a failed sign-in, locking the account once the threshold is reached
+ * @param {Object} user
+ * @returns {Promise<{ locked: boolean, lockedUntil: Date|null }>}
+ */
+async function registerFailedLogin(user) {
+  const updated = await prisma.user.update({
+    where: { id: user.id },
+    data: { failedLoginCount: { increment: 1 } },
+    select: { failedLoginCount: true, lockoutCount: true }
+  });
+
+  if (LOCKOUT_THRESHOLD <= 0 || updated.failedLoginCount < LOCKOUT_THRESHOLD) {
+    return { locked: false, lockedUntil: null };
+  }
+
+  const lockedUntil = new Date(Date.now() + lockoutMinutes(updated.lockoutCount) * 60 * 1000);
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { failedLoginCount: 0, lockoutCount: { increment: 1 }, lockedUntil }
+  });
+  return { locked: true, lockedUntil };
+}
+
+/**
+ * Clear failure counters after a successful sign-in (or a password reset)
+ * @param {Object} user
+ * @returns {Promise<void>}
+ */
+async function clearFailedLogins(user) {
+  if (!user.failedLoginCount && !user.lockoutCount && !user.lockedUntil) return;
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { failedLoginCount: 0, lockoutCount: 0, lockedUntil: null }
+  });
+}
+
+/**
+ * Build the 423 error for a locked account
+ * @param {Date} lockedUntil
+ * @returns {LockedError}
+ */
+function lockedError(lockedUntil) {
+  return new LockedError(
+    'Account temporarily locked after too many failed sign-in attempts. Try again later or reset your password.',
+    { code: 'ACCOUNT_LOCKED', details: { lockedUntil: lockedUntil.toISOString() } }
+  );
+}
+
+module.exports = {
+  recordLoginEvent,
+  isLocked,
+  registerFailedLogin,
+  clearFailedLogins,
+  lockedError
+};
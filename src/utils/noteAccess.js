@@ -0,0 +1,63 @@
+/**
+ * Note Access Utilities
+ * Resolves what a user may do with a note: owners have full control, other
+ * users only what a NoteShare grants them (VIEWER or EDITOR)
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { ForbiddenError, NotFoundError } = require('./errors');
+
+const prisma = new PrismaClient();
+
+// Access levels in increasing order of privilege
+const ROLE_LEVELS = { VIEWER: 1, EDITOR: 2, OWNER: 3 };
+
+/**
+ * Resolve a user's role on a note
+ * Trashed notes are only visible to their owner.
+ * @param {string} noteId
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {Object} [options.include] - Prisma include for the returned note
+ * @returns {Promise<{ note: Object, role: 'OWNER'|'EDITOR'|'VIEWER' } | null>}
+ */
+async function getNoteAccess(noteId, userId, { include } = {}) {
+  const note = await prisma.note.findUnique({ where: { id: noteId }, include });
+  if (!note) return null;
+  if (note.userId === userId) return { note, role: 'OWNER' };
+  if (note.status === 'TRASH') return null;
+
+  const share = await prisma.noteShare.findUnique({
+    where: { noteId_userId: { noteId, userId } },
+    select: { permission: true }
+  });
+  if (!share) return null;
+  return { note, role: share.permission };
+}
+
+/**
+ * Check that a user holds at least the required role on a note
+ * Users without any access get a 404 so note ids are not disclosed.
+ * @param {string} noteId
+ * @param {string} userId
+ * @param {'VIEWER'|'EDITOR'|'OWNER'} required - Minimum role needed
+ * @param {Object} [options] - Passed to getNoteAccess
+ * @returns {Promise<{ note: Object, role: string }>}
+ * @throws {NotFoundError|ForbiddenError} When the user may not access the note
+ */
+async function authorizeNote(noteId, userId, required, options) {
+  const access = await getNoteAccess(noteId, userId, options);
+  if (!access) throw new NotFoundError('Note not found', { code: 'NOTE_NOT_FOUND' });
+  if (ROLE_LEVELS[access.role] < ROLE_LEVELS[required]) {
+    const message = required === 'OWNER'
+      ? 'Only the owner of this note can do that'
+      : 'You do not have permission to edit this note';
+    throw new ForbiddenError(message);
+  }
+  return access;
+}
+
+module.exports = {
+  getNoteAccess,
+  authorizeNote
+};
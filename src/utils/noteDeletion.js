@@ -0,0 +1,82 @@
+/**
+ * Note Deletion Utilities
+ * Single place where notes are permanently removed, so every hard delete
+ * (single note, empty trash, scheduled purge, sync) leaves tombstones behind
+ * and reports the attachment files to remove from storage and who to notify
+ */
+
+const { deleteStoredFiles, storageKeysOf } = require('./attachments');
+
+// Tombstones are kept this long (0 keeps them forever); sync cursors older than that get a full pull
+const TOMBSTONE_RETENTION_DAYS = parseInt(process.env.SYNC_TOMBSTONE_RETENTION_DAYS || '90');
+
+/**
+ * Permanently delete the notes matching a filter and record tombstones for them
+ * Attachment rows go with the notes; their files are only listed, because they must
+ * not be removed before the transaction commits (see removeNoteFiles).
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} where - Prisma filter selecting the notes to delete
+ * @returns {Promise<Array<{ id: string, userId: string, sharedWith: string[], storageKeys: string[] }>>}
+ *   The deleted notes; sharedWith lists the collaborators who could still see them (none once trashed)
+ */
+async function removeNotes(tx, where) {
+  const rows = await tx.note.findMany({
+    where,
+    select: {
+      id: true,
+      userId: true,
+      status: true,
+      shares: { select: { userId: true } },
+      attachments: { select: { storageKey: true, thumbnailKey: true } }
+    }
+  });
+  const notes = rows.map(({ status, shares, attachments, ...note }) => ({
+    ...note,
+    sharedWith: status === 'TRASH' ? [] : shares.map(s => s.userId),
+    storageKeys: storageKeysOf(attachments)
+  }));
+  if (!notes.length) return notes;
+
+  await tx.note.deleteMany({ where: { id: { in: notes.map(n => n.id) } } });
+  await tx.noteTombstone.createMany({
+    data: notes.map(n => ({ noteId: n.id, userId: n.userId }))
+  });
+  return notes;
+}
+
+/**
+ * Remove the stored attachment files of notes deleted by removeNotes
+ * Call after the transaction has committed; never throws.
+ * @param {Array<{ storageKeys: string[] }>} notes
+ */
+async function removeNoteFiles(notes) {
+  await deleteStoredFiles(notes.flatMap(n => n.storageKeys));
+}
+
+/**
+ * Oldest moment whose tombstones are still guaranteed to exist
+ * @returns {Date|null} null when tombstones are kept forever
+ */
+function tombstoneCutoff() {
+  if (TOMBSTONE_RETENTION_DAYS <= 0) return null;
+  return new Date(Date.now() - TOMBSTONE_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Delete tombstones older than the retention period
+ * @param {Object} client - Prisma client
+ * @returns {Promise<number>} Tombstones deleted
+ */
+async function purgeOldTombstones(client) {
+  const cutoff = tombstoneCutoff();
+  if (!cutoff) return 0;
+  const result = await client.noteTombstone.deleteMany({ where: { deletedAt: { lt: cutoff } } });
+  return result.count;
+}
+
+module.exports = {
+  removeNotes,
+  removeNoteFiles,
+  tombstoneCutoff,
+  purgeOldTombstones
+};
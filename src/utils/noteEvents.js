@@ -0,0 +1,75 @@
+/**
+ * Note Events
+ * Tells every open client of a note's owner and collaborators that the note changed:
+ *   note.created        { noteId, note }
+ *   note.updated        { noteId, note }
+ *   note.status_changed { noteId, status, note }
+ *   note.deleted        { noteId }
+ * Collaborators lose access to trashed notes, so they only hear that a note was
+ * trashed (without its content) and nothing about it afterwards. The same events of
+ * a user's own notes are also queued for their webhooks (see utils/webhooks.js).
+ *
+ * Publishing happens after the write has committed and never fails the request:
+ * the helpers return immediately and log their own errors.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { publish } = require('./eventHub');
+const { enqueueWebhookEvents } = require('./webhooks');
+
+const prisma = new PrismaClient();
+
+const NOTE_EVENTS = ['note.created', 'note.updated', 'note.status_changed'];
+
+// Shape of a note inside an event: its fields plus the ids of its tags
+function eventNote({ tags, shares, ...note }) {
+  return { ...note, tagIds: tags.map(t => t.id) };
+}
+
+async function publishNoteChanges(type, noteIds) {
+  const notes = await prisma.note.findMany({
+    where: { id: { in: noteIds } },
+    include: { tags: { select: { id: true } }, shares: { select: { userId: true } } }
+  });
+  const webhookEvents = [];
+  for (const note of notes) {
+    const collaborators = note.shares.map(s => s.userId);
+    const data = { noteId: note.id, ...(type === 'note.status_changed' && { status: note.status }), note: eventNote(note) };
+    publish([note.userId], type, data);
+    webhookEvents.push({ userId: note.userId, type, data });
+    if (note.status !== 'TRASH') {
+      publish(collaborators, type, data);
+    } else if (type === 'note.status_changed') {
+      publish(collaborators, type, { noteId: note.id, status: note.status });
+    }
+  }
+  await enqueueWebhookEvents(webhookEvents);
+}
+
+/**
+ * Announce that notes were created, updated or changed status
+ * The notes are read back once the caller's write is visible, so pass ids only.
+ * @param {'note.created'|'note.updated'|'note.status_changed'} type
+ * @param {string|string[]} noteIds
+ */
+function notifyNoteChanges(type, noteIds) {
+  if (!NOTE_EVENTS.includes(type)) throw new Error(`Unknown note event "${type}"`);
+  const ids = [].concat(noteIds).filter(Boolean);
+  if (!ids.length) return;
+  publishNoteChanges(type, ids).catch(error => console.error('Note event error:', error));
+}
+
+/**
+ * Announce that notes were permanently deleted
+ * @param {Array<{ id: string, userId: string, sharedWith: string[] }>} notes - Result of removeNotes
+ */
+function notifyNotesDeleted(notes) {
+  for (const note of notes) publish([note.userId, ...note.sharedWith], 'note.deleted', { noteId: note.id });
+  enqueueWebhookEvents(notes.map(note => ({ userId: note.userId, type: 'note.deleted', data: { noteId: note.id } })))
+    .catch(error => console.error('Note event error:', error));
+}
+
+module.exports = {
+  notifyNoteChanges,
+  notifyNotesDeleted
+};
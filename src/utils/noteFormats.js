@@ -0,0 +1,282 @@
+/**
+ * Note Export / Import Formats
+ * Converts notes to and from JSON, Markdown with YAML front matter, and ZIP archives
+ *
+ * Markdown note layout:
+ *   ---
+ *   title: My note
+ *   status: ARCHIVED
+ *   createdAt: '2025-07-16T16:13:18.000Z'
+ *   updatedAt: '2025-07-20T15:41:38.000Z'
+ *   tags: [work]
+ *   notebook: Projects
+ *   ---
+ *   note content...
+ *
+ * A combined Markdown export holds several such notes, each preceded by NOTE_SEPARATOR.
+ */
+
+const yaml = require('js-yaml');
+const JSZip = require('jszip');
+
+const EXPORT_FORMAT_VERSION = 1;
+const NOTE_SEPARATOR = '<!-- noty:note -->';
+const FRONT_MATTER_REGEX = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/;
+const STATUSES = ['ACTIVE', 'ARCHIVED', 'TRASH'];
+
+// Guard against zip bombs: stop reading once one import request has extracted this much
+const MAX_EXTRACTED_BYTES = 50 * 1024 * 1024;
+
+/**
+ * Reduce a note (with tags and notebook included) to its portable fields
+ * @param {Object} note
+ * @returns {Object}
+ */
+function toPortable(note) {
+  return {
+    title: note.title,
+    content: note.content,
+    status: note.status,
+    createdAt: note.createdAt.toISOString(),
+    updatedAt: note.updatedAt.toISOString(),
+    tags: (note.tags || []).map(t => t.name),
+    notebook: note.notebook ? note.notebook.name : null
+  };
+}
+
+/**
+ * Serialize one portable note as Markdown with YAML front matter
+ * @param {Object} portable - Output of toPortable
+ * @returns {string}
+ */
+function toMarkdown(portable) {
+  const { content, ...meta } = portable;
+  if (!meta.tags.length) delete meta.tags;
+  if (!meta.notebook) delete meta.notebook;
+  return `---\n${yaml.dump(meta, { lineWidth: -1 })}---\n${content}\n`;
+}
+
+/**
+ * Build a filesystem-safe, unique file name for a note
+ * @param {Object} note - Note with id and title
+ * @returns {string}
+ */
+function fileNameFor(note) {
+  const slug = note.title
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60) || 'note';
+  return `${slug}-${note.id.slice(-8)}.md`;
+}
+
+/**
+ * Build the export document in the requested format
+ * @param {Array<Object>} notes - Notes including tags and notebook
+ * @param {'json'|'markdown'|'zip'} format
+ * @returns {Promise<{ body: string|Buffer, contentType: string, extension: string }>}
+ */
+async function buildExport(notes, format) {
+  const exportedAt = new Date().toISOString();
+
+  if (format === 'json') {
+    const body = JSON.stringify({ version: EXPORT_FORMAT_VERSION, exportedAt, notes: notes.map(toPortable) }, null, 2);
+    return { body, contentType: 'application/json', extension: 'json' };
+  }
+
+  if (format === 'markdown') {
+    const body = notes.map(n => `${NOTE_SEPARATOR}\n${toMarkdown(toPortable(n))}`).join('\n');
+    return { body, contentType: 'text/markdown; charset=utf-8', extension: 'md' };
+  }
+
+  const zip = new JSZip();
+  notes.forEach(n => {
+    zip.file(fileNameFor(n), toMarkdown(toPortable(n)), { date: n.updatedAt });
+  });
+  const body = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+  return { body, contentType: 'application/zip', extension: 'zip' };
+}
+
+// Text of a scalar field; YAML types some titles (title: 2024, title: true, title: 2024-05-01)
+function scalarText(value) {
+  if (value instanceof Date) return isNaN(value.getTime()) ? '' : value.toISOString().replace(/T00:00:00\.000Z$/, '');
+  if (['string', 'number', 'boolean'].includes(typeof value)) return String(value).trim();
+  return '';
+}
+
+// Normalize whatever a front matter / JSON entry holds into an import candidate
+function normalizeEntry(raw, source) {
+  const date = (value) => {
+    if (!value) return null;
+    const d = value instanceof Date ? value : new Date(value);
+    return isNaN(d.getTime()) ? null : d;
+  };
+  const status = typeof raw.status === 'string' ? raw.status.toUpperCase() : 'ACTIVE';
+  const tags = Array.isArray(raw.tags) ? raw.tags : (typeof raw.tags === 'string' ? [raw.tags] : []);
+  return {
+    source,
+    title: scalarText(raw.title),
+    content: typeof raw.content === 'string' ? raw.content.trim() : '',
+    status: STATUSES.includes(status) ? status : 'ACTIVE',
+    createdAt: date(raw.createdAt),
+    updatedAt: date(raw.updatedAt),
+    tags: tags.map(scalarText).filter(Boolean),
+    notebook: scalarText(raw.notebook) || null
+  };
+}
+
+/**
+ * Parse one Markdown note; falls back to the first "# heading" or the file name for the title
+ * @param {string} text
+ * @param {string} source - File name, used for reporting and as a title fallback
+ * @returns {Object} Import candidate
+ */
+function parseMarkdownNote(text, source) {
+  let meta = {};
+  let body = text;
+  const match = text.match(FRONT_MATTER_REGEX);
+  if (match) {
+    try {
+      meta = yaml.load(match[1]) || {};
+      if (typeof meta !== 'object' || Array.isArray(meta)) meta = {};
+    } catch (err) {
+      meta = {};
+    }
+    body = text.slice(match[0].length);
+  }
+
+  if (!scalarText(meta.title)) {
+    const heading = body.match(/^#\s+(.+)$/m);
+    meta.title = heading
+      ? heading[1]
+      : source.split('/').pop().replace(/\.(md|markdown)$/i, '');
+  }
+  return normalizeEntry({ ...meta, content: body }, source);
+}
+
+/**
+ * Parse a Markdown document that may hold one note or several separated by NOTE_SEPARATOR
+ * @param {string} text
+ * @param {string} source
+ * @returns {Array<Object>} Import candidates
+ */
+function parseMarkdownDocument(text, source) {
+  if (!text.includes(NOTE_SEPARATOR)) return [parseMarkdownNote(text, source)];
+  return text
+    .split(NOTE_SEPARATOR)
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map((part, i) => parseMarkdownNote(part, `${source}#${i + 1}`));
+}
+
+/**
+ * Parse a JSON export (or a bare array of notes)
+ * @param {string} text
+ * @param {string} source
+ * @returns {Array<Object>} Import candidates
+ * @throws {SyntaxError} If the JSON is malformed
+ */
+function parseJsonDocument(text, source) {
+  return parseJsonNotes(JSON.parse(text), source);
+}
+
+/**
+ * Read notes from already-parsed JSON (an export object or a bare array of notes)
+ * @param {*} parsed
+ * @param {string} source
+ * @returns {Array<Object>} Import candidates
+ */
+function parseJsonNotes(parsed, source) {
+  const list = Array.isArray(parsed) ? parsed : (parsed && Array.isArray(parsed.notes) ? parsed.notes : []);
+  return list.map((entry, i) => normalizeEntry(entry || {}, `${source}#${i + 1}`));
+}
+
+/**
+ * Create the extraction budget shared by every file of one import request
+ * @returns {{ remaining: number }} Bytes that may still be extracted
+ */
+function createImportBudget() {
+  return { remaining: MAX_EXTRACTED_BYTES };
+}
+
+// Inflate a zip entry chunk by chunk, giving up (null) as soon as the budget is spent,
+// so a highly compressed entry is never unpacked in full
+function readZipEntry(entry, budget) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    const stream = entry.internalStream('uint8array');
+    stream
+      .on('data', (chunk) => {
+        budget.remaining -= chunk.length;
+        if (budget.remaining < 0) {
+          stream.pause();
+          return resolve(null);
+        }
+        chunks.push(Buffer.from(chunk));
+      })
+      .on('error', reject)
+      .on('end', () => resolve(Buffer.concat(chunks).toString('utf8')))
+      .resume();
+  });
+}
+
+/**
+ * Extract import candidates from an uploaded file (.json, .md/.markdown or .zip)
+ * @param {{ originalname: string, buffer: Buffer }} file - Multer file
+ * @param {{ remaining: number }} [budget] - Extraction budget of the request (see createImportBudget)
+ * @returns {Promise<{ entries: Array<Object>, errors: Array<{ source: string, error: string }> }>}
+ */
+async function parseUpload(file, budget = createImportBudget()) {
+  const name = file.originalname;
+  const entries = [];
+  const errors = [];
+
+  const parseText = (text, source) => {
+    if (/\.json$/i.test(source)) {
+      try {
+        entries.push(...parseJsonDocument(text, source));
+      } catch (err) {
+        errors.push({ source, error: 'Invalid JSON file' });
+      }
+    } else if (/\.(md|markdown)$/i.test(source)) {
+      entries.push(...parseMarkdownDocument(text, source));
+    }
+  };
+
+  if (/\.zip$/i.test(name)) {
+    let zip;
+    try {
+      zip = await JSZip.loadAsync(file.buffer);
+    } catch (err) {
+      return { entries, errors: [{ source: name, error: 'Invalid ZIP archive' }] };
+    }
+    for (const entry of Object.values(zip.files)) {
+      if (entry.dir || !/\.(md|markdown|json)$/i.test(entry.name) || entry.name.startsWith('__MACOSX/')) continue;
+      let text;
+      try {
+        text = await readZipEntry(entry, budget);
+      } catch (err) {
+        errors.push({ source: `${name}/${entry.name}`, error: 'Could not extract file' });
+        continue;
+      }
+      if (text === null) {
+        errors.push({ source: name, error: 'Archive is too large to import' });
+        break;
+      }
+      parseText(text, `${name}/${entry.name}`);
+    }
+  } else if (/\.(md|markdown|json)$/i.test(name)) {
+    parseText(file.buffer.toString('utf8'), name);
+  } else {
+    errors.push({ source: name, error: 'Unsupported file type (use .json, .md or .zip)' });
+  }
+
+  return { entries, errors };
+}
+
+module.exports = {
+  buildExport,
+  createImportBudget,
+  parseUpload,
+  parseJsonNotes
+};
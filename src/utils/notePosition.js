@@ -0,0 +1,101 @@
+/**
+ * Note Position Utilities
+ * Manual (drag and drop) ordering of a user's notes. Every note carries a
+ * fractional-index position that is unique across all of the user's notes, so any
+ * list filtered from them and sorted by position shows the user's order, and moving
+ * a note rewrites only that note.
+ *
+ * Uniqueness is enforced by the (userId, position) index: when two concurrent writes
+ * pick the same key, the loser is retried with a freshly computed position.
+ */
+
+const { generateKeyBetween } = require('./fractionalIndex');
+const { BadRequestError, ConflictError, NotFoundError } = require('./errors');
+
+// Attempts of a write whose position keeps being taken by concurrent writes
+const POSITION_WRITE_ATTEMPTS = 3;
+
+// Whether a Prisma error is a clash on the (userId, position) unique index
+function isPositionConflict(err) {
+  return Boolean(err) && err.code === 'P2002' && String(err.meta && err.meta.target).includes('position');
+}
+
+/**
+ * Run a write that places notes, retrying when a concurrent write took the same position
+ * @param {Function} write - async () => result; must compute its positions afresh on every call
+ *   (e.g. a whole transaction that calls topPosition or positionBetween)
+ * @returns {Promise<*>} The result of write
+ * @throws {ConflictError} POSITION_CONFLICT when every attempt clashed
+ */
+async function withPositionRetry(write) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await write();
+    } catch (err) {
+      if (!isPositionConflict(err)) throw err;
+      if (attempt >= POSITION_WRITE_ATTEMPTS) {
+        throw new ConflictError('Another change moved your notes at the same time, please try again', { code: 'POSITION_CONFLICT' });
+      }
+    }
+  }
+}
+
+/**
+ * Position placing a new note above all of the user's notes
+ * @param {Object} client - Prisma client or transaction
+ * @param {string} userId
+ * @returns {Promise<string>}
+ */
+async function topPosition(client, userId) {
+  const first = await client.note.findFirst({
+    where: { userId },
+    orderBy: { position: 'asc' },
+    select: { position: true }
+  });
+  return generateKeyBetween(null, first ? first.position : null);
+}
+
+/**
+ * Position placing a note right after one note and/or right before another
+ * With only one neighbour given, the other side is the next note of the user in position order.
+ * @param {Object} client - Prisma client or transaction
+ * @param {string} userId
+ * @param {string} noteId - The note being moved (ignored as a neighbour)
+ * @param {Object} neighbours
+ * @param {string|null} [neighbours.afterId] - Note that should come right before the moved note
+ * @param {string|null} [neighbours.beforeId] - Note that should come right after the moved note
+ * @returns {Promise<string>}
+ * @throws {NotFoundError|BadRequestError} When a neighbour is missing or they are in the wrong order
+ */
+async function positionBetween(client, userId, noteId, { afterId, beforeId }) {
+  const neighbour = async (id) => {
+    const note = await client.note.findFirst({ where: { id, userId }, select: { position: true } });
+    if (!note) throw new NotFoundError('Neighbouring note not found', { code: 'NOTE_NOT_FOUND' });
+    return note.position;
+  };
+  // Closest position on one side of a key, skipping the note being moved
+  const closest = async (key, side) => {
+    const note = await client.note.findFirst({
+      where: { userId, id: { not: noteId }, position: { [side === 'after' ? 'gt' : 'lt']: key } },
+      orderBy: { position: side === 'after' ? 'asc' : 'desc' },
+      select: { position: true }
+    });
+    return note ? note.position : null;
+  };
+
+  let lower = afterId ? await neighbour(afterId) : null;
+  let upper = beforeId ? await neighbour(beforeId) : null;
+  if (afterId && !beforeId) upper = await closest(lower, 'after');
+  if (beforeId && !afterId) lower = await closest(upper, 'before');
+
+  if (lower !== null && upper !== null && lower >= upper) {
+    throw new BadRequestError('afterId must come before beforeId', { code: 'INVALID_POSITION' });
+  }
+  return generateKeyBetween(lower, upper);
+}
+
+module.exports = {
+  topPosition,
+  positionBetween,
+  withPositionRetry
+};
@@ -0,0 +1,55 @@
+/**
+ * Note Status Rules
+ * Allowed status transitions, shared by the single-note routes and batch endpoints
+ */
+
+// action -> statuses a note may be in, the status it moves to, and the 404 message
+const STATUS_TRANSITIONS = {
+  archive: { from: ['ACTIVE'], to: 'ARCHIVED', notFound: 'Active note not found' },
+  unarchive: { from: ['ARCHIVED'], to: 'ACTIVE', notFound: 'Archived note not found' },
+  trash: { from: ['ACTIVE', 'ARCHIVED'], to: 'TRASH', notFound: 'Note not found or already trashed' },
+  restore: { from: ['TRASH'], to: 'ACTIVE', notFound: 'Trashed note not found' }
+};
+
+// Default number of days a trashed note is kept before the purge job deletes it
+const DEFAULT_TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS || '30');
+
+/**
+ * Prisma data for moving a note to a new status
+ * trashedAt records when a note entered the trash (updatedAt changes on edits)
+ * @param {string} toStatus - Target status
+ * @returns {{ status: string, trashedAt: Date|null }}
+ */
+function statusData(toStatus) {
+  return { status: toStatus, trashedAt: toStatus === 'TRASH' ? new Date() : null };
+}
+
+/**
+ * Resolve a user's trash retention period
+ * @param {Object} user - User with an optional trashRetentionDays field
+ * @returns {number} Days to keep trashed notes (0 disables automatic purging)
+ */
+function retentionDaysFor(user) {
+  return user && user.trashRetentionDays !== null && user.trashRetentionDays !== undefined
+    ? user.trashRetentionDays
+    : DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+/**
+ * Compute when a trashed note will be purged
+ * @param {Object} note - Note with a trashedAt field
+ * @param {number} retentionDays
+ * @returns {Date|null} null when purging is disabled or the note is not trashed
+ */
+function purgeDate(note, retentionDays) {
+  if (!note.trashedAt || retentionDays <= 0) return null;
+  return new Date(note.trashedAt.getTime() + retentionDays * 24 * 60 * 60 * 1000);
+}
+
+module.exports = {
+  STATUS_TRANSITIONS,
+  DEFAULT_TRASH_RETENTION_DAYS,
+  statusData,
+  retentionDaysFor,
+  purgeDate
+};
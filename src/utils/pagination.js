@@ -0,0 +1,156 @@
+/**
+ * Cursor Pagination Utilities
+ * Keyset pagination for note listings. Pages are ordered by the sort field (after any
+ * leading keys such as pinned) with the note id as tie-breaker, and the cursor
+ * remembers the last row of the previous page, so edits made while a client pages
+ * through a list never shift or repeat rows the way offsets do.
+ */
+
+const { BadRequestError } = require('./errors');
+
+// Fields a listing may be sorted by
+const SORT_FIELDS = ['updatedAt', 'createdAt', 'title', 'position'];
+const SORT_ORDERS = ['asc', 'desc'];
+
+// Fields whose values must be revived when a cursor is decoded (dueAt orders the upcoming and overdue views)
+const DATE_FIELDS = new Set(['updatedAt', 'createdAt', 'dueAt']);
+const BOOLEAN_FIELDS = new Set(['pinned']);
+
+// Full ordering of a page: optional leading keys, the requested sort, then the id as tie-breaker
+function sortKeys(sort, leading) {
+  return [...leading, sort, { field: 'id', order: sort.order }];
+}
+
+/**
+ * Encode the position after a row as an opaque cursor
+ * The ordering is part of the cursor so it cannot be replayed against a different one.
+ * @param {Object} row - Last row of the page
+ * @param {Array<{ field: string, order: string }>} keys - Full ordering (see sortKeys)
+ * @returns {string}
+ */
+function encodeCursor(row, keys) {
+  const values = keys.map(({ field }) => (row[field] instanceof Date ? row[field].toISOString() : row[field]));
+  const ordering = keys.map(({ field, order }) => `${field}:${order}`).join(',');
+  return Buffer.from(JSON.stringify({ s: ordering, v: values })).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor for the same ordering
+ * @param {string} cursor
+ * @param {Array<{ field: string, order: string }>} keys
+ * @returns {Array<*>|null} One value per key; null when the cursor is malformed or was made for another ordering
+ */
+function decodeCursor(cursor, keys) {
+  try {
+    const { s, v } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (s !== keys.map(({ field, order }) => `${field}:${order}`).join(',')) return null;
+    if (!Array.isArray(v) || v.length !== keys.length) return null;
+    const values = keys.map(({ field }, i) => {
+      if (BOOLEAN_FIELDS.has(field)) return typeof v[i] === 'boolean' ? v[i] : undefined;
+      if (typeof v[i] !== 'string') return undefined;
+      if (!DATE_FIELDS.has(field)) return v[i];
+      const date = new Date(v[i]);
+      return isNaN(date.getTime()) ? undefined : date;
+    });
+    return values.includes(undefined) ? null : values;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Prisma condition for "field comes after value" in the given order (null if nothing can)
+function afterCondition(field, order, value) {
+  if (BOOLEAN_FIELDS.has(field)) {
+    // Booleans only support equality: false < true
+    const next = order === 'desc' ? (value ? false : null) : (value ? null : true);
+    return next === null ? null : { [field]: next };
+  }
+  return { [field]: { [order === 'desc' ? 'lt' : 'gt']: value } };
+}
+
+/**
+ * Build the Prisma arguments for one page of a keyset-paginated listing
+ * @param {Object} where - Filters of the listing; left untouched
+ * @param {Object} query - Validated query: sort, order, limit and optional cursor
+ * @param {Object} [options]
+ * @param {Array<{ field: string, order: string }>} [options.leading] - Keys ordered before the requested sort (e.g. pinned first)
+ * @returns {{ where: Object, orderBy: Array, take: number, keys: Array, limit: number }}
+ * @throws {BadRequestError} When the cursor is invalid
+ */
+function cursorPage(where, { sort = 'updatedAt', order = 'desc', limit, cursor }, { leading = [] } = {}) {
+  const keys = sortKeys({ field: sort, order }, leading);
+  const pageWhere = { ...where };
+
+  if (cursor) {
+    const values = decodeCursor(cursor, keys);
+    if (!values) throw new BadRequestError('Invalid cursor', { code: 'INVALID_CURSOR' });
+    // Rows strictly after the cursor: equal on the first i keys and after it on key i
+    const branches = [];
+    keys.forEach(({ field, order: keyOrder }, i) => {
+      const after = afterCondition(field, keyOrder, values[i]);
+      if (!after) return;
+      const equal = Object.fromEntries(keys.slice(0, i).map((key, j) => [key.field, values[j]]));
+      branches.push({ ...equal, ...after });
+    });
+    pageWhere.AND = [...(where.AND || []), { OR: branches }];
+  }
+
+  return {
+    where: pageWhere,
+    orderBy: keys.map(({ field, order: keyOrder }) => ({ [field]: keyOrder })),
+    // One extra row tells whether another page follows
+    take: limit + 1,
+    keys,
+    limit
+  };
+}
+
+/**
+ * Trim the extra row fetched by cursorPage and describe the page
+ * @param {Array<Object>} rows - Rows returned for cursorPage's arguments
+ * @param {{ keys: Array, limit: number }} page - Result of cursorPage
+ * @returns {{ items: Array<Object>, pagination: { limit: number, sort: string, order: string, hasMore: boolean, nextCursor: string|null } }}
+ */
+function pageResult(rows, { keys, limit }) {
+  const hasMore = rows.length > limit;
+  const items = hasMore ? rows.slice(0, limit) : rows;
+  const sort = keys[keys.length - 2];
+  return {
+    items,
+    pagination: {
+      limit,
+      sort: sort.field,
+      order: sort.order,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(items[items.length - 1], keys) : null
+    }
+  };
+}
+
+/**
+ * Set an RFC 8288 Link header pointing to the first and (if any) next page
+ * The current request URL is reused with only the cursor swapped, so every filter carries over.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string|null} nextCursor
+ */
+function setLinkHeader(req, res, nextCursor) {
+  const url = new URL(req.originalUrl, `${req.protocol}://${req.get('host')}`);
+  url.searchParams.delete('cursor');
+  const links = [`<${url}>; rel="first"`];
+  if (nextCursor) {
+    url.searchParams.set('cursor', nextCursor);
+    links.push(`<${url}>; rel="next"`);
+  }
+  res.set('Link', links.join(', '));
+}
+
+module.exports = {
+  SORT_FIELDS,
+  SORT_ORDERS,
+  encodeCursor,
+  decodeCursor,
+  cursorPage,
+  pageResult,
+  setLinkHeader
+};
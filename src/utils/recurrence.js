@@ -0,0 +1,109 @@
+/**
+ * Reminder Recurrence Rules
+ * A small subset of iCalendar RRULE (RFC 5545) for repeating note reminders:
+ *   FREQ=DAILY|WEEKLY|MONTHLY|YEARLY   (required)
+ *   INTERVAL=n                         (every n periods, default 1)
+ *   UNTIL=20271231 or 20271231T090000Z (last date an occurrence may fall on)
+ * e.g. "FREQ=WEEKLY;INTERVAL=2". Occurrences keep the time of day of the first one in
+ * UTC; monthly and yearly ones are clamped to the last day of shorter months.
+ */
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const MAX_INTERVAL = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Length of the fixed-size periods, used to jump over missed occurrences
+const PERIOD_MS = { DAILY: DAY_MS, WEEKLY: 7 * DAY_MS };
+
+const UNTIL_PATTERN = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/;
+
+// Parse an UNTIL value; a bare date lasts until the end of that day (UTC)
+function parseUntil(value) {
+  const match = UNTIL_PATTERN.exec(value);
+  if (!match) return null;
+  const [, year, month, day, hours = '23', minutes = '59', seconds = '59'] = match;
+  const date = new Date(Date.UTC(+year, +month - 1, +day, +hours, +minutes, +seconds));
+  return date.getUTCDate() === +day ? date : null;
+}
+
+// Format a date as an UTC iCalendar date-time (20271231T090000Z)
+function formatUntil(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Parse a recurrence rule
+ * @param {string} rule - e.g. "FREQ=DAILY;INTERVAL=2" (an "RRULE:" prefix and any letter case are accepted)
+ * @returns {{ freq: string, interval: number, until: Date|null }|null} null when the rule is not valid
+ */
+function parseRecurrence(rule) {
+  if (typeof rule !== 'string') return null;
+  const parts = {};
+  for (const part of rule.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+    const [key, value, extra] = part.split('=');
+    if (!key || !value || extra !== undefined || parts[key.toUpperCase()] !== undefined) return null;
+    parts[key.toUpperCase()] = value.toUpperCase();
+  }
+  const { FREQ, INTERVAL = '1', UNTIL, ...unsupported } = parts;
+  if (Object.keys(unsupported).length || !FREQUENCIES.includes(FREQ)) return null;
+  if (!/^\d+$/.test(INTERVAL) || +INTERVAL < 1 || +INTERVAL > MAX_INTERVAL) return null;
+  const until = UNTIL === undefined ? null : parseUntil(UNTIL);
+  if (UNTIL !== undefined && !until) return null;
+  return { freq: FREQ, interval: +INTERVAL, until };
+}
+
+/**
+ * Canonical form of a recurrence rule, as stored on the note
+ * @param {string} rule
+ * @returns {string|null} null when the rule is not valid
+ */
+function normalizeRecurrence(rule) {
+  const parsed = parseRecurrence(rule);
+  if (!parsed) return null;
+  return [
+    `FREQ=${parsed.freq}`,
+    ...(parsed.interval > 1 ? [`INTERVAL=${parsed.interval}`] : []),
+    ...(parsed.until ? [`UNTIL=${formatUntil(parsed.until)}`] : [])
+  ].join(';');
+}
+
+// Move a date forward by a number of periods
+function addPeriods(date, freq, count) {
+  if (PERIOD_MS[freq]) return new Date(date.getTime() + count * PERIOD_MS[freq]);
+  const months = freq === 'MONTHLY' ? count : count * 12;
+  const target = new Date(date.getTime());
+  target.setUTCDate(1);
+  target.setUTCMonth(target.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(date.getUTCDate(), lastDay));
+  return target;
+}
+
+/**
+ * First occurrence of a series that falls after a moment
+ * Occurrences missed while the server was down are skipped rather than fired one by one.
+ * @param {string} rule - Recurrence rule
+ * @param {Date} from - An occurrence of the series (usually the one that just fired)
+ * @param {Date} [after=new Date()] - The result is strictly later than this
+ * @returns {Date|null} null when the rule is not valid or the series has ended (UNTIL)
+ */
+function nextOccurrence(rule, from, after = new Date()) {
+  const parsed = parseRecurrence(rule);
+  if (!parsed) return null;
+  const { freq, interval, until } = parsed;
+  let steps = 1;
+  if (PERIOD_MS[freq] && after > from) {
+    steps = Math.floor((after - from) / (PERIOD_MS[freq] * interval)) + 1;
+  }
+  let next = addPeriods(from, freq, steps * interval);
+  while (next <= after) {
+    steps += 1;
+    next = addPeriods(from, freq, steps * interval);
+  }
+  return until && next > until ? null : next;
+}
+
+module.exports = {
+  parseRecurrence,
+  normalizeRecurrence,
+  nextOccurrence
+};
@@ -0,0 +1,68 @@
+/**
+ * Note Revision Utilities
+ * Snapshots a note's text before it is overwritten and prunes old snapshots
+ */
+
+// Retention policy: keep at most N revisions per note and drop revisions older
+// than the given number of days (0 disables the respective limit)
+const REVISION_MAX_COUNT = parseInt(process.env.NOTE_REVISION_MAX_COUNT || '50');
+const REVISION_MAX_AGE_DAYS = parseInt(process.env.NOTE_REVISION_MAX_AGE_DAYS || '0');
+
+/**
+ * Store the text a note had before an update as its next immutable revision
+ * Must be called with a transaction client, together with the version-guarded update of
+ * the note. The note row stays locked until the transaction ends, so concurrent writes to
+ * one note take their revision numbers one after the other.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} note - The note as read before the update
+ * @returns {Promise<Object>} The created revision
+ */
+async function recordRevision(tx, note) {
+  await tx.$queryRaw`SELECT id FROM "Note" WHERE id = ${note.id} FOR UPDATE`;
+  const latest = await tx.noteRevision.findFirst({
+    where: { noteId: note.id },
+    orderBy: { revision: 'desc' },
+    select: { revision: true }
+  });
+
+  const revision = await tx.noteRevision.create({
+    data: {
+      noteId: note.id,
+      revision: latest ? latest.revision + 1 : 1,
+      title: note.title,
+      content: note.content
+    }
+  });
+
+  await pruneRevisions(tx, note.id);
+  return revision;
+}
+
+/**
+ * Apply the retention policy to a note's revisions
+ * @param {Object} tx - Prisma client or transaction client
+ * @param {string} noteId
+ */
+async function pruneRevisions(tx, noteId) {
+  if (REVISION_MAX_AGE_DAYS > 0) {
+    const cutoff = new Date(Date.now() - REVISION_MAX_AGE_DAYS * 24 * 60 * 60 * 1000);
+    await tx.noteRevision.deleteMany({ where: { noteId, createdAt: { lt: cutoff } } });
+  }
+
+  if (REVISION_MAX_COUNT > 0) {
+    const expired = await tx.noteRevision.findMany({
+      where: { noteId },
+      orderBy: { revision: 'desc' },
+      skip: REVISION_MAX_COUNT,
+      select: { id: true }
+    });
+    if (expired.length) {
+      await tx.noteRevision.deleteMany({ where: { id: { in: expired.map(r => r.id) } } });
+    }
+  }
+}
+
+module.exports = {
+  recordRevision,
+  pruneRevisions
+};
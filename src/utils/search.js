@@ -0,0 +1,88 @@
+/**
+ * Full-Text Search Utilities
+ * Translates the user-facing search syntax into a Postgres tsquery string
+ *
+ * Supported syntax:
+ *   word            - notes containing the word (stemmed)
+ *   "some phrase"   - words appearing next to each other in that order
+ *   pre*            - words starting with the prefix
+ *   -word / -"a b"  - exclude notes matching the word or phrase
+ * Terms are combined with AND.
+ */
+
+// Token: optional leading "-", then a quoted phrase or a bare word
+const TOKEN_REGEX = /(-?)(?:"([^"]*)"?|(\S+))/g;
+
+// ts_headline marks matches with these control characters (removed from the note text
+// beforehand); headlineHtml turns them into <mark> once the text itself is escaped
+const MARK_START = '\u0002';
+const MARK_STOP = '\u0003';
+const HEADLINE_MARKERS = MARK_START + MARK_STOP;
+const HEADLINE_OPTIONS = {
+  title: `HighlightAll=true, StartSel=${MARK_START}, StopSel=${MARK_STOP}`,
+  snippet: `StartSel=${MARK_START}, StopSel=${MARK_STOP}, MaxFragments=2, MaxWords=30, MinWords=10`
+};
+
+// Split a raw term into lexeme-safe words (letters and digits only)
+function words(text) {
+  return text.match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Build a to_tsquery() compatible expression from a search string
+ * @param {string} input - Raw search string from the client
+ * @returns {string|null} The tsquery expression, or null if nothing searchable remains
+ */
+function buildTsQuery(input) {
+  if (typeof input !== 'string') return null;
+
+  const parts = [];
+  for (const match of input.matchAll(TOKEN_REGEX)) {
+    const negate = match[1] === '-';
+    const phrase = match[2];
+    const bare = match[3];
+
+    let expr;
+    if (phrase !== undefined) {
+      const list = words(phrase);
+      if (!list.length) continue;
+      expr = list.join(' <-> ');
+    } else {
+      const prefix = bare.endsWith('*');
+      const list = words(bare);
+      if (!list.length) continue;
+      if (prefix) list[list.length - 1] += ':*';
+      expr = list.join(' <-> ');
+    }
+
+    if (expr.includes(' ')) expr = `(${expr})`;
+    parts.push(negate ? `!${expr}` : expr);
+  }
+
+  return parts.length ? parts.join(' & ') : null;
+}
+
+/**
+ * Turn a ts_headline result built with HEADLINE_OPTIONS into safe HTML
+ * Everything from the note is escaped; only the <mark> elements around matches are markup.
+ * @param {string|null} headline
+ * @returns {string|null}
+ */
+function headlineHtml(headline) {
+  if (typeof headline !== 'string') return headline;
+  return headline
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+    .split(MARK_START).join('<mark>')
+    .split(MARK_STOP).join('</mark>');
+}
+
+module.exports = {
+  HEADLINE_MARKERS,
+  HEADLINE_OPTIONS,
+  buildTsQuery,
+  headlineHtml
+};
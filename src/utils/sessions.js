@@ -0,0 +1,171 @@
+/**
+ * Session Utilities
+ * Server-side sessions backing the short-lived access tokens.
+ *
+ * Each login creates one Session row (a refresh token "family"). The refresh
+ * token handed to the client has the form `<sessionId>.<secret>` and only the
+ * hash of the current secret is stored. Every refresh rotates the secret and keeps
+ * the hash of the one it replaced; if that previous secret is presented again, the
+ * token has been replayed and the whole session is revoked. Any other wrong secret
+ * is simply rejected, so knowing a session id (it is inside every access token) is
+ * not enough to sign someone out.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { generateToken, generateSecret, hashToken } = require('./auth');
+const { UnauthorizedError } = require('./errors');
+
+const prisma = new PrismaClient();
+
+// Refresh tokens stay valid for this many days after their last use
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30');
+
+/**
+ * Build the 401 error for a refresh token that cannot be used
+ * @param {string} message - Error message safe to return to the client
+ * @param {string} [code='INVALID_REFRESH_TOKEN']
+ * @returns {UnauthorizedError}
+ */
+function sessionError(message, code = 'INVALID_REFRESH_TOKEN') {
+  return new UnauthorizedError(message, { code });
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Split a refresh token into its session id and secret parts
+ * @param {string} refreshToken
+ * @returns {{ sessionId: string, secret: string } | null}
+ */
+function parseRefreshToken(refreshToken) {
+  if (typeof refreshToken !== 'string') return null;
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!sessionId || !secret) return null;
+  return { sessionId, secret };
+}
+
+/**
+ * Start a new session for a user and issue its first token pair
+ * @param {Object} user - User object containing id, email and deletionScheduledAt
+ * @param {Object} req - Express request (used for user agent and IP)
+ * @returns {Promise<{ token: string, refreshToken: string, sessionId: string }>}
+ */
+async function createSession(user, req) {
+  // Signing in during the deletion grace period cancels the scheduled deletion
+  if (user.deletionScheduledAt) {
+    await prisma.user.update({ where: { id: user.id }, data: { deletionScheduledAt: null } });
+  }
+
+  const secret = generateSecret();
+  const session = await prisma.session.create({
+    data: {
+      userId: user.id,
+      refreshTokenHash: hashToken(secret),
+      userAgent: req.get('user-agent') || null,
+      ipAddress: req.ip || null,
+      expiresAt: refreshExpiry()
+    }
+  });
+
+  return {
+    token: generateToken(user, session.id),
+    refreshToken: `${session.id}.${secret}`,
+    sessionId: session.id
+  };
+}
+
+/**
+ * Exchange a refresh token for a new token pair (rotation)
+ * Presenting the refresh token that was just rotated away revokes the whole session.
+ * @param {string} refreshToken - The refresh token sent by the client
+ * @returns {Promise<{ user: Object, token: string, refreshToken: string, sessionId: string }>}
+ * @throws {Error} With status 401 if the token is invalid, expired, revoked or reused
+ */
+async function rotateSession(refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) throw sessionError('Invalid refresh token');
+
+  const session = await prisma.session.findUnique({
+    where: { id: parsed.sessionId },
+    include: { user: { select: { id: true, email: true, name: true, createdAt: true } } }
+  });
+  if (!session) throw sessionError('Invalid refresh token');
+  if (session.revokedAt) throw sessionError('Session has been revoked. Please login again.', 'SESSION_REVOKED');
+  if (session.expiresAt < new Date()) throw sessionError('Session expired. Please login again.', 'SESSION_EXPIRED');
+
+  const presentedHash = hashToken(parsed.secret);
+  const secret = generateSecret();
+
+  // Only rotate if the presented secret is still the current one; a concurrent
+  // or replayed use of the same secret will match zero rows
+  const result = await prisma.session.updateMany({
+    where: { id: session.id, refreshTokenHash: presentedHash, revokedAt: null },
+    data: {
+      refreshTokenHash: hashToken(secret),
+      previousRefreshTokenHash: presentedHash,
+      expiresAt: refreshExpiry(),
+      lastUsedAt: new Date()
+    }
+  });
+
+  if (result.count === 0) {
+    // Re-read: a concurrent rotation may have just made the presented secret the previous one
+    const current = await prisma.session.findUnique({
+      where: { id: session.id },
+      select: { previousRefreshTokenHash: true }
+    });
+    if (!current || current.previousRefreshTokenHash !== presentedHash) {
+      throw sessionError('Invalid refresh token');
+    }
+    await revokeSession(session.id, 'REFRESH_TOKEN_REUSE');
+    throw sessionError('Refresh token reuse detected. Session has been revoked.', 'REFRESH_TOKEN_REUSE');
+  }
+
+  return {
+    user: session.user,
+    token: generateToken(session.user, session.id),
+    refreshToken: `${session.id}.${secret}`,
+    sessionId: session.id
+  };
+}
+
+/**
+ * Revoke a single session so its access and refresh tokens stop working
+ * @param {string} sessionId
+ * @param {string} [reason='LOGOUT']
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeSession(sessionId, reason = 'LOGOUT') {
+  const result = await prisma.session.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason }
+  });
+  return result.count;
+}
+
+/**
+ * Revoke every active session of a user, optionally keeping one
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {string} [options.exceptSessionId] - Session to leave untouched
+ * @param {string} [options.reason='LOGOUT_ALL']
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeUserSessions(userId, { exceptSessionId, reason = 'LOGOUT_ALL' } = {}) {
+  const where = { userId, revokedAt: null };
+  if (exceptSessionId) where.id = { not: exceptSessionId };
+  const result = await prisma.session.updateMany({
+    where,
+    data: { revokedAt: new Date(), revokedReason: reason }
+  });
+  return result.count;
+}
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions
+};
@@ -0,0 +1,125 @@
+/**
+ * TOTP Utilities (RFC 6238 / RFC 4226)
+ * Time-based one-time passwords compatible with Google Authenticator, Authy, 1Password etc.
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const PERIOD_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Encode bytes as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+/**
+ * Decode RFC 4648 base32 (case-insensitive, padding and spaces ignored)
+ * @param {string} input
+ * @returns {Buffer}
+ */
+function base32Decode(input) {
+  const clean = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} Base32 secret (160 bits)
+ */
+function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+// HOTP value for a counter
+function hotp(secret, counter) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(code).padStart(DIGITS, '0');
+}
+
+/**
+ * Current time step
+ * @param {number} [now=Date.now()]
+ * @returns {number}
+ */
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / PERIOD_SECONDS);
+}
+
+/**
+ * Check a TOTP code, allowing one step of clock drift either way
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {number} [now=Date.now()]
+ * @returns {number|null} The matching time step, or null if the code is wrong
+ */
+function verifyTotp(secret, code, now = Date.now()) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+  const step = currentStep(now);
+  for (const candidate of [step - 1, step, step + 1]) {
+    const expected = hotp(secret, candidate);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) return candidate;
+  }
+  return null;
+}
+
+/**
+ * Build the otpauth:// URI that authenticator apps import (usually via QR code)
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Usually the user's email
+ * @param {string} issuer - App name shown in the authenticator
+ * @returns {string}
+ */
+function buildOtpauthUri(secret, accountName, issuer) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  currentStep
+};
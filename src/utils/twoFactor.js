@@ -0,0 +1,126 @@
+/**
+ * Two-Factor Authentication Utilities
+ * Stores TOTP secrets encrypted at rest, checks codes with replay protection,
+ * and manages hashed single-use recovery codes
+ */
+
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { verifyTotp } = require('./totp');
+const { hashToken } = require('./auth');
+
+const prisma = new PrismaClient();
+
+const RECOVERY_CODE_COUNT = 10;
+
+// AES-256-GCM key for TOTP secrets (falls back to a key derived from JWT_SECRET)
+const ENCRYPTION_KEY = crypto
+  .createHash('sha256')
+  .update(process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET || 'fallback-secret-key-123')
+  .digest();
+
+/**
+ * Encrypt a TOTP secret for storage
+ * @param {string} secret - Base32 secret
+ * @returns {string} iv.tag.ciphertext (base64url parts)
+ */
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(b => b.toString('base64url')).join('.');
+}
+
+/**
+ * Decrypt a stored TOTP secret
+ * @param {string} stored - Output of encryptSecret
+ * @returns {string} Base32 secret
+ */
+function decryptSecret(stored) {
+  const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Check a TOTP code against a user's secret; each time step can only be used once
+ * @param {Object} user - User with totpSecret and totpLastUsedStep
+ * @param {string} code
+ * @returns {Promise<boolean>}
+ */
+async function verifyUserTotp(user, code) {
+  if (!user.totpSecret) return false;
+  const step = verifyTotp(decryptSecret(user.totpSecret), code);
+  if (step === null) return false;
+
+  // Conditional update rejects a code whose step was already used (replay)
+  const result = await prisma.user.updateMany({
+    where: {
+      id: user.id,
+      OR: [{ totpLastUsedStep: null }, { totpLastUsedStep: { lt: step } }]
+    },
+    data: { totpLastUsedStep: step }
+  });
+  return result.count === 1;
+}
+
+// Recovery codes are compared case-insensitively and without dashes
+function normalizeRecoveryCode(code) {
+  return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Replace a user's recovery codes with a fresh set
+ * @param {string} userId
+ * @returns {Promise<string[]>} Plain codes, shown to the user once
+ */
+async function createRecoveryCodes(userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex').toUpperCase();
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  await prisma.$transaction([
+    prisma.recoveryCode.deleteMany({ where: { userId } }),
+    prisma.recoveryCode.createMany({
+      data: codes.map(code => ({ userId, codeHash: hashToken(normalizeRecoveryCode(code)) }))
+    })
+  ]);
+  return codes;
+}
+
+/**
+ * Use up a recovery code
+ * @param {string} userId
+ * @param {string} code
+ * @returns {Promise<boolean>} True if the code was valid and unused
+ */
+async function consumeRecoveryCode(userId, code) {
+  const normalized = normalizeRecoveryCode(code);
+  if (!normalized) return false;
+  const result = await prisma.recoveryCode.updateMany({
+    where: { userId, codeHash: hashToken(normalized), usedAt: null },
+    data: { usedAt: new Date() }
+  });
+  return result.count === 1;
+}
+
+/**
+ * Check a second factor: either a TOTP code or a recovery code
+ * @param {Object} user - User with TOTP fields
+ * @param {{ code?: string, recoveryCode?: string }} input
+ * @returns {Promise<boolean>}
+ */
+async function verifySecondFactor(user, { code, recoveryCode }) {
+  if (code) return verifyUserTotp(user, code);
+  if (recoveryCode) return consumeRecoveryCode(user.id, recoveryCode);
+  return false;
+}
+
+module.exports = {
+  encryptSecret,
+  decryptSecret,
+  verifyUserTotp,
+  createRecoveryCodes,
+  verifySecondFactor
+};
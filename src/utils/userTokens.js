@@ -0,0 +1,61 @@
+/**
+ * User Token Utilities
+ * Single-use, expiring tokens sent by email (password reset, email verification).
+ * Only the SHA-256 hash of a token is stored.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { generateSecret, hashToken } = require('./auth');
+
+const prisma = new PrismaClient();
+
+/**
+ * Issue a new token, invalidating any unused token of the same type for the user
+ * @param {string} userId
+ * @param {'PASSWORD_RESET'|'EMAIL_VERIFICATION'|'EMAIL_CHANGE'} type
+ * @param {number} ttlMinutes - Lifetime of the token
+ * @returns {Promise<string>} The plain token (to be emailed, never stored)
+ */
+async function issueUserToken(userId, type, ttlMinutes) {
+  const token = generateSecret();
+  await prisma.$transaction([
+    prisma.userToken.updateMany({
+      where: { userId, type, usedAt: null },
+      data: { usedAt: new Date() }
+    }),
+    prisma.userToken.create({
+      data: {
+        userId,
+        type,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+      }
+    })
+  ]);
+  return token;
+}
+
+/**
+ * Consume a token: succeeds at most once, and only before it expires
+ * @param {string} token - Plain token from the email link
+ * @param {'PASSWORD_RESET'|'EMAIL_VERIFICATION'|'EMAIL_CHANGE'} type
+ * @returns {Promise<Object|null>} The token row (with userId) or null if invalid, used or expired
+ */
+async function consumeUserToken(token, type) {
+  if (typeof token !== 'string' || !token) return null;
+  const tokenHash = hashToken(token);
+
+  // Conditional update so two concurrent requests cannot both use the token
+  const result = await prisma.userToken.updateMany({
+    where: { tokenHash, type, usedAt: null, expiresAt: { gt: new Date() } },
+    data: { usedAt: new Date() }
+  });
+  if (result.count === 0) return null;
+
+  return prisma.userToken.findUnique({ where: { tokenHash } });
+}
+
+module.exports = {
+  issueUserToken,
+  consumeUserToken
+};
@@ -0,0 +1,53 @@
+/**
+ * Note Versioning Utilities
+ * Every note carries a version number that is bumped on each write and exposed
+ * as an ETag, so clients can make conditional updates (optimistic concurrency)
+ */
+
+/**
+ * Format a note's version as a strong ETag value
+ * @param {Object} note - Note with a version field
+ * @returns {string} e.g. "3"
+ */
+function formatEtag(note) {
+  return `"${note.version}"`;
+}
+
+/**
+ * Set the ETag response header for a note
+ * @param {Object} res - Express response object
+ * @param {Object} note - Note with a version field
+ */
+function setEtag(res, note) {
+  res.set('ETag', formatEtag(note));
+}
+
+/**
+ * Read the version a client expects to modify
+ * Taken from the If-Match header ("3", W/"3" or *) or a `version` body field.
+ * @param {Object} req - Express request object
+ * @returns {{ version: number|null } | { error: string }} version is null when the client sent no precondition
+ */
+function readExpectedVersion(req) {
+  const header = req.get('if-match');
+  if (header && header.trim() !== '*') {
+    const match = header.trim().match(/^(?:W\/)?"(\d+)"$/);
+    if (!match) return { error: 'If-Match must be an ETag returned by this API' };
+    return { version: parseInt(match[1]) };
+  }
+
+  const bodyVersion = req.body ? req.body.version : undefined;
+  if (bodyVersion !== undefined && bodyVersion !== null) {
+    const version = Number(bodyVersion);
+    if (!Number.isInteger(version) || version < 1) return { error: 'version must be a positive integer' };
+    return { version };
+  }
+
+  return { version: null };
+}
+
+module.exports = {
+  formatEtag,
+  setEtag,
+  readExpectedVersion
+};
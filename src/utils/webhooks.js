@@ -0,0 +1,275 @@
+/**
+ * Webhook Utilities
+ * Outgoing HTTP callbacks for note lifecycle events. Events are written to a
+ * persistent queue (WebhookDelivery rows) and sent by the delivery job
+ * (jobs/webhookDelivery.js), which retries failures with exponential backoff.
+ * Every row doubles as the delivery log and can be replayed.
+ *
+ * Each request is a POST of the JSON envelope { id, type, createdAt, data } with:
+ *   X-Noty-Event      - event type
+ *   X-Noty-Delivery   - delivery id (new for each attempt series and replay)
+ *   X-Noty-Timestamp  - unix seconds when the request was signed
+ *   X-Noty-Signature  - "sha256=" + hex HMAC-SHA256 of "<timestamp>.<body>" with the webhook secret
+ * The envelope id stays the same across replays so receivers can de-duplicate.
+ *
+ * Endpoints on loopback or private networks are refused unless WEBHOOK_ALLOW_PRIVATE_URLS
+ * is true (the default outside production, so a local receiver can be used for testing).
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { PrismaClient } = require('@prisma/client');
+const { BadRequestError } = require('./errors');
+
+const prisma = new PrismaClient();
+
+// Events a webhook can subscribe to; "ping" is only sent on request
+const WEBHOOK_EVENTS = ['note.created', 'note.updated', 'note.status_changed', 'note.deleted', 'note.reminder'];
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8');
+const REQUEST_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_SECONDS || '10') * 1000;
+// Retry delays double from the base up to the cap (30s, 1m, 2m, ... 6h)
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+// How much of a response body is kept in the delivery log
+const MAX_LOGGED_BODY = 2048;
+
+const ALLOW_PRIVATE_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS
+  ? process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true'
+  : process.env.NODE_ENV !== 'production';
+
+// Loopback, private, link-local, shared and reserved ranges
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+// Fields of a webhook returned to clients (the secret is only shown when created or rotated)
+const webhookSelect = {
+  id: true,
+  url: true,
+  events: true,
+  description: true,
+  active: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+// Fields of a delivery in listings (payload and response only in the detail view)
+const deliverySelect = {
+  id: true,
+  webhookId: true,
+  event: true,
+  status: true,
+  attempts: true,
+  nextAttemptAt: true,
+  responseStatus: true,
+  error: true,
+  replayOf: true,
+  createdAt: true,
+  completedAt: true
+};
+
+/**
+ * Generate a new signing secret
+ * @returns {string}
+ */
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+/**
+ * Signature header value for a request body
+ * @param {string} secret
+ * @param {number} timestamp - Unix seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string}
+ */
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// BlockList also matches IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) against the IPv4 ranges
+function isPrivateAddress(address) {
+  return PRIVATE_RANGES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// dns.lookup replacement that refuses private addresses, applied at connect time so
+// the checked address is the one actually used (no DNS rebinding window)
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address.map(a => a.address) : [address];
+    if (!ALLOW_PRIVATE_URLS && addresses.some(isPrivateAddress)) {
+      const error = new Error(`${hostname} resolves to a private address`);
+      error.code = 'EPRIVATEADDRESS';
+      return callback(error);
+    }
+    callback(null, address, family);
+  });
+}
+
+/**
+ * Check that a URL may be registered as a webhook endpoint
+ * @param {string} url - http(s) URL (already syntax-checked by the validator)
+ * @throws {BadRequestError} INVALID_WEBHOOK_URL when the host is unknown or private
+ */
+async function assertDeliverableUrl(url) {
+  const { hostname } = new URL(url);
+  const host = hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [host] : (await dns.promises.lookup(host, { all: true })).map(a => a.address);
+  } catch (err) {
+    throw new BadRequestError(`Could not resolve ${host}`, { code: 'INVALID_WEBHOOK_URL' });
+  }
+  if (!ALLOW_PRIVATE_URLS && addresses.some(isPrivateAddress)) {
+    throw new BadRequestError('Webhook URLs must not point to a private network', { code: 'INVALID_WEBHOOK_URL' });
+  }
+}
+
+// POST a body and resolve with the response status and the start of its body; redirects are not followed
+function postJson(url, body, headers) {
+  return new Promise((resolve, reject) => {
+    // IP literals never go through the lookup, so they are checked here
+    const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    if (!ALLOW_PRIVATE_URLS && net.isIP(host) && isPrivateAddress(host)) {
+      return reject(new Error(`${host} is a private address`));
+    }
+    const client = url.startsWith('https:') ? https : http;
+    const req = client.request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+      lookup: safeLookup,
+      timeout: REQUEST_TIMEOUT_MS
+    }, (res) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        if (text.length < MAX_LOGGED_BODY) text += chunk;
+      });
+      res.on('end', () => resolve({ status: res.statusCode, body: text.slice(0, MAX_LOGGED_BODY) }));
+      res.on('error', reject);
+    });
+    req.on('timeout', () => req.destroy(new Error(`Timed out after ${REQUEST_TIMEOUT_MS / 1000}s`)));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/**
+ * Delay before the next attempt after a failed one
+ * @param {number} attempts - Attempts made so far (>= 1)
+ * @returns {number} Milliseconds, with +/-20% jitter so retries do not arrive in bursts
+ */
+function retryDelay(attempts) {
+  const delay = Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Make one delivery attempt and record its outcome
+ * The caller must hold the delivery (see jobs/webhookDelivery.js); a failure schedules
+ * the next attempt or, after WEBHOOK_MAX_ATTEMPTS, marks the delivery as failed.
+ * @param {Object} delivery - WebhookDelivery row including its webhook
+ * @returns {Promise<Object>} The updated delivery (deliverySelect)
+ */
+async function attemptDelivery(delivery) {
+  const { webhook } = delivery;
+  const attempts = delivery.attempts + 1;
+  let outcome;
+
+  if (!webhook.active) {
+    outcome = { error: 'Webhook is disabled' };
+  } else {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    try {
+      const response = await postJson(webhook.url, body, {
+        'User-Agent': 'NOTY-Webhooks/1.0',
+        'X-Noty-Event': delivery.event,
+        'X-Noty-Delivery': delivery.id,
+        'X-Noty-Timestamp': String(timestamp),
+        'X-Noty-Signature': signPayload(webhook.secret, timestamp, body)
+      });
+      outcome = {
+        responseStatus: response.status,
+        responseBody: response.body,
+        error: response.status >= 200 && response.status < 300 ? null : `Endpoint responded with ${response.status}`
+      };
+    } catch (err) {
+      outcome = { error: err.message };
+    }
+  }
+
+  const succeeded = outcome.error === null;
+  const finished = succeeded || attempts >= MAX_ATTEMPTS || !webhook.active;
+  return prisma.webhookDelivery.update({
+    where: { id: delivery.id },
+    data: {
+      attempts,
+      responseStatus: outcome.responseStatus || null,
+      responseBody: outcome.responseBody || null,
+      error: outcome.error,
+      status: succeeded ? 'SUCCEEDED' : (finished ? 'FAILED' : 'PENDING'),
+      nextAttemptAt: finished ? null : new Date(Date.now() + retryDelay(attempts)),
+      completedAt: finished ? new Date() : null,
+      lockedUntil: null
+    },
+    select: deliverySelect
+  });
+}
+
+/**
+ * Build the envelope sent for an event
+ * @param {string} type
+ * @param {Object} data
+ * @returns {{ id: string, type: string, createdAt: string, data: Object }}
+ */
+function eventEnvelope(type, data) {
+  return { id: `evt_${crypto.randomUUID()}`, type, createdAt: new Date().toISOString(), data };
+}
+
+/**
+ * Queue events for every active webhook of their user that subscribes to them
+ * @param {Array<{ userId: string, type: string, data: Object }>} events
+ * @param {Object} [client] - Prisma client or transaction to queue them with
+ * @returns {Promise<number>} Deliveries queued
+ */
+async function enqueueWebhookEvents(events, client = prisma) {
+  if (!events.length) return 0;
+  const webhooks = await client.webhook.findMany({
+    where: { userId: { in: [...new Set(events.map(e => e.userId))] }, active: true },
+    select: { id: true, userId: true, events: true }
+  });
+  if (!webhooks.length) return 0;
+
+  const data = [];
+  for (const { userId, type, data: eventData } of events) {
+    const subscribed = webhooks.filter(w => w.userId === userId && w.events.includes(type));
+    if (!subscribed.length) continue;
+    const payload = eventEnvelope(type, eventData);
+    subscribed.forEach(w => data.push({ webhookId: w.id, event: type, payload }));
+  }
+  if (data.length) await client.webhookDelivery.createMany({ data });
+  return data.length;
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  webhookSelect,
+  deliverySelect,
+  generateSecret,
+  signPayload,
+  assertDeliverableUrl,
+  attemptDelivery,
+  eventEnvelope,
+  enqueueWebhookEvents
+};
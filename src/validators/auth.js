@@ -0,0 +1,156 @@
+/**
+ * Auth Validation Schemas
+ * express-validator schemas for the auth router and the routers mounted under it
+ * (2fa, identities, security, account, api-keys)
+ */
+
+const { API_KEY_SCOPES } = require('../utils/apiKeys');
+const { LIMITS, id, pagination, text, email, newPassword, required } = require('./common');
+
+// A TOTP code or a recovery code must be given
+const secondFactor = {
+  code: {
+    in: ['body'],
+    custom: {
+      options: (value, { req }) => Boolean(value || req.body.recoveryCode),
+      errorMessage: 'An authentication code or recovery code is required'
+    }
+  },
+  recoveryCode: {
+    in: ['body'],
+    optional: true,
+    isString: { errorMessage: 'recoveryCode must be a string' }
+  }
+};
+
+// Password re-entered to confirm a sensitive action; accounts without a password may omit it
+const confirmPassword = {
+  password: {
+    in: ['body'],
+    optional: true,
+    isString: { errorMessage: 'Password must be a string' }
+  }
+};
+
+const register = {
+  name: text('body', 'Name', LIMITS.name),
+  email: email(),
+  password: newPassword()
+};
+
+const login = {
+  email: required('body', 'Email and password are required'),
+  password: required('body', 'Email and password are required')
+};
+
+const refresh = {
+  refreshToken: required('body', 'Refresh token is required')
+};
+
+const forgotPassword = {
+  email: email()
+};
+
+const resetPassword = {
+  token: required('body', 'Token is required'),
+  password: newPassword()
+};
+
+const emailToken = {
+  token: required('query', 'Token is required')
+};
+
+const updateProfile = {
+  name: text('body', 'Name', LIMITS.name, { optional: true }),
+  email: email({ optional: true })
+};
+
+const changePassword = {
+  currentPassword: required('body', 'Current password is required'),
+  newPassword: newPassword('New password')
+};
+
+const twoFactorCode = {
+  code: required('body', 'Authentication code is required')
+};
+
+const twoFactorVerify = {
+  challengeToken: required('body', 'Challenge token is required'),
+  ...secondFactor
+};
+
+const twoFactorDisable = {
+  ...confirmPassword,
+  ...secondFactor
+};
+
+const googleLink = {
+  token: required('query', 'Link token is required')
+};
+
+const identityId = {
+  id: id('params')
+};
+
+const setPassword = {
+  password: newPassword()
+};
+
+const securityEvents = {
+  ...pagination(),
+  outcome: {
+    in: ['query'],
+    optional: true,
+    toUpperCase: true,
+    isIn: { options: [['SUCCESS', 'FAILURE', 'LOCKED']], errorMessage: 'outcome must be one of SUCCESS, FAILURE, LOCKED' }
+  }
+};
+
+const deleteAccount = confirmPassword;
+
+const createApiKey = {
+  name: text('body', 'Name', LIMITS.name),
+  scopes: {
+    in: ['body'],
+    isArray: { options: { min: 1 }, errorMessage: 'scopes must be a non-empty array', bail: true },
+    custom: {
+      options: (value) => value.every(scope => API_KEY_SCOPES.includes(scope)),
+      errorMessage: `scopes may only contain: ${API_KEY_SCOPES.join(', ')}`
+    },
+    customSanitizer: { options: (value) => [...new Set(value)] }
+  },
+  expiresAt: {
+    in: ['body'],
+    optional: { options: { values: 'falsy' } },
+    isISO8601: { errorMessage: 'expiresAt must be a future date', bail: true },
+    custom: {
+      options: (value) => new Date(value) > new Date(),
+      errorMessage: 'expiresAt must be a future date'
+    }
+  }
+};
+
+const apiKeyId = {
+  id: id('params')
+};
+
+module.exports = {
+  register,
+  login,
+  refresh,
+  forgotPassword,
+  resetPassword,
+  emailToken,
+  updateProfile,
+  changePassword,
+  twoFactorCode,
+  twoFactorVerify,
+  twoFactorDisable,
+  googleLink,
+  identityId,
+  setPassword,
+  securityEvents,
+  deleteAccount,
+  createApiKey,
+  apiKeyId
+};
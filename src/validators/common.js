@@ -0,0 +1,227 @@
+/**
+ * Shared Validation Rules
+ * Building blocks for the express-validator schemas of each router
+ */
+
+// Record ids are cuids; rows backfilled by migrations may carry uuids instead
+const ID_PATTERN = /^(c[a-z0-9]{24}|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})$/;
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+const { SORT_FIELDS, SORT_ORDERS } = require('../utils/pagination');
+
+const MAX_PAGE_SIZE = 100;
+
+// Length limits of user-written text
+const LIMITS = {
+  title: 200,
+  content: 100000,
+  name: 100,
+  search: 200,
+  password: { min: 6, max: 128 }
+};
+
+/**
+ * Rule for a record id
+ * @param {string} location - 'params', 'query' or 'body'
+ * @param {Object} [options]
+ * @param {boolean} [options.optional=false]
+ * @param {boolean} [options.nullable=false] - Accept null (e.g. to clear a notebook)
+ * @returns {Object}
+ */
+function id(location, { optional = false, nullable = false } = {}) {
+  return {
+    in: [location],
+    ...(optional && { optional: true }),
+    custom: {
+      options: (value) => (nullable && value === null) || (typeof value === 'string' && ID_PATTERN.test(value)),
+      errorMessage: nullable ? 'Must be a valid id or null' : 'Must be a valid id'
+    }
+  };
+}
+
+/**
+ * Rules for an array of record ids in the body
+ * @param {string} field - Body field name
+ * @param {Object} [options]
+ * @param {boolean} [options.optional=true]
+ * @param {number} [options.min=0]
+ * @param {number} [options.max=500]
+ * @returns {Object} Rules for the array and for each of its items
+ */
+function idArray(field, { optional = true, min = 0, max = 500 } = {}) {
+  return {
+    [field]: {
+      in: ['body'],
+      ...(optional && { optional: true }),
+      isArray: {
+        options: { min, max },
+        errorMessage: min > 0 ? `${field} must be an array of ${min} to ${max} ids` : `${field} must be an array of at most ${max} ids`
+      }
+    },
+    [`${field}.*`]: {
+      in: ['body'],
+      custom: {
+        options: (value) => typeof value === 'string' && ID_PATTERN.test(value),
+        errorMessage: 'Must be a valid id'
+      }
+    }
+  };
+}
+
+/**
+ * Rules for ?page= and ?limit= (defaults 1 and 20, limit capped at MAX_PAGE_SIZE)
+ * @returns {Object}
+ */
+function pagination() {
+  return {
+    page: {
+      in: ['query'],
+      default: { options: 1 },
+      isInt: { options: { min: 1, max: 100000 }, errorMessage: 'page must be a positive integer' },
+      toInt: true
+    },
+    limit: {
+      in: ['query'],
+      default: { options: 20 },
+      isInt: { options: { min: 1, max: MAX_PAGE_SIZE }, errorMessage: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` },
+      toInt: true
+    }
+  };
+}
+
+/**
+ * Rules for keyset-paginated listings (see utils/pagination): ?cursor=, ?limit=, ?sort= and ?order=
+ * (defaults: first page, 20 rows, updatedAt, desc)
+ * @returns {Object}
+ */
+function cursorPagination() {
+  return {
+    cursor: {
+      in: ['query'],
+      optional: true,
+      isString: { errorMessage: 'cursor must be a string', bail: true },
+      isLength: { options: { min: 1, max: 1000 }, errorMessage: 'cursor is not valid' }
+    },
+    limit: pagination().limit,
+    sort: {
+      in: ['query'],
+      default: { options: 'updatedAt' },
+      isIn: { options: [SORT_FIELDS], errorMessage: `sort must be one of: ${SORT_FIELDS.join(', ')}` }
+    },
+    order: {
+      in: ['query'],
+      default: { options: 'desc' },
+      toLowerCase: true,
+      isIn: { options: [SORT_ORDERS], errorMessage: 'order must be asc or desc' }
+    }
+  };
+}
+
+/**
+ * Rule for an optional ISO 8601 date query parameter (converted to a Date)
+ * @param {string} label - Field name used in the error message
+ * @returns {Object}
+ */
+function dateQuery(label) {
+  return {
+    in: ['query'],
+    optional: true,
+    isISO8601: { errorMessage: `${label} must be an ISO 8601 date` },
+    toDate: true
+  };
+}
+
+/**
+ * Rule for an optional color label in the body: a hex color (stored lowercased) or null to clear it
+ * @returns {Object}
+ */
+function color() {
+  return {
+    in: ['body'],
+    optional: true,
+    custom: {
+      options: (value) => value === null || (typeof value === 'string' && COLOR_PATTERN.test(value)),
+      errorMessage: 'color must be a hex color like #ffcc00 or null'
+    },
+    customSanitizer: { options: (value) => (typeof value === 'string' ? value.toLowerCase() : value) }
+  };
+}
+
+/**
+ * Rule for a required (or optional) trimmed string with length bounds
+ * @param {string} location
+ * @param {string} label - Field name used in the error message
+ * @param {number} max
+ * @param {Object} [options]
+ * @param {boolean} [options.optional=false]
+ * @returns {Object}
+ */
+function text(location, label, max, { optional = false } = {}) {
+  return {
+    in: [location],
+    ...(optional && { optional: true }),
+    isString: { errorMessage: `${label} must be a string`, bail: true },
+    trim: true,
+    isLength: { options: { min: 1, max }, errorMessage: `${label} must be between 1 and ${max} characters` }
+  };
+}
+
+/**
+ * Rule for an email address (lowercased)
+ * @param {Object} [options]
+ * @param {boolean} [options.optional=false]
+ * @returns {Object}
+ */
+function email({ optional = false } = {}) {
+  return {
+    in: ['body'],
+    ...(optional && { optional: true }),
+    isString: { errorMessage: 'Please provide a valid email address', bail: true },
+    trim: true,
+    isEmail: { errorMessage: 'Please provide a valid email address' },
+    toLowerCase: true
+  };
+}
+
+/**
+ * Rule for a new password
+ * @param {string} [label='Password']
+ * @returns {Object}
+ */
+function newPassword(label = 'Password') {
+  const { min, max } = LIMITS.password;
+  return {
+    in: ['body'],
+    isString: { errorMessage: `${label} is required`, bail: true },
+    isLength: { options: { min, max }, errorMessage: `${label} must be between ${min} and ${max} characters long` }
+  };
+}
+
+/**
+ * Rule for a required non-empty string that is only checked for presence (passwords, tokens)
+ * @param {string} location
+ * @param {string} message
+ * @returns {Object}
+ */
+function required(location, message) {
+  return {
+    in: [location],
+    isString: { errorMessage: message, bail: true },
+    notEmpty: { errorMessage: message }
+  };
+}
+
+module.exports = {
+  ID_PATTERN,
+  LIMITS,
+  id,
+  idArray,
+  pagination,
+  cursorPagination,
+  dateQuery,
+  color,
+  text,
+  email,
+  newPassword,
+  required
+};
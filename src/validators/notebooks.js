@@ -0,0 +1,23 @@
+/**
+ * Notebooks Validation Schemas
+ * express-validator schemas for every body and param of the notebooks router
+ */
+
+const { LIMITS, id, text } = require('./common');
+
+const notebookId = { id: id('params') };
+
+const createNotebook = {
+  name: text('body', 'Name', LIMITS.name)
+};
+
+const updateNotebook = {
+  ...notebookId,
+  name: text('body', 'Name', LIMITS.name)
+};
+
+module.exports = {
+  notebookId,
+  createNotebook,
+  updateNotebook
+};
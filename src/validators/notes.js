@@ -0,0 +1,329 @@
+/**
+ * Notes Validation Schemas
+ * express-validator schemas for every body, param and query of the notes router
+ */
+
+const { STATUS_TRANSITIONS } = require('../utils/noteStatus');
+const { normalizeRecurrence } = require('../utils/recurrence');
+const { ID_PATTERN, LIMITS, id, idArray, pagination, cursorPagination, dateQuery, color, text, email } = require('./common');
+
+const BULK_ACTIONS = [...Object.keys(STATUS_TRANSITIONS), 'delete', 'tag', 'move'];
+const MAX_BULK_IDS = 500;
+const STATUS_FILTER_PATTERN = /^(all|(active|archived|trash)(,(active|archived|trash))*)$/i;
+
+const noteId = { id: id('params') };
+
+// Optimistic concurrency: the version may also come from If-Match (see utils/versioning)
+const version = {
+  version: {
+    in: ['body'],
+    optional: true,
+    isInt: { options: { min: 1 }, errorMessage: 'version must be a positive integer' },
+    toInt: true
+  }
+};
+
+// ?tag=<tagId>&notebook=<notebookId> list filters
+const organizationFilters = {
+  tag: id('query', { optional: true }),
+  notebook: id('query', { optional: true })
+};
+
+// ?updatedAfter=&updatedBefore=&createdAfter=&createdBefore= list filters (ISO 8601)
+const dateFilters = {
+  updatedAfter: dateQuery('updatedAfter'),
+  updatedBefore: dateQuery('updatedBefore'),
+  createdAfter: dateQuery('createdAfter'),
+  createdBefore: dateQuery('createdBefore')
+};
+
+const listByStatus = {
+  ...cursorPagination(),
+  ...organizationFilters,
+  ...dateFilters
+};
+
+// Upcoming and overdue views: cursor pages in due date order (the sort is fixed)
+const listDue = {
+  cursor: cursorPagination().cursor,
+  limit: cursorPagination().limit,
+  ...organizationFilters,
+  ...dateFilters
+};
+
+const listUpcoming = {
+  ...listDue,
+  days: {
+    in: ['query'],
+    default: { options: 7 },
+    isInt: { options: { min: 1, max: 365 }, errorMessage: 'days must be an integer between 1 and 365' },
+    toInt: true
+  }
+};
+
+const listNotes = {
+  ...listByStatus,
+  search: text('query', 'search', LIMITS.search, { optional: true })
+};
+
+const searchNotes = {
+  ...pagination(),
+  q: text('query', 'q', LIMITS.search),
+  status: {
+    in: ['query'],
+    optional: true,
+    matches: { options: [STATUS_FILTER_PATTERN], errorMessage: 'status must be active, archived, trash or all' }
+  }
+};
+
+const updateTrashRetention = {
+  days: {
+    in: ['body'],
+    isInt: { options: { min: 0, max: 3650 }, errorMessage: 'days must be an integer between 0 and 3650' },
+    toInt: true
+  }
+};
+
+const noteFields = {
+  title: text('body', 'Title', LIMITS.title),
+  content: text('body', 'Content', LIMITS.content),
+  ...idArray('tagIds'),
+  notebookId: id('body', { optional: true, nullable: true })
+};
+
+// Display attributes: pinned, favorite and a color label (null clears it)
+const flag = (field) => ({
+  in: ['body'],
+  optional: true,
+  isBoolean: { options: { strict: true }, errorMessage: `${field} must be true or false` },
+  toBoolean: true
+});
+const noteAttributes = {
+  pinned: flag('pinned'),
+  favorite: flag('favorite'),
+  color: color()
+};
+
+// Due date and reminder (null clears a field; clearing remindAt also ends its recurrence)
+const noteSchedule = {
+  dueAt: {
+    in: ['body'],
+    optional: { options: { values: 'null' } },
+    isISO8601: { errorMessage: 'dueAt must be an ISO 8601 date or null', bail: true },
+    toDate: true
+  },
+  remindAt: {
+    in: ['body'],
+    optional: { options: { values: 'null' } },
+    isISO8601: { errorMessage: 'remindAt must be a future date or null', bail: true },
+    custom: {
+      options: (value) => new Date(value) > new Date(),
+      errorMessage: 'remindAt must be a future date or null'
+    },
+    toDate: true
+  },
+  recurrence: {
+    in: ['body'],
+    optional: { options: { values: 'null' } },
+    custom: {
+      options: (value) => normalizeRecurrence(value) !== null,
+      errorMessage: 'recurrence must be a rule like FREQ=WEEKLY;INTERVAL=2 (DAILY, WEEKLY, MONTHLY or YEARLY, optional INTERVAL and UNTIL) or null'
+    },
+    customSanitizer: { options: (value) => (value === null ? null : normalizeRecurrence(value)) }
+  },
+  reminderChannel: {
+    in: ['body'],
+    optional: true,
+    isString: { errorMessage: 'reminderChannel must be email or webhook', bail: true },
+    toUpperCase: true,
+    isIn: { options: [['EMAIL', 'WEBHOOK']], errorMessage: 'reminderChannel must be email or webhook' }
+  }
+};
+const SCHEDULE_FIELDS = Object.keys(noteSchedule);
+
+const createNote = {
+  ...noteFields,
+  ...noteAttributes,
+  ...noteSchedule
+};
+
+const updateNote = {
+  ...noteId,
+  ...noteFields,
+  ...version
+};
+
+const updateNoteAttributes = {
+  ...noteId,
+  ...noteAttributes,
+  ...noteSchedule,
+  ...version,
+  attributes: {
+    in: ['body'],
+    custom: {
+      options: (value, { req }) => ['pinned', 'favorite', 'color', ...SCHEDULE_FIELDS].some(field => req.body[field] !== undefined),
+      errorMessage: 'Provide pinned, favorite, color, dueAt, remindAt, recurrence or reminderChannel to update'
+    }
+  }
+};
+
+// Drop a note between two neighbours of the list it is shown in (either may be omitted at the ends)
+const moveNote = {
+  ...noteId,
+  afterId: id('body', { optional: true }),
+  // Not optional like afterId: the checks that need one of the two run from here
+  beforeId: {
+    in: ['body'],
+    either: {
+      custom: (value, { req }) => value !== undefined || (req.body || {}).afterId !== undefined,
+      errorMessage: 'afterId or beforeId is required',
+      bail: true
+    },
+    validId: {
+      custom: (value) => value === undefined || (typeof value === 'string' && ID_PATTERN.test(value)),
+      errorMessage: 'Must be a valid id',
+      bail: true
+    },
+    distinct: {
+      custom: (value, { req }) => {
+        const { afterId } = req.body || {};
+        return ![value, afterId].includes(req.params.id) && value !== afterId;
+      },
+      errorMessage: 'afterId and beforeId must be two other notes'
+    }
+  }
+};
+
+const transitionNote = {
+  ...noteId,
+  ...version
+};
+
+// Bulk fields that only some actions need; they are checked as a whole instead of marked optional
+const bulkNotes = {
+  action: {
+    in: ['body'],
+    isIn: { options: [BULK_ACTIONS], errorMessage: `action must be one of: ${BULK_ACTIONS.join(', ')}` }
+  },
+  ...idArray('ids', { optional: false, min: 1, max: MAX_BULK_IDS }),
+  tagIds: {
+    in: ['body'],
+    custom: {
+      options: (value, { req }) => {
+        if (req.body.action === 'tag' && (!Array.isArray(value) || value.length === 0)) {
+          throw new Error('tagIds is required for the tag action');
+        }
+        if (value !== undefined && (!Array.isArray(value) || value.length > MAX_BULK_IDS)) {
+          throw new Error(`tagIds must be an array of at most ${MAX_BULK_IDS} ids`);
+        }
+        return true;
+      }
+    }
+  },
+  'tagIds.*': idArray('tagIds')['tagIds.*'],
+  notebookId: {
+    in: ['body'],
+    custom: {
+      options: (value, { req }) => {
+        if (value === undefined) {
+          if (req.body.action === 'move') throw new Error('notebookId is required for the move action (null to unfile)');
+          return true;
+        }
+        if (value !== null && (typeof value !== 'string' || !ID_PATTERN.test(value))) {
+          throw new Error('Must be a valid id or null');
+        }
+        return true;
+      }
+    }
+  }
+};
+
+const exportNotes = {
+  format: {
+    in: ['query'],
+    optional: true,
+    toLowerCase: true,
+    isIn: { options: [['json', 'markdown', 'zip']], errorMessage: 'format must be json, markdown or zip' }
+  }
+};
+
+const importNotes = {
+  dryRun: {
+    in: ['query'],
+    optional: true,
+    isIn: { options: [['true', 'false']], errorMessage: 'dryRun must be true or false' }
+  }
+};
+
+const revision = {
+  ...noteId,
+  rev: {
+    in: ['params'],
+    isInt: { options: { min: 1 }, errorMessage: 'Revision must be a positive integer' },
+    toInt: true
+  }
+};
+
+const createShare = {
+  ...noteId,
+  email: email(),
+  permission: {
+    in: ['body'],
+    optional: true,
+    isString: { errorMessage: 'Permission must be viewer or editor', bail: true },
+    toUpperCase: true,
+    isIn: { options: [['VIEWER', 'EDITOR']], errorMessage: 'Permission must be viewer or editor' }
+  }
+};
+
+const deleteShare = {
+  ...noteId,
+  shareId: id('params')
+};
+
+const createPublicLink = {
+  ...noteId,
+  expiresAt: {
+    in: ['body'],
+    optional: { options: { values: 'falsy' } },
+    isISO8601: { errorMessage: 'expiresAt must be a future date', bail: true },
+    custom: {
+      options: (value) => new Date(value) > new Date(),
+      errorMessage: 'expiresAt must be a future date'
+    }
+  }
+};
+
+const revokePublicLink = {
+  ...noteId,
+  linkId: id('params')
+};
+
+const attachment = {
+  ...noteId,
+  attachmentId: id('params')
+};
+
+module.exports = {
+  noteId,
+  listNotes,
+  listByStatus,
+  listDue,
+  listUpcoming,
+  searchNotes,
+  updateTrashRetention,
+  createNote,
+  updateNote,
+  updateNoteAttributes,
+  moveNote,
+  transitionNote,
+  bulkNotes,
+  exportNotes,
+  importNotes,
+  revision,
+  createShare,
+  deleteShare,
+  createPublicLink,
+  revokePublicLink,
+  attachment
+};
@@ -0,0 +1,57 @@
+/**
+ * Sync Validation Schemas
+ * express-validator schemas for the pulls and pushes of the sync router. Pushed mutations
+ * are only checked for their shape here; what each one may do is decided per mutation by
+ * the controller, which reports it as rejected or in conflict without failing the batch.
+ */
+
+const MAX_BATCH_SIZE = 500;
+
+// Optional string field of every mutation
+const mutationString = (field) => ({
+  in: ['body'],
+  optional: true,
+  isString: { errorMessage: `${field} must be a string` }
+});
+
+const pullChanges = {
+  since: {
+    in: ['query'],
+    optional: true,
+    isString: { errorMessage: 'since must be a sync cursor' }
+  }
+};
+
+const pushChanges = {
+  mutations: {
+    in: ['body'],
+    isArray: {
+      options: { min: 1, max: MAX_BATCH_SIZE },
+      errorMessage: `mutations must be an array of 1 to ${MAX_BATCH_SIZE} mutations`
+    }
+  },
+  'mutations.*': {
+    in: ['body'],
+    isObject: { options: { strict: true }, errorMessage: 'Each mutation must be an object' }
+  },
+  'mutations.*.op': {
+    in: ['body'],
+    isString: { errorMessage: 'op must be a string' }
+  },
+  'mutations.*.id': mutationString('id'),
+  'mutations.*.clientId': mutationString('clientId'),
+  'mutations.*.title': mutationString('title'),
+  'mutations.*.content': mutationString('content'),
+  'mutations.*.version': {
+    in: ['body'],
+    optional: true,
+    isInt: { options: { min: 1 }, errorMessage: 'version must be a positive integer' },
+    toInt: true
+  }
+};
+
+module.exports = {
+  MAX_BATCH_SIZE,
+  pullChanges,
+  pushChanges
+};
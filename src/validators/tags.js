@@ -0,0 +1,32 @@
+/**
+ * Tags Validation Schemas
+ * express-validator schemas for every body and param of the tags router
+ */
+
+const { LIMITS, id, color, text } = require('./common');
+
+const tagId = { id: id('params') };
+
+const createTag = {
+  name: text('body', 'Name', LIMITS.name),
+  color: color()
+};
+
+const updateTag = {
+  ...tagId,
+  name: text('body', 'Name', LIMITS.name, { optional: true }),
+  color: color(),
+  fields: {
+    in: ['body'],
+    custom: {
+      options: (value, { req }) => ['name', 'color'].some(field => (req.body || {})[field] !== undefined),
+      errorMessage: 'Provide name or color to update'
+    }
+  }
+};
+
+module.exports = {
+  tagId,
+  createTag,
+  updateTag
+};
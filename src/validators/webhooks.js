@@ -0,0 +1,97 @@
+/**
+ * Webhooks Validation Schemas
+ * express-validator schemas for every body, param and query of the webhooks router
+ */
+
+const { WEBHOOK_EVENTS } = require('../utils/webhooks');
+const { id, pagination, text } = require('./common');
+
+const MAX_URL_LENGTH = 2000;
+const DELIVERY_STATUSES = ['PENDING', 'SUCCEEDED', 'FAILED'];
+
+const webhookId = { id: id('params') };
+
+// Endpoint fields; optional ones are only required on creation
+function webhookFields({ optional = false } = {}) {
+  return {
+    url: {
+      in: ['body'],
+      ...(optional && { optional: true }),
+      isString: { errorMessage: 'url must be a string', bail: true },
+      trim: true,
+      isLength: { options: { max: MAX_URL_LENGTH }, errorMessage: `url must be at most ${MAX_URL_LENGTH} characters`, bail: true },
+      isURL: {
+        options: { protocols: ['http', 'https'], require_protocol: true, require_tld: false },
+        errorMessage: 'url must be an http or https URL'
+      }
+    },
+    events: {
+      in: ['body'],
+      ...(optional && { optional: true }),
+      isArray: { options: { min: 1, max: WEBHOOK_EVENTS.length }, errorMessage: 'events must be a non-empty array', bail: true },
+      custom: {
+        options: (value) => value.every(event => WEBHOOK_EVENTS.includes(event)),
+        errorMessage: `events may only contain: ${WEBHOOK_EVENTS.join(', ')}`
+      },
+      customSanitizer: { options: (value) => [...new Set(value)] }
+    },
+    description: {
+      in: ['body'],
+      optional: { options: { values: 'null' } },
+      isString: { errorMessage: 'description must be a string', bail: true },
+      trim: true,
+      isLength: { options: { max: 200 }, errorMessage: 'description must be at most 200 characters' }
+    },
+    active: {
+      in: ['body'],
+      optional: true,
+      isBoolean: { options: { strict: true }, errorMessage: 'active must be true or false' },
+      toBoolean: true
+    }
+  };
+}
+
+const createWebhook = webhookFields();
+
+const updateWebhook = {
+  ...webhookId,
+  ...webhookFields({ optional: true }),
+  fields: {
+    in: ['body'],
+    custom: {
+      options: (value, { req }) => ['url', 'events', 'description', 'active'].some(field => req.body[field] !== undefined),
+      errorMessage: 'Provide url, events, description or active to update'
+    }
+  }
+};
+
+const listDeliveries = {
+  ...webhookId,
+  cursor: {
+    in: ['query'],
+    optional: true,
+    isString: { errorMessage: 'cursor must be a string', bail: true },
+    isLength: { options: { min: 1, max: 1000 }, errorMessage: 'cursor is not valid' }
+  },
+  limit: pagination().limit,
+  status: {
+    in: ['query'],
+    optional: true,
+    toUpperCase: true,
+    isIn: { options: [DELIVERY_STATUSES], errorMessage: 'status must be pending, succeeded or failed' }
+  },
+  event: text('query', 'event', 100, { optional: true })
+};
+
+const delivery = {
+  ...webhookId,
+  deliveryId: id('params')
+};
+
+module.exports = {
+  webhookId,
+  createWebhook,
+  updateWebhook,
+  listDeliveries,
+  delivery
+};
@@ -0,0 +1,88 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+process.env.ATTACHMENT_QUOTA_MB = '1';
+const { db, resetDb } = require('./helpers');
+const { setStorage } = require('../src/storage');
+const { storeAttachments } = require('../src/utils/attachments');
+
+const QUOTA = 1024 * 1024;
+const note = { id: 'note-1', userId: 'user-1' };
+let committed;
+let stored;
+
+// Let other requests run, as a round trip to the database would
+const yieldToOthers = () => new Promise(resolve => setImmediate(resolve));
+
+// Attachment rows of one user in a fake database: rows become visible to others on commit,
+// and SELECT ... FOR UPDATE on the user holds later lockers until the transaction ends
+beforeEach(() => {
+  resetDb();
+  committed = [];
+  stored = new Set();
+  let userLock = Promise.resolve();
+  const sumOf = (rows) => rows.reduce((sum, row) => sum + row.size, 0);
+
+  db.attachment = { aggregate: async () => { await yieldToOthers(); return { _sum: { size: sumOf(committed) || null } }; } };
+  db.$transaction = async (fn) => {
+    const pending = [];
+    let release = () => {};
+    const tx = {
+      $queryRaw: async (strings) => {
+        assert.match(strings.join('?'), /SELECT id FROM "User" WHERE id = \? FOR UPDATE/);
+        const previous = userLock;
+        userLock = new Promise(resolve => { release = resolve; });
+        await previous;
+        return [{ id: note.userId }];
+      },
+      attachment: {
+        aggregate: async () => { await yieldToOthers(); return { _sum: { size: sumOf([...committed, ...pending]) || null } }; },
+        create: async ({ data }) => {
+          await yieldToOthers();
+          pending.push(data);
+          return { id: `att-${committed.length + pending.length}`, ...data, thumbnailKey: null };
+        }
+      }
+    };
+    try {
+      const result = await fn(tx);
+      committed.push(...pending);
+      return result;
+    } finally {
+      release();
+    }
+  };
+
+  setStorage({
+    put: async (key) => { await yieldToOthers(); stored.add(key); },
+    get: async () => null,
+    remove: async (keys) => keys.forEach(key => stored.delete(key))
+  });
+});
+
+const file = (size) => ({ originalname: 'notes.txt', size, buffer: Buffer.alloc(size, 'a') });
+
+test('parallel uploads cannot take a user over the quota together', async () => {
+  const size = Math.floor(QUOTA * 0.6);
+  const results = await Promise.allSettled([storeAttachments(note, [file(size)]), storeAttachments(note, [file(size)])]);
+
+  assert.deepStrictEqual(results.map(r => r.status).sort(), ['fulfilled', 'rejected']);
+  const { reason } = results.find(r => r.status === 'rejected');
+  assert.strictEqual(reason.status, 413);
+  assert.strictEqual(reason.code, 'QUOTA_EXCEEDED');
+  assert.strictEqual(committed.length, 1);
+  // The refused upload's file is removed from storage again
+  assert.deepStrictEqual([...stored], [committed[0].storageKey]);
+});
+
+test('uploads that fit the quota together are all stored', async () => {
+  const size = Math.floor(QUOTA * 0.4);
+  await Promise.all([storeAttachments(note, [file(size)]), storeAttachments(note, [file(size)])]);
+  assert.strictEqual(committed.length, 2);
+  assert.strictEqual(stored.size, 2);
+});
+
+test('an upload over the quota is refused before anything is stored', async () => {
+  await assert.rejects(storeAttachments(note, [file(QUOTA + 1)]), { status: 413, code: 'QUOTA_EXCEEDED' });
+  assert.strictEqual(stored.size, 0);
+});
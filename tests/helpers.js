@@ -0,0 +1,81 @@
+/**
+ * Test Helpers
+ * Tests drive the real app over HTTP against an in-memory stand-in for Prisma. Every
+ * module creates its own PrismaClient, so they all get the same object and each test
+ * puts the model methods it needs on it (see resetDb).
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.MAIL_TRANSPORT = 'console';
+process.env.GOOGLE_CLIENT_ID = process.env.GOOGLE_CLIENT_ID || 'test-client-id';
+process.env.GOOGLE_CLIENT_SECRET = process.env.GOOGLE_CLIENT_SECRET || 'test-client-secret';
+
+const db = {};
+class PrismaClient {
+  constructor() { return db; }
+}
+const prismaPath = require.resolve('@prisma/client');
+require.cache[prismaPath] = { id: prismaPath, filename: prismaPath, loaded: true, exports: { PrismaClient } };
+
+const { generateToken } = require('../src/utils/auth');
+
+/**
+ * Forget every model method set by a previous test
+ * Transactions run their callback against the same object; raw queries return no rows.
+ * @returns {Object} The shared client
+ */
+function resetDb() {
+  for (const key of Object.keys(db)) delete db[key];
+  db.$transaction = async (arg) => (typeof arg === 'function' ? arg(db) : Promise.all(arg));
+  db.$queryRaw = async () => [];
+  db.$executeRaw = async () => 0;
+  return db;
+}
+
+/**
+ * Let requests carrying the returned access token authenticate as a user
+ * @param {Object} [user]
+ * @returns {string} Authorization header value
+ */
+function signIn(user = { id: 'user-1', email: 'owner@example.com', name: 'Owner', emailVerifiedAt: new Date() }) {
+  db.session = {
+    ...db.session,
+    findUnique: async () => ({ userId: user.id, revokedAt: null, expiresAt: new Date(Date.now() + 60000), createdAt: new Date() })
+  };
+  db.user = { ...db.user, findUnique: async () => ({ deletionScheduledAt: null, ...user }) };
+  return `Bearer ${generateToken(user, 'session-1')}`;
+}
+
+/**
+ * Send one request to the app
+ * @param {string} method
+ * @param {string} path
+ * @param {Object} [options]
+ * @param {Object} [options.body] - Sent as JSON; omit to send no body at all
+ * @param {Object} [options.headers]
+ * @returns {Promise<{ status: number, body: Object }>}
+ */
+async function request(method, path, { body, headers = {} } = {}) {
+  const app = require('../src/app');
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  try {
+    const res = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+      method,
+      headers: { ...(body !== undefined && { 'Content-Type': 'application/json' }), ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await res.text();
+    return { status: res.status, body: text ? JSON.parse(text) : null };
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+module.exports = {
+  db,
+  resetDb,
+  signIn,
+  request
+};
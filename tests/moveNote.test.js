@@ -0,0 +1,41 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { db, resetDb, signIn, request } = require('./helpers');
+
+const NOTE_ID = 'cnote0000000000000000000a';
+const OTHER_ID = 'cnote0000000000000000000b';
+let auth;
+
+beforeEach(() => {
+  resetDb();
+  auth = signIn();
+  db.note = { findUnique: async () => null };
+});
+
+const move = (options) => request('PUT', `/api/notes/${NOTE_ID}/position`, { ...options, headers: { Authorization: auth } });
+
+// First error of a rejected move
+async function moveError(options) {
+  const res = await move(options);
+  assert.strictEqual(res.status, 422);
+  return res.body.details.errors[0];
+}
+
+test('a move without a body asks for a neighbour', async () => {
+  assert.deepStrictEqual(await moveError(), { field: 'beforeId', location: 'body', message: 'afterId or beforeId is required' });
+  assert.strictEqual((await moveError({ body: {} })).message, 'afterId or beforeId is required');
+});
+
+test('neighbours must be valid ids of two other notes', async () => {
+  assert.strictEqual((await moveError({ body: { beforeId: 'nope' } })).message, 'Must be a valid id');
+  assert.strictEqual((await moveError({ body: { beforeId: NOTE_ID } })).message, 'afterId and beforeId must be two other notes');
+  assert.strictEqual((await moveError({ body: { afterId: NOTE_ID } })).message, 'afterId and beforeId must be two other notes');
+  assert.strictEqual((await moveError({ body: { afterId: OTHER_ID, beforeId: OTHER_ID } })).message, 'afterId and beforeId must be two other notes');
+});
+
+test('a move with one valid neighbour passes validation', async () => {
+  // The note itself does not exist in this test, so a valid move ends at the lookup
+  const res = await move({ body: { afterId: OTHER_ID } });
+  assert.strictEqual(res.status, 404);
+  assert.strictEqual(res.body.code, 'NOTE_NOT_FOUND');
+});
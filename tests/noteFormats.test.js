@@ -0,0 +1,23 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseUpload } = require('../src/utils/noteFormats');
+
+const markdown = (text, name = 'note.md') => parseUpload({ originalname: name, buffer: Buffer.from(text) });
+
+test('front matter titles that YAML reads as numbers, booleans or dates are kept as text', async () => {
+  for (const [value, title] of [['2024', '2024'], ['true', 'true'], ['0', '0'], ['2024-05-01', '2024-05-01'], ['3.5', '3.5']]) {
+    const { entries } = await markdown(`---\ntitle: ${value}\n---\n# Heading\nBody`);
+    assert.strictEqual(entries[0].title, title, value);
+  }
+});
+
+test('typed tags and notebooks are kept as text too', async () => {
+  const { entries } = await markdown('---\ntitle: Plan\ntags: [2024, true, { a: 1 }]\nnotebook: 42\n---\nBody');
+  assert.deepStrictEqual(entries[0].tags, ['2024', 'true']);
+  assert.strictEqual(entries[0].notebook, '42');
+});
+
+test('a note without a front matter title falls back to its heading, then its file name', async () => {
+  assert.strictEqual((await markdown('---\ntitle:\n---\n# Heading\nBody')).entries[0].title, 'Heading');
+  assert.strictEqual((await markdown('Body only', 'folder/My note.md')).entries[0].title, 'My note');
+});
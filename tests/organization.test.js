@@ -0,0 +1,103 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { db, resetDb, signIn, request } = require('./helpers');
+
+const TAG_ID = 'ctag00000000000000000000a';
+let auth;
+let written;
+
+beforeEach(() => {
+  resetDb();
+  auth = signIn();
+  written = [];
+  const model = {
+    create: async ({ data }) => { written.push(data); return { id: TAG_ID, ...data }; },
+    findFirst: async () => ({ id: TAG_ID, userId: 'user-1' }),
+    update: async ({ data }) => { written.push(data); return { id: TAG_ID, ...data }; }
+  };
+  db.tag = { ...model };
+  db.notebook = { ...model };
+});
+
+const send = (method, path, body) => request(method, path, { body, headers: { Authorization: auth } });
+
+test('tags and notebooks cannot be created without a body', async () => {
+  for (const path of ['/api/tags', '/api/notebooks']) {
+    const res = await send('POST', path);
+    assert.strictEqual(res.status, 422, path);
+    assert.strictEqual(res.body.details.errors[0].field, 'name');
+  }
+  assert.strictEqual(written.length, 0);
+});
+
+test('names must be non-empty strings within the name limit', async () => {
+  for (const name of [5, '   ', 'x'.repeat(101)]) {
+    assert.strictEqual((await send('POST', '/api/tags', { name })).status, 422, String(name));
+    assert.strictEqual((await send('POST', '/api/notebooks', { name })).status, 422, String(name));
+    assert.strictEqual((await send('PUT', `/api/notebooks/${TAG_ID}`, { name })).status, 422, String(name));
+  }
+  assert.strictEqual(written.length, 0);
+});
+
+test('tag colors must be hex colors or null', async () => {
+  assert.strictEqual((await send('POST', '/api/tags', { name: 'Work', color: 'red' })).status, 422);
+  assert.strictEqual((await send('PUT', `/api/tags/${TAG_ID}`, { color: 42 })).status, 422);
+
+  const res = await send('POST', '/api/tags', { name: '  Work ', color: '#FFCC00' });
+  assert.strictEqual(res.status, 201);
+  assert.deepStrictEqual(written, [{ name: 'Work', color: '#ffcc00', userId: 'user-1' }]);
+});
+
+test('a tag update needs a name or a color', async () => {
+  assert.strictEqual((await send('PUT', `/api/tags/${TAG_ID}`)).status, 422);
+  assert.strictEqual((await send('PUT', `/api/tags/${TAG_ID}`, {})).status, 422);
+
+  const res = await send('PUT', `/api/tags/${TAG_ID}`, { color: null });
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(written, [{ name: undefined, color: null }]);
+});
+
+// Let the events published after the response go out
+const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+
+function trackNoteWrites(noteIds) {
+  const calls = { updateMany: [], deliveries: [] };
+  db.$queryRaw = async () => [{ id: TAG_ID }];
+  db.note = {
+    findMany: async ({ include }) => (include
+      ? noteIds.map(id => ({ id, userId: 'user-1', status: 'ACTIVE', tags: [], shares: [] }))
+      : noteIds.map(id => ({ id }))),
+    updateMany: async (args) => { calls.updateMany.push(args); return { count: noteIds.length }; }
+  };
+  db.tag.delete = async () => ({});
+  db.notebook.delete = async () => ({});
+  db.webhook = { findMany: async () => [{ id: 'hook-1', userId: 'user-1', events: ['note.updated'] }] };
+  db.webhookDelivery = { createMany: async ({ data }) => { calls.deliveries.push(...data); return { count: data.length }; } };
+  return calls;
+}
+
+test('deleting a tag bumps the version of its notes and announces them', async () => {
+  const calls = trackNoteWrites(['n1', 'n2']);
+  const res = await send('DELETE', `/api/tags/${TAG_ID}`);
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(calls.updateMany, [{ where: { id: { in: ['n1', 'n2'] } }, data: { version: { increment: 1 } } }]);
+  await settle();
+  assert.deepStrictEqual(calls.deliveries.map(d => [d.event, d.payload.data.noteId]), [['note.updated', 'n1'], ['note.updated', 'n2']]);
+});
+
+test('deleting a notebook unfiles its notes with a version bump and announces them', async () => {
+  const calls = trackNoteWrites(['n3']);
+  const res = await send('DELETE', `/api/notebooks/${TAG_ID}`);
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(calls.updateMany, [{ where: { notebookId: TAG_ID }, data: { notebookId: null, version: { increment: 1 } } }]);
+  await settle();
+  assert.deepStrictEqual(calls.deliveries.map(d => [d.event, d.payload.data.noteId]), [['note.updated', 'n3']]);
+});
+
+test('deleting a missing tag is a 404', async () => {
+  const calls = trackNoteWrites([]);
+  db.$queryRaw = async () => [];
+  const res = await send('DELETE', `/api/tags/${TAG_ID}`);
+  assert.strictEqual(res.status, 404);
+  assert.strictEqual(calls.updateMany.length, 0);
+});
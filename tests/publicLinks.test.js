@@ -0,0 +1,70 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { db, resetDb, signIn, request } = require('./helpers');
+const { hashToken } = require('../src/utils/auth');
+
+const NOTE_ID = 'cnote0000000000000000000a';
+let auth;
+let created;
+
+beforeEach(() => {
+  resetDb();
+  auth = signIn();
+  created = [];
+  db.note = { findUnique: async () => ({ id: NOTE_ID, userId: 'user-1', status: 'ACTIVE' }) };
+  db.publicLink = {
+    create: async ({ data }) => {
+      created.push(data);
+      return { id: 'link-1', expiresAt: data.expiresAt, revokedAt: null, createdAt: new Date() };
+    }
+  };
+});
+
+test('creating a public link without a body makes a link that never expires', async () => {
+  const res = await request('POST', `/api/notes/${NOTE_ID}/links`, { headers: { Authorization: auth } });
+  assert.strictEqual(res.status, 201);
+  assert.strictEqual(res.body.data.link.expiresAt, null);
+  assert.strictEqual(created[0].expiresAt, null);
+});
+
+test('creating a public link accepts a future expiry', async () => {
+  const expiresAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+  const res = await request('POST', `/api/notes/${NOTE_ID}/links`, { body: { expiresAt }, headers: { Authorization: auth } });
+  assert.strictEqual(res.status, 201);
+  assert.strictEqual(created[0].expiresAt.toISOString(), expiresAt);
+});
+
+test('only the hash of a link token is stored and the token is only shown on creation', async () => {
+  const res = await request('POST', `/api/notes/${NOTE_ID}/links`, { headers: { Authorization: auth } });
+  const { token, path } = res.body.data.link;
+  assert.ok(token.length >= 32);
+  assert.strictEqual(path, `/api/public/notes/${token}`);
+  assert.deepStrictEqual(Object.keys(created[0]).sort(), ['expiresAt', 'noteId', 'tokenHash']);
+  assert.strictEqual(created[0].tokenHash, hashToken(token));
+
+  let listed;
+  db.noteShare = { findMany: async () => [] };
+  db.publicLink.findMany = async ({ select }) => { listed = select; return []; };
+  assert.strictEqual((await request('GET', `/api/notes/${NOTE_ID}/shares`, { headers: { Authorization: auth } })).status, 200);
+  assert.ok(!('token' in listed) && !('tokenHash' in listed));
+});
+
+test('public notes are looked up by the hash of the presented token', async () => {
+  const link = { tokenHash: hashToken('plain-token'), revokedAt: null, expiresAt: null };
+  const note = { id: NOTE_ID, title: 'Shared', content: 'Text', status: 'ACTIVE' };
+  db.publicLink.findUnique = async ({ where }) => (where.tokenHash === link.tokenHash ? { ...link, note } : null);
+
+  const res = await request('GET', '/api/public/notes/plain-token');
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(res.body.data.note, { id: NOTE_ID, title: 'Shared', content: 'Text' });
+
+  // Knowing the stored hash is not enough to read the note
+  assert.strictEqual((await request('GET', `/api/public/notes/${link.tokenHash}`)).status, 404);
+  assert.strictEqual((await request('GET', '/api/public/notes/other-token')).status, 404);
+
+  link.revokedAt = new Date();
+  assert.strictEqual((await request('GET', '/api/public/notes/plain-token')).status, 404);
+  link.revokedAt = null;
+  link.expiresAt = new Date(Date.now() - 1000);
+  assert.strictEqual((await request('GET', '/api/public/notes/plain-token')).status, 404);
+});
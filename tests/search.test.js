@@ -0,0 +1,42 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { db, resetDb, signIn, request } = require('./helpers');
+
+let auth;
+let queries;
+
+beforeEach(() => {
+  resetDb();
+  auth = signIn();
+  queries = [];
+});
+
+// Answer the page query with rows as ts_headline returns them, and the count query
+function searchReturns(rows) {
+  db.$queryRaw = async (strings, ...values) => {
+    queries.push({ sql: strings.join('?'), values });
+    return strings.join('').includes('COUNT(*)') ? [{ total: rows.length }] : rows;
+  };
+}
+
+test('highlights escape the note text and only mark the matches', async () => {
+  searchReturns([{
+    id: 'n1',
+    titleHighlight: '\u0002Plan\u0003 <script>alert(1)</script>',
+    snippet: 'see <img src=x onerror="alert(1)"> & the \u0002plan\u0003\'s end'
+  }]);
+  const res = await request('GET', '/api/notes/search?q=plan', { headers: { Authorization: auth } });
+  assert.strictEqual(res.status, 200);
+  const [note] = res.body.data.notes;
+  assert.strictEqual(note.titleHighlight, '<mark>Plan</mark> &lt;script&gt;alert(1)&lt;/script&gt;');
+  assert.strictEqual(note.snippet, 'see &lt;img src=x onerror=&quot;alert(1)&quot;&gt; &amp; the <mark>plan</mark>&#39;s end');
+});
+
+test('headlines are built with the marker characters removed from the note text', async () => {
+  searchReturns([]);
+  await request('GET', '/api/notes/search?q=plan', { headers: { Authorization: auth } });
+  const page = queries.find(q => q.sql.includes('ts_headline'));
+  assert.match(page.sql, /ts_headline\('english', translate\(n\.title, \?, ''\)/);
+  assert.ok(page.values.includes('\u0002\u0003'));
+  assert.ok(page.values.some(v => typeof v === 'string' && v.includes('StartSel=\u0002') && !v.includes('<mark>')));
+});
@@ -0,0 +1,77 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { db, resetDb, request } = require('./helpers');
+const { hashToken } = require('../src/utils/auth');
+
+const SESSION_ID = 'csession00000000000000000';
+let session;
+
+// One Session row, updated the way Postgres would apply the filters used by utils/sessions
+beforeEach(() => {
+  resetDb();
+  session = {
+    id: SESSION_ID,
+    userId: 'user-1',
+    refreshTokenHash: hashToken('first-secret'),
+    previousRefreshTokenHash: null,
+    revokedAt: null,
+    revokedReason: null,
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+  };
+  const matches = (where) => Object.entries(where).every(([key, value]) => session[key] === value);
+  db.session = {
+    findUnique: async ({ where }) => (where.id === SESSION_ID
+      ? { ...session, user: { id: 'user-1', email: 'owner@example.com', name: 'Owner', createdAt: new Date() } }
+      : null),
+    updateMany: async ({ where, data }) => {
+      if (!matches(where)) return { count: 0 };
+      Object.assign(session, data);
+      return { count: 1 };
+    }
+  };
+});
+
+const refresh = (refreshToken) => request('POST', '/api/auth/refresh', { body: { refreshToken } });
+
+test('a refresh rotates the secret and keeps the hash of the replaced one', async () => {
+  const res = await refresh(`${SESSION_ID}.first-secret`);
+  assert.strictEqual(res.status, 200);
+  const [id, secret] = res.body.data.refreshToken.split('.');
+  assert.strictEqual(id, SESSION_ID);
+  assert.strictEqual(session.refreshTokenHash, hashToken(secret));
+  assert.strictEqual(session.previousRefreshTokenHash, hashToken('first-secret'));
+  // Only hashes are stored
+  assert.ok(!JSON.stringify(session).includes(secret));
+
+  assert.strictEqual((await refresh(res.body.data.refreshToken)).status, 200);
+});
+
+test('replaying a rotated refresh token revokes the whole session', async () => {
+  const first = await refresh(`${SESSION_ID}.first-secret`);
+  const replay = await refresh(`${SESSION_ID}.first-secret`);
+  assert.strictEqual(replay.status, 401);
+  assert.strictEqual(replay.body.code, 'REFRESH_TOKEN_REUSE');
+  assert.ok(session.revokedAt);
+  assert.strictEqual(session.revokedReason, 'REFRESH_TOKEN_REUSE');
+
+  // The token the legitimate client holds stops working too
+  const after = await refresh(first.body.data.refreshToken);
+  assert.strictEqual(after.status, 401);
+  assert.strictEqual(after.body.code, 'SESSION_REVOKED');
+});
+
+test('a wrong secret is rejected without revoking the session', async () => {
+  const res = await refresh(`${SESSION_ID}.guessed-secret`);
+  assert.strictEqual(res.status, 401);
+  assert.strictEqual(res.body.code, 'INVALID_REFRESH_TOKEN');
+  assert.strictEqual(session.revokedAt, null);
+  assert.strictEqual((await refresh(`${SESSION_ID}.first-secret`)).status, 200);
+});
+
+test('malformed and unknown refresh tokens are rejected', async () => {
+  for (const token of ['no-dot', `csession0000000000000000x.first-secret`]) {
+    const res = await refresh(token);
+    assert.strictEqual(res.status, 401, token);
+    assert.strictEqual(res.body.code, 'INVALID_REFRESH_TOKEN');
+  }
+});
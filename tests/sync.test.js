@@ -0,0 +1,62 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { db, resetDb, signIn, request } = require('./helpers');
+
+let auth;
+let note;
+let updates;
+
+beforeEach(() => {
+  resetDb();
+  auth = signIn();
+  note = { id: 'cnote0000000000000000000a', userId: 'user-1', title: 'Old', content: 'Text', version: 3, tags: [] };
+  updates = [];
+  db.note = {
+    findFirst: async () => note,
+    findUnique: async () => note,
+    findMany: async () => [],
+    updateMany: async ({ data }) => { updates.push(data); return { count: 1 }; }
+  };
+  db.noteRevision = {
+    findFirst: async () => null,
+    create: async ({ data }) => data,
+    findMany: async () => []
+  };
+});
+
+const push = (body) => request('POST', '/api/sync', { body, headers: { Authorization: auth } });
+
+test('a push without a body is a validation error', async () => {
+  const res = await request('POST', '/api/sync', { headers: { Authorization: auth } });
+  assert.strictEqual(res.status, 422);
+  assert.strictEqual(res.body.details.errors[0].field, 'mutations');
+});
+
+test('batches must hold between 1 and 500 mutations', async () => {
+  assert.strictEqual((await push({ mutations: [] })).status, 422);
+  const tooMany = Array.from({ length: 501 }, () => ({ op: 'delete', id: note.id }));
+  assert.strictEqual((await push({ mutations: tooMany })).status, 422);
+});
+
+test('non-string titles and contents are rejected instead of stored as text', async () => {
+  for (const mutation of [
+    { op: 'update', id: note.id, title: null },
+    { op: 'update', id: note.id, content: { text: 'x' } },
+    { op: 'create', title: 5, content: 'Text' }
+  ]) {
+    const res = await push({ mutations: [{ op: 'archive', id: note.id }, mutation] });
+    assert.strictEqual(res.status, 422, JSON.stringify(mutation));
+    assert.match(res.body.details.errors[0].field, /^mutations\[1\]\.(title|content)$/);
+  }
+  assert.strictEqual(updates.length, 0);
+});
+
+test('a version sent as a numeric string is compared as a number', async () => {
+  const res = await push({ mutations: [{ op: 'update', id: note.id, version: '3', title: 'New' }] });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.data.results[0].status, 'applied');
+  assert.deepStrictEqual(updates, [{ title: 'New', version: { increment: 1 } }]);
+
+  const invalid = await push({ mutations: [{ op: 'update', id: note.id, version: 'latest', title: 'New' }] });
+  assert.strictEqual(invalid.status, 422);
+});
@@ -0,0 +1,75 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+// The guard is off by default outside production
+process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'false';
+const { db, resetDb, signIn, request } = require('./helpers');
+const { assertDeliverableUrl, attemptDelivery } = require('../src/utils/webhooks');
+
+let auth;
+
+beforeEach(() => {
+  resetDb();
+  auth = signIn();
+});
+
+test('webhook URLs on loopback, private, link-local and mapped addresses are refused', async () => {
+  for (const url of [
+    'http://127.0.0.1/hook',
+    'http://10.1.2.3/hook',
+    'http://172.20.0.1/hook',
+    'http://192.168.1.10/hook',
+    'http://169.254.169.254/latest/meta-data',
+    'http://0.0.0.0/hook',
+    'http://[::1]/hook',
+    'http://[fd00::1]/hook',
+    'http://[::ffff:127.0.0.1]/hook',
+    'http://localhost:8080/hook'
+  ]) {
+    await assert.rejects(assertDeliverableUrl(url), { status: 400, code: 'INVALID_WEBHOOK_URL' }, url);
+  }
+});
+
+test('webhook URLs on public addresses are accepted', async () => {
+  await assertDeliverableUrl('https://93.184.216.34/hook');
+  await assertDeliverableUrl('http://[2606:4700::1111]/hook');
+});
+
+test('registering a private webhook URL fails before anything is stored', async () => {
+  db.webhook = { count: async () => 0, create: async () => assert.fail('webhook must not be stored') };
+  const res = await request('POST', '/api/webhooks', {
+    body: { url: 'http://127.0.0.1:9000/hook', events: ['note.created'] },
+    headers: { Authorization: auth }
+  });
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(res.body.code, 'INVALID_WEBHOOK_URL');
+});
+
+test('deliveries never connect to a private address, even when the URL was accepted earlier', async () => {
+  let received = 0;
+  const receiver = http.createServer((req, res) => { received++; res.end('ok'); });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  const { port } = receiver.address();
+  const updates = [];
+  db.webhookDelivery = { update: async ({ data }) => { updates.push(data); return data; } };
+
+  try {
+    for (const url of [`http://localhost:${port}/hook`, `http://127.0.0.1:${port}/hook`]) {
+      await attemptDelivery({
+        id: 'delivery-1',
+        event: 'note.created',
+        attempts: 0,
+        payload: { type: 'note.created' },
+        webhook: { url, secret: 'whsec_test', active: true }
+      });
+    }
+  } finally {
+    await new Promise(resolve => receiver.close(resolve));
+  }
+
+  assert.strictEqual(received, 0);
+  assert.match(updates[0].error, /localhost resolves to a private address/);
+  assert.match(updates[1].error, /127\.0\.0\.1 is a private address/);
+  assert.ok(updates.every(u => u.status === 'PENDING'));
+});